@@ -0,0 +1,306 @@
+/**
+ * FilterBuilder.js - AND/OR condition builder for the filter panel
+ * filters: [{ type: "builder", label, columns, operators }]
+ */
+
+import { createElement } from "../utils/dom.js";
+import { FILTER_OPERATORS, cleanFilterTree } from "../utils/filterTree.js";
+
+const LABELS = {
+  and: "All of (AND)",
+  or: "Any of (OR)",
+  addCondition: "+ Condition",
+  addGroup: "+ Group",
+  remove: "Remove",
+  apply: "Apply",
+  clear: "Clear",
+  equals: "equals",
+  contains: "contains",
+  startsWith: "starts with",
+  between: "between",
+  in: "in",
+  isEmpty: "is empty",
+  gt: "greater than",
+  lt: "less than",
+};
+
+// Column types with number/date inputs ('number' is kept for older configs)
+const INPUT_TYPES = {
+  num: "number",
+  number: "number",
+  currency: "number",
+  date: "date",
+};
+
+export class FilterBuilder {
+  constructor(panel, filter, container) {
+    this.panel = panel;
+    this.table = panel.table;
+    this.filter = filter;
+    this.labels = {
+      ...LABELS,
+      ...(this.table.options.language?.filterBuilder || {}),
+    };
+    this.columns = this.getColumns();
+    this.operators = filter.operators || FILTER_OPERATORS;
+    this.tree = this.createGroup();
+    this.init(container);
+  }
+
+  init(container) {
+    container.classList.add("w-100");
+
+    if (this.filter.label) {
+      container.appendChild(
+        createElement("label", {
+          className: "form-label small mb-1",
+          textContent: this.filter.label,
+        })
+      );
+    }
+
+    this.element = createElement("div", {
+      className: "modern-table-filter-builder",
+    });
+    container.appendChild(this.element);
+    this.render();
+  }
+
+  /**
+   * Columns to filter on: filter.columns (data or { data, title, type }) or the table's columns
+   */
+  getColumns() {
+    const columns =
+      this.filter.columns ||
+      this.table.options.columns.filter(
+        (column) =>
+          column.data &&
+          column.data !== "DT_RowIndex" &&
+          column.searchable !== false
+      );
+
+    return columns.map((column) => {
+      if (typeof column === "string") {
+        const tableColumn = this.table.options.columns.find(
+          (col) => col.data === column
+        );
+        return { data: column, title: tableColumn?.title || column, type: tableColumn?.type };
+      }
+      return { data: column.data, title: column.title || column.data, type: column.type };
+    });
+  }
+
+  createGroup() {
+    return { logic: "and", conditions: [this.createCondition()] };
+  }
+
+  createCondition() {
+    const operator = this.operators.includes("contains")
+      ? "contains"
+      : this.operators[0];
+    return { column: this.columns[0]?.data, operator, value: "" };
+  }
+
+  /**
+   * Show a tree (e.g. restored from state); null starts with an empty group
+   */
+  setTree(tree) {
+    this.tree = tree ? JSON.parse(JSON.stringify(tree)) : this.createGroup();
+    this.render();
+  }
+
+  render() {
+    this.element.innerHTML = "";
+    this.element.appendChild(this.renderGroup(this.tree, null));
+
+    const actions = createElement("div", {
+      className: "d-flex gap-1 mt-2",
+    });
+    actions.appendChild(
+      this.createButton(this.labels.apply, "btn btn-primary btn-sm modern-table-filter-apply", () =>
+        this.apply()
+      )
+    );
+    actions.appendChild(
+      this.createButton(this.labels.clear, "btn btn-outline-secondary btn-sm modern-table-filter-reset", () => {
+        this.tree = this.createGroup();
+        this.render();
+        this.apply();
+      })
+    );
+    this.element.appendChild(actions);
+  }
+
+  /**
+   * Group: AND/OR select, its conditions and nested groups, add/remove buttons
+   */
+  renderGroup(group, parent) {
+    const box = createElement("div", {
+      className: "modern-table-filter-group border rounded p-2",
+    });
+
+    const header = createElement("div", {
+      className: "d-flex gap-1 align-items-center mb-1",
+    });
+    const logic = this.createSelect(
+      [
+        { value: "and", text: this.labels.and },
+        { value: "or", text: this.labels.or },
+      ],
+      group.logic,
+      "modern-table-filter-logic"
+    );
+    logic.addEventListener("change", () => {
+      group.logic = logic.value;
+    });
+    header.appendChild(logic);
+    header.appendChild(
+      this.createButton(this.labels.addCondition, "btn btn-outline-secondary btn-sm modern-table-filter-add", () => {
+        group.conditions.push(this.createCondition());
+        this.render();
+      })
+    );
+    header.appendChild(
+      this.createButton(this.labels.addGroup, "btn btn-outline-secondary btn-sm modern-table-filter-add-group", () => {
+        group.conditions.push(this.createGroup());
+        this.render();
+      })
+    );
+    if (parent) {
+      header.appendChild(this.createRemoveButton(group, parent));
+    }
+    box.appendChild(header);
+
+    group.conditions.forEach((condition) => {
+      box.appendChild(
+        condition.conditions
+          ? this.renderGroup(condition, group)
+          : this.renderCondition(condition, group)
+      );
+    });
+
+    return box;
+  }
+
+  /**
+   * Condition: column, operator and value input(s)
+   */
+  renderCondition(condition, group) {
+    const row = createElement("div", {
+      className: "modern-table-filter-condition d-flex flex-wrap gap-1 align-items-center mb-1",
+    });
+
+    const column = this.createSelect(
+      this.columns.map((col) => ({ value: col.data, text: col.title })),
+      condition.column,
+      "modern-table-filter-column"
+    );
+    column.addEventListener("change", () => {
+      condition.column = column.value;
+      this.render();
+    });
+    row.appendChild(column);
+
+    const operator = this.createSelect(
+      this.operators.map((op) => ({ value: op, text: this.labels[op] || op })),
+      condition.operator,
+      "modern-table-filter-operator"
+    );
+    operator.addEventListener("change", () => {
+      condition.operator = operator.value;
+      condition.value = operator.value === "between" ? ["", ""] : "";
+      this.render();
+    });
+    row.appendChild(operator);
+
+    const inputType =
+      INPUT_TYPES[this.columns.find((col) => col.data === condition.column)?.type] || "text";
+
+    if (condition.operator === "between") {
+      const range = Array.isArray(condition.value) ? condition.value : ["", ""];
+      condition.value = range;
+      [0, 1].forEach((index) => {
+        row.appendChild(
+          this.createInput(inputType, range[index], (value) => {
+            range[index] = value;
+          })
+        );
+      });
+    } else if (condition.operator === "in") {
+      const value = Array.isArray(condition.value) ? condition.value.join(", ") : condition.value;
+      row.appendChild(
+        this.createInput("text", value, (text) => {
+          condition.value = text;
+        }, "a, b, c")
+      );
+    } else if (condition.operator !== "isEmpty") {
+      row.appendChild(
+        this.createInput(inputType, condition.value, (value) => {
+          condition.value = value;
+        })
+      );
+    }
+
+    row.appendChild(this.createRemoveButton(condition, group));
+    return row;
+  }
+
+  createSelect(options, value, className) {
+    const select = createElement("select", {
+      className: `form-select form-select-sm w-auto ${className}`,
+    });
+    options.forEach((option) => {
+      select.appendChild(
+        createElement("option", { value: option.value, textContent: option.text })
+      );
+    });
+    select.value = value ?? "";
+    return select;
+  }
+
+  createInput(type, value, onInput, placeholder = "") {
+    const input = createElement("input", {
+      type,
+      className: "form-control form-control-sm w-auto modern-table-filter-value",
+      placeholder,
+    });
+    input.value = value ?? "";
+    input.addEventListener("input", () => onInput(input.value));
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.apply();
+      }
+    });
+    return input;
+  }
+
+  createButton(text, className, onClick) {
+    const button = createElement("button", {
+      type: "button",
+      className,
+      textContent: text,
+    });
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    return button;
+  }
+
+  createRemoveButton(item, parent) {
+    const button = this.createButton("×", "btn btn-outline-danger btn-sm modern-table-filter-remove", () => {
+      parent.conditions.splice(parent.conditions.indexOf(item), 1);
+      this.render();
+    });
+    button.setAttribute("aria-label", this.labels.remove);
+    return button;
+  }
+
+  /**
+   * Apply the complete conditions of the tree
+   */
+  apply() {
+    this.panel.applyAdvancedFilter(cleanFilterTree(this.tree));
+  }
+}
@@ -4,11 +4,97 @@
  */
 
 import { createElement, find, findAll } from "../utils/dom.js";
+import { FilterBuilder } from "./FilterBuilder.js";
+import { MultiFilter } from "./MultiFilter.js";
+import { RemoteOptions, isRemoteOptions } from "./RemoteOptions.js";
+import { toNumber } from "../utils/aggregates.js";
+
+/**
+ * Local day of a cell value as "YYYY-MM-DD" (null when not a date)
+ * Strings without a time zone are local times already: their date part is used as is;
+ * Date objects, timestamps and strings with a zone ("Z", "+07:00") are converted
+ */
+function toDateKey(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(value)
+  ) {
+    return value.slice(0, 10);
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Cell value (or any item of an array cell) is one of the selected values
+ */
+function matchesAny(cellValue, values) {
+  const cells = Array.isArray(cellValue) ? cellValue : [cellValue];
+  const selected = [].concat(values).map(String);
+  return cells.some((cell) => selected.includes(String(cell ?? "")));
+}
+
+/**
+ * Default client-side matching per filter type
+ */
+const MATCHERS = {
+  select: (cellValue, value) => String(cellValue ?? "") === String(value),
+  multiselect: matchesAny,
+  checkboxes: matchesAny,
+  tags: matchesAny,
+  text: (cellValue, value) =>
+    String(cellValue ?? "")
+      .toLowerCase()
+      .includes(String(value).toLowerCase()),
+  date: (cellValue, value) => toDateKey(cellValue) === value,
+  daterange: (cellValue, { from, to }) => {
+    const date = toDateKey(cellValue);
+    if (date === null) return false;
+    return (isEmpty(from) || date >= from) && (isEmpty(to) || date <= to);
+  },
+  numberrange: (cellValue, { min, max }) => {
+    const number = toNumber(cellValue);
+    if (number === null) return false;
+    return (
+      (isEmpty(min) || number >= toNumber(min)) &&
+      (isEmpty(max) || number <= toNumber(max))
+    );
+  },
+};
+
+// Smart date range inputs: bounds of a server-side date column, not row fields
+const DATE_BOUNDS = ["start_date", "end_date"];
+
+// Filter keys with a range suffix (filters set without a matching config)
+const RANGE_SUFFIXES = {
+  from: ["daterange", "from"],
+  to: ["daterange", "to"],
+  min: ["numberrange", "min"],
+  max: ["numberrange", "max"],
+};
 
 export class FilterPanel {
   constructor(table) {
     this.table = table;
     this.filters = {};
+    this.advancedFilter = null; // Filter builder tree
+    this.builder = null;
+    this.controls = {}; // column => multi-value filter widget
+    this.sources = {}; // column => remote options (URL or function)
     this.init();
   }
 
@@ -37,6 +123,9 @@ export class FilterPanel {
         className: "filter-item",
       });
 
+      if (isRemoteOptions(filter.options) && filter.column) {
+        this.sources[filter.column] = new RemoteOptions(this.table, filter);
+      }
       this.createFilter(filter, col);
       filtersRow.appendChild(col);
     });
@@ -55,6 +144,8 @@ export class FilterPanel {
         this.table.element
       );
     }
+
+    Object.keys(this.sources).forEach((column) => this.loadOptions(column));
   }
 
   /**
@@ -77,6 +168,14 @@ export class FilterPanel {
       case "numberrange":
         this.createNumberRangeFilter(filter, container);
         break;
+      case "multiselect":
+      case "checkboxes":
+      case "tags":
+        this.controls[filter.column] = new MultiFilter(this, filter, container);
+        break;
+      case "builder":
+        this.builder = new FilterBuilder(this, filter, container);
+        break;
       case "clear":
         this.createClearButton(filter, container);
         break;
@@ -104,7 +203,34 @@ export class FilterPanel {
       style: "min-width: 120px; width: auto;",
     });
 
-    filter.options.forEach((option) => {
+    this.renderSelectOptions(select, Array.isArray(filter.options) ? filter.options : []);
+
+    select.addEventListener("change", (e) => {
+      this.applyFilter(filter.column, e.target.value);
+    });
+
+    container.appendChild(select);
+  }
+
+  /**
+   * Fill a select with options (remote options get an "All" option first)
+   */
+  renderSelectOptions(select, options) {
+    const column = select.dataset.filter;
+    const value = this.filters[column] ?? select.value;
+    select.innerHTML = "";
+
+    const filter = this.getFilterConfig(column);
+    if (isRemoteOptions(filter?.options)) {
+      select.appendChild(
+        createElement("option", {
+          value: "",
+          textContent: filter.placeholder || this.table.options.language?.filterOptions?.placeholder || "All",
+        })
+      );
+    }
+
+    options.forEach((option) => {
       const optionEl = createElement("option", {
         value: option.value,
         textContent: option.text,
@@ -112,11 +238,72 @@ export class FilterPanel {
       select.appendChild(optionEl);
     });
 
-    select.addEventListener("change", (e) => {
-      this.applyFilter(filter.column, e.target.value);
-    });
+    // Keep the selection when it is still available
+    if (value && [...select.options].some((option) => option.value === value)) {
+      select.value = value;
+    }
+  }
 
-    container.appendChild(select);
+  getFilterConfig(column) {
+    return (this.table.options.filters || []).find((filter) => filter.column === column);
+  }
+
+  /**
+   * Load remote options for a filter (search term for search-as-you-type)
+   * Dependent filters (dependsOn) stay disabled until the parent has a value
+   */
+  async loadOptions(column, search = "") {
+    const source = this.sources[column];
+    if (!source) return;
+
+    const parentColumn = source.filter.dependsOn;
+    const parent = parentColumn ? this.filters[parentColumn] : undefined;
+    const waiting = Boolean(parentColumn) && isEmpty(parent);
+    this.setOptionsDisabled(column, waiting);
+
+    let options = [];
+    if (waiting) {
+      source.abort();
+    } else {
+      options = await source.load({ search, parent, filters: this.getFilters() });
+      if (!options) return; // Superseded or failed
+    }
+
+    if (this.controls[column]) {
+      this.controls[column].setOptions(options);
+    } else {
+      const select = find(`select[data-filter="${column}"]`, this.filtersContainer);
+      if (select) this.renderSelectOptions(select, options);
+    }
+  }
+
+  setOptionsDisabled(column, disabled) {
+    if (this.controls[column]) {
+      this.controls[column].setDisabled(disabled);
+      return;
+    }
+    const select = find(`select[data-filter="${column}"]`, this.filtersContainer);
+    if (select) select.disabled = disabled;
+  }
+
+  /**
+   * Parent filter changed: clear dependent filters and reload their options
+   */
+  resetDependents(column) {
+    Object.values(this.sources)
+      .filter((source) => source.filter.dependsOn === column)
+      .forEach((source) => {
+        const child = source.filter.column;
+        delete this.filters[child];
+        if (this.controls[child]) {
+          this.controls[child].setValue([]);
+        } else {
+          const input = find(`[data-filter="${child}"]`, this.filtersContainer);
+          if (input) input.value = "";
+        }
+        this.loadOptions(child);
+        this.resetDependents(child);
+      });
   }
 
   /**
@@ -186,7 +373,7 @@ export class FilterPanel {
         const endDateInput = document.querySelector('[data-filter="end_date"]');
         if (endDateInput && endDateInput.value) {
           this.table.currentPage = 1;
-          this.table.loadData();
+          this.reload();
         }
       } else if (filter.column === "end_date") {
         // Store end_date and trigger filter (regardless of start_date)
@@ -197,7 +384,7 @@ export class FilterPanel {
         }
 
         this.table.currentPage = 1;
-        this.table.loadData();
+        this.reload();
       } else {
         // For single date filters, apply immediately
         this.applyFilter(filter.column, e.target.value);
@@ -304,12 +491,24 @@ export class FilterPanel {
    * Apply single filter
    */
   applyFilter(column, value) {
-    if (value && value.trim()) {
+    const previous = this.filters[column];
+
+    if (Array.isArray(value)) {
+      // Multi-value filters: array of selected values
+      if (value.length > 0) {
+        this.filters[column] = [...value];
+      } else {
+        delete this.filters[column];
+      }
+    } else if (value && value.trim()) {
       this.filters[column] = value.trim();
     } else {
       delete this.filters[column];
     }
 
+    if (JSON.stringify(previous) !== JSON.stringify(this.filters[column])) {
+      this.resetDependents(column);
+    }
     this.table.currentPage = 1;
 
     // Save state after filter
@@ -317,7 +516,7 @@ export class FilterPanel {
       this.table.stateManager.save();
     }
 
-    this.table.loadData();
+    this.reload();
   }
 
   /**
@@ -343,7 +542,7 @@ export class FilterPanel {
       this.table.stateManager.save();
     }
 
-    this.table.loadData();
+    this.reload();
   }
 
   /**
@@ -369,7 +568,122 @@ export class FilterPanel {
       this.table.stateManager.save();
     }
 
-    this.table.loadData();
+    this.reload();
+  }
+
+  /**
+   * Apply filter builder tree (null clears it)
+   */
+  applyAdvancedFilter(tree) {
+    this.advancedFilter = tree || null;
+    this.table.currentPage = 1;
+
+    // Save state after filter
+    if (this.table.stateManager && this.table.stateManager.isEnabled()) {
+      this.table.stateManager.save();
+    }
+
+    this.reload();
+  }
+
+  /**
+   * Get current filter builder tree
+   */
+  getAdvancedFilter() {
+    return this.advancedFilter;
+  }
+
+  /**
+   * Set filter builder tree without reloading (restored state)
+   */
+  setAdvancedFilter(tree) {
+    this.advancedFilter = tree || null;
+    this.builder?.setTree(this.advancedFilter);
+  }
+
+  /**
+   * Redraw with the current filters: client-side tables filter locally
+   */
+  reload() {
+    if (this.table.isClientSide) {
+      this.table.processClientSideData();
+    } else {
+      this.table.loadData();
+    }
+  }
+
+  /**
+   * Active filters as { column, type, value, match } (client-side)
+   * Range filters are combined: daterange { from, to }, numberrange { min, max }
+   */
+  getActiveFilters() {
+    const active = [];
+    const used = new Set();
+
+    (this.table.options.filters || []).forEach((filter) => {
+      if (!filter.column || !MATCHERS[filter.type]) return;
+
+      // Client-side date ranges use type: 'daterange' (or a custom match)
+      if (DATE_BOUNDS.includes(filter.column) && !filter.match) {
+        used.add(filter.column);
+        return;
+      }
+
+      let value;
+      if (filter.type === "daterange" || filter.type === "numberrange") {
+        const [low, high] =
+          filter.type === "daterange" ? ["from", "to"] : ["min", "max"];
+        const lowKey = `${filter.column}_${low}`;
+        const highKey = `${filter.column}_${high}`;
+        used.add(lowKey).add(highKey);
+        if (isEmpty(this.filters[lowKey]) && isEmpty(this.filters[highKey])) {
+          return;
+        }
+        value = { [low]: this.filters[lowKey], [high]: this.filters[highKey] };
+      } else {
+        used.add(filter.column);
+        value = this.filters[filter.column];
+        if (isEmpty(value)) return;
+      }
+
+      active.push({ column: filter.column, type: filter.type, value, match: filter.match });
+    });
+
+    // Filters set from code or state without a config: ranges by suffix, others by value
+    const ranges = {};
+    Object.keys(this.filters).forEach((key) => {
+      const value = this.filters[key];
+      if (used.has(key) || isEmpty(value)) return;
+
+      const suffix = key.match(/^(.+)_(from|to|min|max)$/);
+      if (!suffix || Array.isArray(value)) {
+        active.push({ column: key, type: Array.isArray(value) ? "multiselect" : "select", value });
+        return;
+      }
+
+      const [type, bound] = RANGE_SUFFIXES[suffix[2]];
+      const rangeKey = `${suffix[1]}:${type}`;
+      if (!ranges[rangeKey]) {
+        ranges[rangeKey] = { column: suffix[1], type, value: {} };
+        active.push(ranges[rangeKey]);
+      }
+      ranges[rangeKey].value[bound] = value;
+    });
+
+    return active;
+  }
+
+  /**
+   * Whether a row passes every filter; filter.match(row, value) replaces the default test
+   */
+  matches(row, active = this.getActiveFilters()) {
+    return active.every((filter) => {
+      if (typeof filter.match === "function") {
+        return filter.match(row, filter.value);
+      }
+      const cellValue = this.table.getCellValue(row, filter.column);
+      return MATCHERS[filter.type](cellValue, filter.value);
+    });
   }
 
   /**
@@ -387,6 +701,14 @@ export class FilterPanel {
 
     // Update filter inputs to match state
     Object.keys(filters).forEach((filterKey) => {
+      if (this.controls[filterKey]) {
+        this.controls[filterKey].setValue(filters[filterKey]);
+        return;
+      }
+      if (this.sources[filterKey]) {
+        return; // Selected when the remote options are loaded
+      }
+
       const input = find(`[data-filter="${filterKey}"]`, this.filtersContainer);
       if (input && filters[filterKey]) {
         input.value = filters[filterKey];
@@ -397,9 +719,12 @@ export class FilterPanel {
       }
     });
 
+    // Options of dependent filters follow the restored parent values
+    Object.keys(this.sources).forEach((column) => this.loadOptions(column));
+
     // Trigger reload to apply restored filters
     setTimeout(() => {
-      this.table.loadData();
+      this.reload();
     }, 100);
   }
 
@@ -432,6 +757,8 @@ export class FilterPanel {
    */
   clearFilters(skipReload = false) {
     this.filters = {};
+    this.setAdvancedFilter(null);
+    Object.values(this.controls).forEach((control) => control.setValue([]));
 
     // Reset all filter inputs
     const filterInputs = findAll("[data-filter]", this.filtersContainer);
@@ -443,10 +770,14 @@ export class FilterPanel {
       }
     });
 
+    Object.keys(this.sources)
+      .filter((column) => this.sources[column].filter.dependsOn)
+      .forEach((column) => this.loadOptions(column));
+
     this.table.currentPage = 1;
 
     if (!skipReload) {
-      this.table.loadData();
+      this.reload();
     }
   }
 
@@ -454,6 +785,8 @@ export class FilterPanel {
    * Destroy filter panel
    */
   destroy() {
+    Object.values(this.controls).forEach((control) => control.destroy());
+    Object.values(this.sources).forEach((source) => source.abort());
     if (this.filtersContainer && this.filtersContainer.parentNode) {
       this.filtersContainer.parentNode.removeChild(this.filtersContainer);
     }
@@ -0,0 +1,407 @@
+/**
+ * MultiFilter.js - Multi-value filters for the filter panel
+ * filters: [{ column, type: "multiselect" | "checkboxes" | "tags", options, search, allowCustom }]
+ * The filter value is an array of option values
+ * Remote options (URL or function) are searched on the server as the user types
+ */
+
+import { createElement } from "../utils/dom.js";
+import { debounce } from "../utils/debounce.js";
+
+const LABELS = {
+  search: "Search...",
+  all: "All",
+  none: "None",
+  placeholder: "All",
+  selected: "_COUNT_ selected",
+  remove: "Remove",
+};
+
+export class MultiFilter {
+  constructor(panel, filter, container) {
+    this.panel = panel;
+    this.table = panel.table;
+    this.filter = filter;
+    this.labels = {
+      ...LABELS,
+      ...(this.table.options.language?.filterOptions || {}),
+    };
+    this.values = [];
+    this.texts = new Map(); // value => text, kept for chips when remote options change
+    this.remote = Boolean(panel.sources[filter.column]);
+    this.options = this.normalizeOptions(Array.isArray(filter.options) ? filter.options : []);
+    this.searchRemote = debounce((term) => {
+      if (this.element.isConnected) this.panel.loadOptions(this.filter.column, term);
+    }, filter.searchDelay ?? this.table.options.searchDelay);
+    this.init(container);
+  }
+
+  init(container) {
+    if (this.filter.label) {
+      container.appendChild(
+        createElement("label", {
+          className: "form-label small mb-1",
+          textContent: this.filter.label,
+        })
+      );
+    }
+
+    this.element = createElement("div", {
+      className: `modern-table-filter-${this.filter.type}`,
+      "data-filter": this.filter.column,
+    });
+    container.appendChild(this.element);
+
+    if (this.filter.type === "multiselect") {
+      this.createDropdown();
+    } else if (this.filter.type === "tags") {
+      this.createTags();
+    } else {
+      this.list = this.createList();
+      this.element.appendChild(this.list);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Options as [{ value, text }] ("All" options with an empty value are dropped)
+   */
+  normalizeOptions(options) {
+    const normalized = options
+      .map((option) =>
+        typeof option === "object"
+          ? { value: String(option.value), text: option.text ?? String(option.value) }
+          : { value: String(option), text: String(option) }
+      )
+      .filter((option) => option.value !== "");
+    normalized.forEach((option) => this.texts.set(option.value, option.text));
+    return normalized;
+  }
+
+  /**
+   * Replace the options (selected values are kept)
+   */
+  setOptions(options) {
+    this.options = this.normalizeOptions(options);
+    this.render();
+    if (this.tagInput?.value.trim()) this.renderSuggestions();
+  }
+
+  /**
+   * Disabled while a dependent filter waits for its parent
+   */
+  setDisabled(disabled) {
+    this.element.classList.toggle("disabled", disabled);
+    this.element.setAttribute("aria-disabled", String(disabled));
+    this.element.querySelectorAll("input, button").forEach((input) => {
+      input.disabled = disabled;
+    });
+  }
+
+  /**
+   * Show values without applying them (restored state, clear)
+   */
+  setValue(values) {
+    this.values = [].concat(values ?? []).map(String);
+    this.render();
+  }
+
+  /**
+   * Apply the selected values through the filter panel
+   */
+  change(values) {
+    this.values = values;
+    this.render();
+    this.panel.applyFilter(this.filter.column, values);
+  }
+
+  textOf(value) {
+    return this.texts.get(value) ?? value;
+  }
+
+  /**
+   * Searchable checkbox list with "All" / "None"
+   */
+  createList() {
+    const list = createElement("div", {
+      className: "modern-table-filter-list",
+    });
+
+    const searchable =
+      this.filter.search ?? (this.remote || this.filter.type === "multiselect" || this.options.length > 8);
+    if (searchable) {
+      this.searchInput = createElement("input", {
+        type: "search",
+        className: "form-control form-control-sm mb-1 modern-table-filter-search",
+        placeholder: this.labels.search,
+      });
+      this.searchInput.addEventListener("input", () => {
+        if (this.remote) {
+          this.searchRemote(this.searchInput.value.trim());
+        } else {
+          this.renderOptions();
+        }
+      });
+      list.appendChild(this.searchInput);
+    }
+
+    const actions = createElement("div", {
+      className: "d-flex gap-2 mb-1 small",
+    });
+    // "All" selects the options that match the search
+    actions.appendChild(
+      this.createLink(this.labels.all, "modern-table-filter-all", () => {
+        const visible = this.visibleOptions().map((option) => option.value);
+        this.change(this.inOptionOrder([...new Set([...this.values, ...visible])]));
+      })
+    );
+    actions.appendChild(
+      this.createLink(this.labels.none, "modern-table-filter-none", () => this.change([]))
+    );
+    list.appendChild(actions);
+
+    this.optionsElement = createElement("div", {
+      className: "modern-table-filter-options",
+    });
+    this.optionsElement.addEventListener("change", (e) => {
+      if (!e.target.matches("input[type=checkbox]")) return;
+      const checked = new Set(this.values);
+      if (e.target.checked) {
+        checked.add(e.target.value);
+      } else {
+        checked.delete(e.target.value);
+      }
+      this.change(this.inOptionOrder([...checked]));
+    });
+    list.appendChild(this.optionsElement);
+
+    return list;
+  }
+
+  /**
+   * Values sorted like the options; values missing from the current (remote) options go last
+   */
+  inOptionOrder(values) {
+    const order = this.options.map((option) => option.value);
+    const rank = (value) => (order.includes(value) ? order.indexOf(value) : order.length);
+    return [...values].sort((a, b) => rank(a) - rank(b));
+  }
+
+  visibleOptions() {
+    // Remote options are already filtered by the search term
+    const term = this.remote ? "" : this.searchInput?.value.trim().toLowerCase() || "";
+    return this.options.filter((option) => option.text.toLowerCase().includes(term));
+  }
+
+  renderOptions() {
+    if (!this.optionsElement) return;
+
+    this.optionsElement.innerHTML = "";
+    this.visibleOptions().forEach((option) => {
+      const label = createElement("label", {
+        className: "form-check small mb-0",
+      });
+      const checkbox = createElement("input", {
+        type: "checkbox",
+        className: "form-check-input",
+        value: option.value,
+      });
+      checkbox.checked = this.values.includes(option.value);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${option.text}`));
+      this.optionsElement.appendChild(label);
+    });
+  }
+
+  /**
+   * multiselect: button with the selection, list in a dropdown
+   */
+  createDropdown() {
+    this.element.classList.add("position-relative");
+
+    this.toggle = createElement("button", {
+      type: "button",
+      className: "form-select form-select-sm text-start modern-table-filter-toggle",
+      "aria-haspopup": "true",
+      "aria-expanded": "false",
+      style: "min-width: 140px;",
+    });
+    this.toggle.addEventListener("click", () => this.setOpen(!this.open));
+
+    this.list = this.createList();
+    this.list.classList.add("modern-table-filter-dropdown", "border", "rounded", "p-2", "bg-body", "shadow-sm");
+    this.list.hidden = true;
+
+    this.element.appendChild(this.toggle);
+    this.element.appendChild(this.list);
+
+    // Close on outside click and Escape
+    this.onDocumentClick = (e) => {
+      if (this.open && !this.element.contains(e.target)) this.setOpen(false);
+    };
+    document.addEventListener("click", this.onDocumentClick);
+    this.element.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.open) {
+        this.setOpen(false);
+        this.toggle.focus();
+      }
+    });
+  }
+
+  setOpen(open) {
+    this.open = open;
+    this.list.hidden = !open;
+    this.toggle.setAttribute("aria-expanded", String(open));
+    if (open) this.searchInput?.focus();
+  }
+
+  /**
+   * tags: chips and a text input with suggestions from the options
+   */
+  createTags() {
+    this.element.classList.add("form-control", "form-control-sm", "d-flex", "flex-wrap", "gap-1", "position-relative");
+
+    this.chips = createElement("span", {
+      className: "d-inline-flex flex-wrap gap-1 modern-table-filter-chips",
+    });
+    this.tagInput = createElement("input", {
+      type: "text",
+      className: "border-0 flex-grow-1 modern-table-filter-search",
+      placeholder: this.filter.placeholder || this.labels.search,
+      style: "min-width: 80px; outline: none;",
+    });
+    this.suggestions = createElement("div", {
+      className: "modern-table-filter-suggestions border rounded bg-body shadow-sm",
+    });
+    this.suggestions.hidden = true;
+
+    this.tagInput.addEventListener("input", () => {
+      this.renderSuggestions();
+      if (this.remote) this.searchRemote(this.tagInput.value.trim());
+    });
+    this.tagInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        const [first] = this.matchingOptions();
+        const text = this.tagInput.value.trim();
+        const allowCustom = this.filter.allowCustom ?? (!this.remote && this.options.length === 0);
+        if (first) {
+          this.addTag(first.value);
+        } else if (text && allowCustom) {
+          this.addTag(text);
+        }
+      } else if (e.key === "Backspace" && !this.tagInput.value && this.values.length) {
+        this.change(this.values.slice(0, -1));
+      } else if (e.key === "Escape") {
+        this.suggestions.hidden = true;
+      }
+    });
+    this.tagInput.addEventListener("blur", () => {
+      // Let a click on a suggestion land first
+      setTimeout(() => {
+        this.suggestions.hidden = true;
+      }, 150);
+    });
+
+    this.clearButton = this.createLink("×", "modern-table-filter-none", () => this.change([]));
+    this.clearButton.setAttribute("aria-label", this.labels.none);
+
+    this.element.appendChild(this.chips);
+    this.element.appendChild(this.tagInput);
+    this.element.appendChild(this.clearButton);
+    this.element.appendChild(this.suggestions);
+  }
+
+  matchingOptions() {
+    const term = this.tagInput.value.trim().toLowerCase();
+    if (!term) return [];
+    return this.options.filter(
+      (option) => !this.values.includes(option.value) && option.text.toLowerCase().includes(term)
+    );
+  }
+
+  renderSuggestions() {
+    const matches = this.matchingOptions();
+    this.suggestions.innerHTML = "";
+    matches.slice(0, 10).forEach((option) => {
+      const item = createElement("button", {
+        type: "button",
+        className: "dropdown-item small",
+        textContent: option.text,
+      });
+      item.addEventListener("mousedown", (e) => e.preventDefault());
+      item.addEventListener("click", () => this.addTag(option.value));
+      this.suggestions.appendChild(item);
+    });
+    this.suggestions.hidden = matches.length === 0;
+  }
+
+  addTag(value) {
+    this.tagInput.value = "";
+    this.suggestions.hidden = true;
+    if (!this.values.includes(value)) {
+      this.change([...this.values, value]);
+    }
+  }
+
+  renderChips() {
+    this.chips.innerHTML = "";
+    this.values.forEach((value) => {
+      const chip = createElement("span", {
+        className: "badge text-bg-secondary d-inline-flex align-items-center gap-1 modern-table-filter-chip",
+        textContent: this.textOf(value),
+      });
+      const remove = createElement("button", {
+        type: "button",
+        className: "btn-close btn-close-white",
+        "aria-label": `${this.labels.remove} ${this.textOf(value)}`,
+        style: "font-size: 0.5rem;",
+      });
+      remove.addEventListener("click", () => {
+        this.change(this.values.filter((item) => item !== value));
+      });
+      chip.appendChild(remove);
+      this.chips.appendChild(chip);
+    });
+    this.clearButton.hidden = this.values.length === 0;
+  }
+
+  render() {
+    if (this.filter.type === "tags") {
+      this.renderChips();
+      return;
+    }
+
+    this.renderOptions();
+
+    if (this.toggle) {
+      const count = this.values.length;
+      this.toggle.textContent =
+        count === 0
+          ? this.filter.placeholder || this.labels.placeholder
+          : count === 1
+            ? this.textOf(this.values[0])
+            : this.labels.selected.replace("_COUNT_", count);
+    }
+  }
+
+  createLink(text, className, onClick) {
+    const button = createElement("button", {
+      type: "button",
+      className: `btn btn-link btn-sm p-0 ${className}`,
+      textContent: text,
+    });
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    return button;
+  }
+
+  destroy() {
+    if (this.onDocumentClick) {
+      document.removeEventListener("click", this.onDocumentClick);
+    }
+  }
+}
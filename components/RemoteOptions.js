@@ -0,0 +1,96 @@
+/**
+ * RemoteOptions.js - Filter options loaded from a URL (through ApiClient) or an async function
+ * filter.options: '/api/cities' | async ({ search, parent, filters, signal }) => options
+ * Responses: [{ value, text }], [{ id, name }], strings, or { data: [...] }
+ */
+
+import { createChildClient, isAbortError } from "../core/ApiClient.js";
+import { ResponseCache } from "../core/ResponseCache.js";
+
+export function isRemoteOptions(options) {
+  return typeof options === "string" || typeof options === "function";
+}
+
+export class RemoteOptions {
+  constructor(table, filter) {
+    this.filter = filter;
+    this.controller = null;
+
+    // Same options for the same search and parent value (filter.cache: false to disable)
+    this.cache =
+      filter.cache === false
+        ? null
+        : new ResponseCache({ ttl: 300000, ...(typeof filter.cache === "object" ? filter.cache : {}) });
+
+    if (typeof filter.options === "string") {
+      this.client = createChildClient(table.apiClient, filter.options);
+    }
+  }
+
+  /**
+   * Load options for a search term and parent value; resolves null when superseded
+   */
+  async load({ search = "", parent, filters = {} } = {}) {
+    const params = { search };
+    if (this.filter.dependsOn) {
+      params[this.filter.dependsOn] = parent;
+    }
+
+    const key = this.cache?.key(params);
+    const cached = key && this.cache.get(key);
+    if (cached) {
+      this.abort();
+      return cached.data;
+    }
+
+    // A newer search replaces the one in flight
+    this.abort();
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const response = this.client
+        ? await this.client.request(params, { controller })
+        : await this.filter.options({ search, parent, filters, signal: controller.signal });
+
+      if (controller.signal.aborted) return null;
+
+      const options = this.parse(response);
+      if (key) this.cache.set(key, options);
+      return options;
+    } catch (error) {
+      if (isAbortError(error)) return null;
+      console.warn(`Failed to load options for filter "${this.filter.column}":`, error);
+      return null;
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+  }
+
+  /**
+   * Response to [{ value, text }] (filter.optionsMap(item) for other shapes)
+   */
+  parse(response) {
+    const items = Array.isArray(response) ? response : response?.data || response?.options || [];
+
+    return items.map((item) => {
+      if (this.filter.optionsMap) {
+        return this.filter.optionsMap(item);
+      }
+      if (typeof item !== "object" || item === null) {
+        return { value: String(item), text: String(item) };
+      }
+      const value = item.value ?? item.id;
+      return { value: String(value), text: String(item.text ?? item.label ?? item.name ?? value) };
+    });
+  }
+
+  abort() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+}
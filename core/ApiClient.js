@@ -1,8 +1,67 @@
 /**
  * ApiClient - Modern fetch-based HTTP client for ModernTable.js
  */
+
+import { ResponseCache } from './ResponseCache.js';
+
+/**
+ * Whether an error comes from an aborted fetch
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Cached response with the draw counter of the current request
+ */
+export function withDraw(data, draw) {
+    if (draw === undefined || !data || Array.isArray(data) || typeof data !== 'object' || !('draw' in data)) {
+        return data;
+    }
+    return { ...data, draw };
+}
+
+/**
+ * GET client for another endpoint (filter options, distinct values) with the
+ * headers (auth, CSRF), timeout and retry policy of the table's API client
+ */
+export function createChildClient(apiClient, url) {
+    const { headers, timeout, retry } = apiClient?.config || {};
+
+    return new ApiClient({
+        url,
+        method: 'GET',
+        ...(headers && { headers }),
+        ...(timeout && { timeout }),
+        ...(retry && { retry })
+    });
+}
+
+/**
+ * Wait before a retry (rejects when the request is aborted)
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 export class ApiClient {
     constructor(config = {}) {
+        this.onRetry = null; // ({ attempt, attempts, delay, reason, url }) => void
+        
         // Handle string URL or object config
         if (typeof config === 'string') {
             this.config = {
@@ -24,17 +83,45 @@ export class ApiClient {
                 ...config
             };
         }
+        
+        // GraphQL queries are sent as a POST body
+        if (this.config.graphql && !config.method) {
+            this.config.method = 'POST';
+        }
+        
+        // Opt-in response cache (api.cache: true or { ttl, maxEntries, staleWhileRevalidate })
+        this.cache = this.config.cache ? new ResponseCache(this.config.cache) : null;
     }
 
     /**
      * Make HTTP request with jQuery.ajax-like callbacks
+     * options.cache: false skips cached responses (the fresh response is still cached)
+     * options.onRevalidate: receives the fresh response after a stale cache hit
+     * options.controller: own AbortController (background request, not cancelled by abort())
+     * options.quiet: background request (revalidation, prefetch): skip the
+     *   beforeSend, success, error and complete callbacks
      */
-    async request(params = {}) {
+    async request(params = {}, options = {}) {
         let config;
+        let controller;
+        const cacheKey = this.cache ? this.cache.key(params) : null;
+        
+        if (cacheKey && options.cache !== false) {
+            const cached = this.cache.get(cacheKey);
+            if (cached) {
+                if (cached.stale) {
+                    // Own controller: abort() keeps cancelling the foreground request
+                    this.request(params, { cache: false, controller: new AbortController(), quiet: true })
+                        .then(fresh => options.onRevalidate && options.onRevalidate(fresh))
+                        .catch(() => {});
+                }
+                return withDraw(cached.data, params.draw);
+            }
+        }
         
         try {
             // beforeSend callback
-            if (this.config.beforeSend) {
+            if (this.config.beforeSend && !options.quiet) {
                 const shouldContinue = await this.config.beforeSend(params);
                 if (shouldContinue === false) {
                     return; // Abort request
@@ -43,27 +130,13 @@ export class ApiClient {
             
             config = await this.prepareRequest(params);
             
-            // Setup timeout if specified
-            const controller = new AbortController();
-            let timeoutId;
-            
-            if (this.config.timeout) {
-                timeoutId = setTimeout(() => {
-                    controller.abort();
-                }, this.config.timeout);
+            // One controller per request: abort() cancels the one in flight
+            controller = options.controller || new AbortController();
+            if (!options.controller) {
+                this.controller = controller;
             }
             
-            const response = await fetch(config.url, {
-                method: config.method,
-                headers: config.headers,
-                body: config.method !== 'GET' ? JSON.stringify(config.data) : null,
-                signal: controller.signal
-            });
-            
-            // Clear timeout
-            if (timeoutId) {
-                clearTimeout(timeoutId);
-            }
+            const response = await this.fetchWithRetry(config, controller);
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -71,6 +144,11 @@ export class ApiClient {
 
             let data = await response.json();
             
+            // GraphQL reports errors in the body (HTTP 200)
+            if (this.config.graphql && data?.errors?.length) {
+                throw new Error(data.errors.map(error => error.message).join('; '));
+            }
+            
             // DataTables-compatible dataSrc transformation
             if (this.config.dataSrc && typeof this.config.dataSrc === 'function') {
                 console.log('🔄 Applying dataSrc transformation');
@@ -78,13 +156,22 @@ export class ApiClient {
             }
             
             // success callback
-            if (this.config.success) {
+            if (this.config.success && !options.quiet) {
                 await this.config.success(data, 'success', response);
             }
             
+            if (cacheKey && data && data.success !== false) {
+                this.cache.set(cacheKey, data);
+            }
+            
             return data;
 
         } catch (error) {
+            // Cancelled by a newer request: not an error for callbacks
+            if (isAbortError(error) || options.quiet) {
+                throw error;
+            }
+            
             // error callback
             if (this.config.error) {
                 const result = await this.config.error(error, 'error', error.message);
@@ -98,36 +185,244 @@ export class ApiClient {
             
             throw error;
         } finally {
-            // complete callback (always runs)
-            if (this.config.complete) {
+            if (controller && this.controller === controller) {
+                this.controller = null;
+            }
+            
+            // complete callback (always runs, except for background requests)
+            if (this.config.complete && !options.quiet) {
                 await this.config.complete();
             }
         }
     }
 
+    /**
+     * Retry policy from config.retry (true, number of retries or object)
+     */
+    getRetryPolicy() {
+        const retry = this.config.retry;
+        if (!retry) return null;
+
+        const defaults = {
+            attempts: 3,        // Retries after the first failure
+            backoff: 500,       // Base delay (ms), doubled each retry, or (retry) => ms
+            maxDelay: 10000,
+            retryOn: [502, 503, 504, 'network']
+        };
+
+        if (typeof retry === 'number') return { ...defaults, attempts: retry };
+        if (typeof retry === 'object') return { ...defaults, ...retry };
+        return defaults;
+    }
+
+    /**
+     * Delay before a retry (Retry-After header wins when present)
+     */
+    getRetryDelay(policy, retry, response) {
+        const retryAfter = parseInt(response?.headers?.get?.('Retry-After'));
+        if (!isNaN(retryAfter)) {
+            return Math.min(retryAfter * 1000, policy.maxDelay);
+        }
+
+        const delay = typeof policy.backoff === 'function'
+            ? policy.backoff(retry)
+            : policy.backoff * Math.pow(2, retry - 1);
+        return Math.min(delay, policy.maxDelay);
+    }
+
+    /**
+     * fetch with the retry policy; resolves with the last response
+     */
+    async fetchWithRetry(config, controller) {
+        const policy = this.getRetryPolicy();
+
+        for (let retry = 1; ; retry++) {
+            let response = null;
+            let failure = null;
+            let reason;
+
+            try {
+                response = await this.fetchOnce(config, controller);
+                if (response.ok) return response;
+                reason = response.status;
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                failure = error;
+                reason = error.timeout ? 'timeout' : 'network';
+            }
+
+            const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            if (!policy || offline || retry > policy.attempts || !policy.retryOn.includes(reason)) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            const delay = this.getRetryDelay(policy, retry, response);
+            if (this.onRetry) {
+                this.onRetry({ attempt: retry, attempts: policy.attempts, delay, reason, url: config.url });
+            }
+            await wait(delay, controller.signal);
+        }
+    }
+
+    /**
+     * Single fetch attempt (config.timeout applies per attempt)
+     */
+    async fetchOnce(config, controller) {
+        const attempt = new AbortController();
+        const onAbort = () => attempt.abort();
+        controller.signal.addEventListener('abort', onAbort);
+
+        let timedOut = false;
+        const timeoutId = this.config.timeout
+            ? setTimeout(() => {
+                timedOut = true;
+                attempt.abort();
+            }, this.config.timeout)
+            : null;
+
+        try {
+            return await fetch(config.url, {
+                method: config.method,
+                headers: config.headers,
+                body: config.method !== 'GET' ? JSON.stringify(config.data) : null,
+                signal: attempt.signal
+            });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Request timeout after ${this.config.timeout}ms`);
+                timeoutError.timeout = true;
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            if (timeoutId) {
+                clearTimeout(timeoutId);
+            }
+            controller.signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Abort the request in flight (if any)
+     */
+    abort() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
     /**
      * Prepare request configuration
+     * overrides: { url, method, data } for requests to other endpoints (row updates)
      */
-    async prepareRequest(params) {
+    async prepareRequest(params, overrides = {}) {
         let config = {
-            url: this.buildUrl(params),
-            method: this.config.method || 'GET',
-            headers: { ...this.config.headers },
-            data: this.config.data ? this.config.data(params) : params
+            url: overrides.url ?? this.buildUrl(params),
+            method: overrides.method || this.config.method || 'GET',
+            headers: this.buildHeaders(),
+            data: overrides.data ?? (this.config.data ? this.config.data(params) : params)
         };
 
+        // Apply request interceptor
+        if (this.config.beforeRequest) {
+            config = await this.config.beforeRequest(config);
+        }
+
+        return config;
+    }
+
+    /**
+     * Build request headers (configured headers + CSRF token)
+     */
+    buildHeaders() {
+        const headers = { ...this.config.headers };
+
         // Add CSRF token if available
         const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content;
         if (csrfToken) {
-            config.headers['X-CSRF-TOKEN'] = csrfToken;
+            headers['X-CSRF-TOKEN'] = csrfToken;
         }
 
-        // Apply request interceptor
-        if (this.config.beforeRequest) {
-            config = await this.config.beforeRequest(config);
+        return headers;
+    }
+
+    /**
+     * Send a row update to the api.update endpoint (inline editing)
+     * Config: update: '/api/users/{id}' or { url, method, data: (change) => body }
+     * Goes through beforeSend (receives the body, false cancels), beforeRequest, timeout and retry
+     */
+    async update(change) {
+        const updateConfig = typeof this.config.update === 'string'
+            ? { url: this.config.update }
+            : (this.config.update || {});
+
+        if (!updateConfig.url) {
+            throw new Error('API update URL is not configured');
         }
 
-        return config;
+        const url = updateConfig.url.replace('{id}', encodeURIComponent(change.id ?? ''));
+        const body = updateConfig.data ? updateConfig.data(change) : {
+            id: change.id,
+            column: change.column,
+            value: change.value,
+            row: change.row
+        };
+
+        if (this.config.beforeSend && await this.config.beforeSend(body) === false) {
+            throw new Error('Update cancelled');
+        }
+
+        const config = await this.prepareRequest(body, {
+            url,
+            method: updateConfig.method || 'PUT',
+            data: body
+        });
+
+        // Own controller: a new draw (abort()) does not cancel the save
+        const response = await this.fetchWithRetry(config, new AbortController());
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Cached pages may contain the old value
+        if (this.cache) {
+            this.cache.clear();
+        }
+
+        // Some endpoints return 204 No Content
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Request a file (server-side export): returns { blob, filename }
+     */
+    async download(params = {}) {
+        const config = await this.prepareRequest(params);
+        const headers = { ...config.headers };
+        delete headers['Accept'];
+
+        const response = await fetch(config.url, {
+            method: config.method,
+            headers,
+            body: config.method !== 'GET' ? JSON.stringify(config.data) : null
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Content-Disposition: attachment; filename="report.xlsx"
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+        return {
+            blob: await response.blob(),
+            filename: match ? decodeURIComponent(match[1]) : null
+        };
     }
 
     /**
@@ -144,7 +439,10 @@ export class ApiClient {
             const url = new URL(baseUrl, window.location.origin);
             Object.entries(params).forEach(([key, value]) => {
                 if (value !== null && value !== undefined) {
-                    if (Array.isArray(value)) {
+                    if (Array.isArray(value) && key.endsWith('[]')) {
+                        // Repeated params: filter[role][]=admin&filter[role][]=editor
+                        value.forEach(item => url.searchParams.append(key, item));
+                    } else if (Array.isArray(value)) {
                         value.forEach((item, index) => {
                             if (typeof item === 'object' && item !== null) {
                                 Object.entries(item).forEach(([subKey, subValue]) => {
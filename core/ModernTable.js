@@ -4,7 +4,8 @@
  */
 
 import { EventEmitter } from "./EventEmitter.js";
-import { ApiClient } from "./ApiClient.js";
+import { ApiClient, isAbortError } from "./ApiClient.js";
+import { resolveProtocol } from "./protocols.js";
 import { StateManager } from "./StateManager.js";
 import {
   createElement,
@@ -16,6 +17,7 @@ import {
   detectFramework,
 } from "../utils/dom.js";
 import { debounce } from "../utils/debounce.js";
+import { matchesFilterTree } from "../utils/filterTree.js";
 
 import { FilterPanel } from "../components/FilterPanel.js";
 import { ExportPlugin } from "../plugins/ExportPlugin.js";
@@ -26,6 +28,17 @@ import { ThemePlugin } from "../plugins/ThemePlugin.js";
 import { KeyboardPlugin } from "../plugins/KeyboardPlugin.js";
 import { AccessibilityPlugin } from "../plugins/AccessibilityPlugin.js";
 import { FixedColumnsPlugin } from "../plugins/FixedColumnsPlugin.js";
+import { ScrollerPlugin } from "../plugins/ScrollerPlugin.js";
+import { EditorPlugin } from "../plugins/EditorPlugin.js";
+import { RowGroupPlugin } from "../plugins/RowGroupPlugin.js";
+import { FooterPlugin } from "../plugins/FooterPlugin.js";
+import { ColReorderPlugin } from "../plugins/ColReorderPlugin.js";
+import { ColResizePlugin } from "../plugins/ColResizePlugin.js";
+import { ConnectionPlugin } from "../plugins/ConnectionPlugin.js";
+import { PrefetchPlugin } from "../plugins/PrefetchPlugin.js";
+import { InfiniteScrollPlugin } from "../plugins/InfiniteScrollPlugin.js";
+import { LivePlugin } from "../plugins/LivePlugin.js";
+import { HeaderFilterPlugin } from "../plugins/HeaderFilterPlugin.js";
 
 export class ModernTable extends EventEmitter {
   constructor(selector, options = {}) {
@@ -60,7 +73,9 @@ export class ModernTable extends EventEmitter {
     this.data = this.options.data || []; // Support client-side data
     this.originalData = [...this.data]; // Keep original for filtering
     this.filteredData = [];
+    this.aggregates = null; // Server-supplied footer aggregates
     this.currentPage = 1;
+    this.cursors = [null]; // Cursor pagination: cursors[n] requests page n + 1
     this.totalRecords = this.data.length;
     this.isLoading = false;
 
@@ -73,6 +88,8 @@ export class ModernTable extends EventEmitter {
 
     // Initialize core components
     this.apiClient = new ApiClient(this.options.api);
+    this.apiClient.onRetry = (retry) => this.emit("retry", retry);
+    this.protocol = resolveProtocol(this.options.protocol, this.options.api);
     this.stateManager = new StateManager(this);
 
     // Initialize column visibility state
@@ -99,12 +116,14 @@ export class ModernTable extends EventEmitter {
     // Data source
     api: null,
     data: null, // Client-side data array
+    protocol: "datatables", // Server request/response format: datatables, laravel, jsonapi, odata or { buildRequest, parseResponse }
 
     // Columns
     columns: [],
 
     // Pagination
-    paging: true,
+    paging: true, // true, false, "infinite" (scroll) or "loadMore" (button)
+    pagination: "numbers", // "numbers" or "cursor" (server-side next/prev cursors, no total)
     pageLength: 10,
     lengthMenu: [5, 10, 25, 50, 100],
 
@@ -119,6 +138,7 @@ export class ModernTable extends EventEmitter {
     // Sorting
     ordering: true,
     order: [],
+    sortLocale: null, // Locale for string collation (null = browser default)
 
     // Selection
     select: false,
@@ -130,6 +150,18 @@ export class ModernTable extends EventEmitter {
     // Fixed Columns
     fixedColumns: false,
 
+    // Virtual scrolling (true or { height, rowHeight, buffer })
+    scroller: false,
+
+    // Row grouping ({ dataSrc, startRender, endRender, aggregates })
+    rowGroup: null,
+
+    // Column reordering (true or { order, fixedColumnsLeft, fixedColumnsRight })
+    colReorder: false,
+
+    // Column resizing (true or { minWidth, maxWidth })
+    colResize: false,
+
     // Theme
     theme: "auto", // 'light', 'dark', 'auto'
 
@@ -146,6 +178,21 @@ export class ModernTable extends EventEmitter {
     // Buttons
     buttons: [],
 
+    // Export ({ serverSide, url, mode: 'all' | 'paged' | 'file', pageSize })
+    export: null,
+
+    // Offline banner + reload on reconnect for API tables (true, false or { message, reload })
+    offline: true,
+
+    // Background loading of adjacent server-side pages (true or { pages })
+    prefetch: false,
+
+    // Live row updates ({ source: EventSource | WebSocket | url, key, highlight, parse, message })
+    live: null,
+
+    // Header filters of columns with headerFilter: true ({ distinct: url | function } for server-side)
+    headerFilter: null,
+
     // State
     stateSave: false,
     stateDuration: 7200,
@@ -157,6 +204,8 @@ export class ModernTable extends EventEmitter {
       info: "Showing _START_ to _END_ of _TOTAL_ entries",
       infoEmpty: "Showing 0 to 0 of 0 entries",
       infoFiltered: "(filtered from _MAX_ total entries)",
+      infoCursor: "Showing _START_–_END_",
+      loadMore: "Load more",
       paginate: {
         first: "First",
         last: "Last",
@@ -480,7 +529,7 @@ export class ModernTable extends EventEmitter {
     // Prioritize extend over action (for export buttons with column filtering)
     if (
       config.extend &&
-      ["csv", "excel", "pdf", "print", "copy"].includes(config.extend)
+      ["csv", "excel", "pdf", "json", "print", "copy"].includes(config.extend)
     ) {
       // Handle built-in export actions with exportColumns support
       button.addEventListener("click", (e) => {
@@ -537,6 +586,11 @@ export class ModernTable extends EventEmitter {
         className: "btn btn-danger btn-sm btn-pdf",
         action: () => this.plugins.export?.exportPDF(),
       },
+      json: {
+        text: hasFontAwesome ? '<i class="fas fa-file-code"></i> JSON' : "JSON",
+        className: "btn btn-secondary btn-sm btn-json",
+        action: () => this.plugins.export?.exportJSON(),
+      },
       print: {
         text: hasFontAwesome ? '<i class="fas fa-print"></i> Print' : "Print",
         className: "btn btn-info btn-sm btn-print",
@@ -705,6 +759,7 @@ export class ModernTable extends EventEmitter {
         "data-column": index,
         style: "box-sizing: border-box; min-width: 80px;",
       });
+      searchInput.value = this.getColumnSearchValue(index) || "";
 
       // Add event listener with debounce
       searchInput.addEventListener(
@@ -861,6 +916,34 @@ export class ModernTable extends EventEmitter {
       this.components.filterPanel = new FilterPanel(this);
     }
 
+    // Scroller wraps the table, other plugins check for it on init
+    if (this.options.scroller) {
+      if (this.isClientSide) {
+        this.plugins.scroller = new ScrollerPlugin(this);
+      } else {
+        console.warn("ScrollerPlugin is only supported with client-side data");
+      }
+    }
+
+    if (
+      this.options.paging === "infinite" ||
+      this.options.paging === "loadMore"
+    ) {
+      if (this.plugins.scroller) {
+        console.warn("InfiniteScrollPlugin is not supported with scroller");
+      } else {
+        this.plugins.infinite = new InfiniteScrollPlugin(this);
+      }
+    }
+
+    if (this.options.rowGroup) {
+      if (this.plugins.scroller) {
+        console.warn("RowGroupPlugin is not supported with scroller");
+      } else {
+        this.plugins.rowGroup = new RowGroupPlugin(this);
+      }
+    }
+
     if (this.options.buttons && this.options.buttons.length > 0) {
       this.plugins.export = new ExportPlugin(this);
     }
@@ -886,6 +969,27 @@ export class ModernTable extends EventEmitter {
         console.warn("ThemePlugin failed:", error);
       }
     }
+    if (this.options.api && this.options.offline) {
+      try {
+        this.plugins.connection = new ConnectionPlugin(this);
+      } catch (error) {
+        console.warn("ConnectionPlugin failed:", error);
+      }
+    }
+    if (this.options.prefetch && !this.isClientSide) {
+      try {
+        this.plugins.prefetch = new PrefetchPlugin(this);
+      } catch (error) {
+        console.warn("PrefetchPlugin failed:", error);
+      }
+    }
+    if (this.options.live) {
+      try {
+        this.plugins.live = new LivePlugin(this);
+      } catch (error) {
+        console.warn("LivePlugin failed:", error);
+      }
+    }
     if (this.options.keyboard) {
       try {
         this.plugins.keyboard = new KeyboardPlugin(this);
@@ -907,6 +1011,44 @@ export class ModernTable extends EventEmitter {
         console.warn("FixedColumnsPlugin failed:", error);
       }
     }
+    if (this.options.columns.some((column) => column.footer)) {
+      try {
+        this.plugins.footer = new FooterPlugin(this);
+      } catch (error) {
+        console.warn("FooterPlugin failed:", error);
+      }
+    }
+    if (this.options.columns.some((column) => column.headerFilter)) {
+      try {
+        this.plugins.headerFilter = new HeaderFilterPlugin(this);
+      } catch (error) {
+        console.warn("HeaderFilterPlugin failed:", error);
+      }
+    }
+    if (this.options.columns.some((column) => column.editable)) {
+      try {
+        this.plugins.editor = new EditorPlugin(this);
+      } catch (error) {
+        console.warn("EditorPlugin failed:", error);
+      }
+    }
+    // Created last: reordering notifies the plugins above through "columnReorder"
+    if (this.options.colReorder) {
+      try {
+        this.plugins.colReorder = new ColReorderPlugin(this);
+        this.colReorder = this.plugins.colReorder;
+      } catch (error) {
+        console.warn("ColReorderPlugin failed:", error);
+      }
+    }
+    if (this.options.colResize) {
+      try {
+        this.plugins.colResize = new ColResizePlugin(this);
+        this.colResize = this.plugins.colResize;
+      } catch (error) {
+        console.warn("ColResizePlugin failed:", error);
+      }
+    }
   }
 
   /**
@@ -928,7 +1070,8 @@ export class ModernTable extends EventEmitter {
         const th = e.target.closest("th[data-column]");
         if (th && th.classList.contains("sortable")) {
           const columnIndex = parseInt(th.dataset.column);
-          this.plugins.sorting.toggleSort(columnIndex);
+          // Shift+click adds the column to the sort stack (multi-column sort)
+          this.plugins.sorting.toggleSort(columnIndex, e.shiftKey);
         }
       });
     }
@@ -942,13 +1085,12 @@ export class ModernTable extends EventEmitter {
         }
       });
 
-      // Select all checkbox
-      const selectAllCheckbox = find(".select-all-checkbox", this.thead);
-      if (selectAllCheckbox) {
-        selectAllCheckbox.addEventListener("change", (e) => {
+      // Select all checkbox (delegated, the header can be rebuilt)
+      this.thead.addEventListener("change", (e) => {
+        if (e.target.classList.contains("select-all-checkbox")) {
           this.plugins.selection.toggleAllSelection(e.target.checked);
-        });
-      }
+        }
+      });
     }
 
     // Row click event
@@ -1007,6 +1149,7 @@ export class ModernTable extends EventEmitter {
     } catch (error) {
       console.error("Failed to load data:", error);
       this.showError(error.message);
+      this.emit("error", error);
     } finally {
       this.showLoading(false);
     }
@@ -1015,7 +1158,7 @@ export class ModernTable extends EventEmitter {
   /**
    * Load data from API (server-side processing)
    */
-  async loadData() {
+  async loadData(options = {}) {
     const apiUrl =
       typeof this.apiClient.config === "string"
         ? this.apiClient.config
@@ -1033,67 +1176,52 @@ export class ModernTable extends EventEmitter {
       return;
     }
 
-    try {
-      this.showLoading(true);
-
-      const params = this.buildRequestParams();
-      const response = await this.apiClient.request(params);
+    // A newer draw replaces the request in flight
+    this.apiClient.abort();
+    this.plugins.infinite?.beforeDraw();
 
-      if (response.success !== false) {
-        this.processResponse(response);
-        this.renderData();
-        this.updatePagination();
-        this.updateInfo();
+    // Pages without a known cursor (e.g. restored state) start over
+    if (this.isCursorPagination() && this.currentPage > this.cursors.length) {
+      this.currentPage = 1;
+    }
 
-        this.emit("dataLoaded", this.data, {
-          total: this.totalRecords,
-          filtered: this.filteredRecords,
-          current_page: this.currentPage,
-          last_page: this.totalPages,
-        });
-        // Emit initComplete event
-        this.emit("initComplete", this.data, {
-          total: this.totalRecords,
-          filtered: this.filteredRecords,
-          current_page: this.currentPage,
-          last_page: this.totalPages,
-        });
+    this.drawCounter = (this.drawCounter || 0) + 1;
+    const state = this.buildRequestState();
+    const params = this.buildRequestParams(state);
+    const draw = state.draw;
+    this.plugins.prefetch?.beforeLoad(state);
 
-        if (this.options.initComplete) {
-          this.options.initComplete(this.data, {
-            total: this.totalRecords,
-            filtered: this.filteredRecords,
-            current_page: this.currentPage,
-            last_page: this.totalPages,
-          });
-        }
+    try {
+      this.showLoading(true);
 
-        // Call preDrawCallback before rendering
-        if (this.options.preDrawCallback) {
-          this.options.preDrawCallback({
-            data: this.data,
-            recordsTotal: this.totalRecords,
-            recordsFiltered: this.filteredRecords,
-          });
-        }
+      // Pages loaded by the prefetch plugin are drawn without a request
+      const prefetched = options.cache !== false ? await this.plugins.prefetch?.take(params) : null;
+      const response = prefetched || await this.apiClient.request(params, {
+        cache: options.cache,
+        // Stale cached page was shown: redraw with the fresh response
+        onRevalidate: (fresh) => {
+          if (draw === this.drawCounter && fresh && fresh.success !== false) {
+            this.drawResponse(fresh);
+          }
+        },
+      });
 
-        // Call drawCallback after table is drawn
-        if (this.options.drawCallback) {
-          this.options.drawCallback({
-            data: this.data,
-            recordsTotal: this.totalRecords,
-            recordsFiltered: this.filteredRecords,
-          });
-        }
+      // Response of an older draw (a newer request already started)
+      if (draw < this.drawCounter) {
+        return;
+      }
 
-        // Apply column visibility after data is fully loaded
-        setTimeout(() => {
-          this.applyAllColumnVisibility();
-        }, 50);
+      if (response.success !== false) {
+        this.drawResponse(response);
       } else {
         throw new Error(response.message || "API returned error");
       }
     } catch (error) {
+      if (isAbortError(error) || draw < this.drawCounter) {
+        this.emit("aborted", { draw });
+        return;
+      }
+
       console.error("Failed to load data:", error);
       this.showError(error.message);
       this.emit("error", error);
@@ -1101,114 +1229,176 @@ export class ModernTable extends EventEmitter {
         this.options.onError(error);
       }
     } finally {
-      this.showLoading(false);
+      // The newer draw keeps the overlay until it completes
+      if (draw >= this.drawCounter) {
+        this.showLoading(false);
+      }
     }
   }
 
   /**
-   * Build request parameters - DataTables Compatible
+   * Process a server response and draw it
    */
-  buildRequestParams() {
-    // Initialize draw counter if not exists
-    if (!this.drawCounter) this.drawCounter = 0;
-    this.drawCounter++;
+  drawResponse(response) {
+    if (this.processResponse(response) === false) return;
+    this.renderData();
+    this.updatePagination();
+    this.updateInfo();
 
-    // DataTables format parameters
-    const params = {
-      draw: this.drawCounter,
-      start: (this.currentPage - 1) * this.options.pageLength,
-      length: this.options.pageLength,
-    };
+    this.emit("dataLoaded", this.data, {
+      total: this.totalRecords,
+      filtered: this.filteredRecords,
+      current_page: this.currentPage,
+      last_page: this.totalPages,
+    });
+    // Emit initComplete event
+    this.emit("initComplete", this.data, {
+      total: this.totalRecords,
+      filtered: this.filteredRecords,
+      current_page: this.currentPage,
+      last_page: this.totalPages,
+    });
+
+    if (this.options.initComplete) {
+      this.options.initComplete(this.data, {
+        total: this.totalRecords,
+        filtered: this.filteredRecords,
+        current_page: this.currentPage,
+        last_page: this.totalPages,
+      });
+    }
+
+    // Call preDrawCallback before rendering
+    if (this.options.preDrawCallback) {
+      this.options.preDrawCallback({
+        data: this.data,
+        recordsTotal: this.totalRecords,
+        recordsFiltered: this.filteredRecords,
+      });
+    }
 
-    // Add columns info (DataTables format - exact same as DataTables)
-    params.columns = this.options.columns.map((col, index) => {
-      const columnSearchValue = this.getColumnSearchValue(index) || "";
+    // Call drawCallback after table is drawn
+    if (this.options.drawCallback) {
+      this.options.drawCallback({
+        data: this.data,
+        recordsTotal: this.totalRecords,
+        recordsFiltered: this.filteredRecords,
+      });
+    }
+
+    // Apply column visibility after data is fully loaded
+    setTimeout(() => {
+      this.applyAllColumnVisibility();
+    }, 50);
+  }
+
+  /**
+   * Current request state (paging, search, order, filters) of the current draw
+   * No side effects: loadData() starts a new draw before building it
+   */
+  buildRequestState() {
+    const searchTerm =
+      this.searchInput?.value?.trim() || this.stateManager?.pendingSearch || "";
+    const sortStack = this.plugins?.sorting?.getSortStack() || [];
 
-      return {
+    return {
+      draw: this.drawCounter || 0,
+      start: (this.currentPage - 1) * this.options.pageLength,
+      length: this.options.pageLength,
+      search: searchTerm,
+      columns: this.options.columns.map((col, index) => ({
         data: col.data,
         name: col.name || col.data,
         searchable: col.searchable !== false,
         orderable: col.orderable !== false,
-        search: {
-          value: columnSearchValue,
-          regex: false,
-        },
-      };
-    });
-
-    // Add search (DataTables format - exact same as DataTables)
-    const searchTerm =
-      this.searchInput?.value?.trim() || this.stateManager?.pendingSearch || "";
-    params.search = {
-      value: searchTerm || "",
-      regex: false,
+        search: this.getColumnSearchValue(index) || "",
+      })),
+      order: sortStack.map((sort) => ({
+        column: sort.column,
+        name:
+          this.options.columns[sort.column]?.name ||
+          this.options.columns[sort.column]?.data,
+        dir: sort.dir,
+      })),
+      // Group field(s) so the server can order by group first
+      rowGroup: this.plugins?.rowGroup?.getDataSrc(),
+      // Filter panel values (column => value or array of values)
+      filters: this.components?.filterPanel?.getFilters() || {},
+      // Header filter selections (column => array of values), combined with the panel (AND)
+      headerFilters: this.plugins?.headerFilter?.getValues() || {},
+      // Filter builder tree ({ logic, conditions }) or null
+      advancedFilter: this.components?.filterPanel?.getAdvancedFilter() || null,
+      // Cursor of the requested page (cursor pagination only)
+      cursor: this.isCursorPagination()
+        ? this.cursors[this.currentPage - 1] ?? null
+        : undefined,
     };
+  }
 
-    // Add ordering (DataTables format - exact same as DataTables)
-    const currentSort = this.plugins?.sorting?.getCurrentSort();
-    if (currentSort) {
-      params.order = [
-        {
-          column: currentSort.column,
-          dir: currentSort.dir,
-        },
-      ];
-    } else {
-      params.order = [];
-    }
+  /**
+   * Cursor pagination (server-side only)
+   */
+  isCursorPagination() {
+    return this.options.pagination === "cursor" && !this.isClientSide;
+  }
 
-    // Add filters as additional parameters (ModernTable enhancement)
-    const filters = this.components?.filterPanel?.getFilters();
-    if (filters && Object.keys(filters).length > 0) {
-      params.filters = filters;
-    }
+  /**
+   * Whether a page follows the current one (cursor pagination: a next cursor was returned)
+   */
+  get hasNextPage() {
+    return this.currentPage < this.totalPages;
+  }
 
-    return params;
+  /**
+   * Build request parameters with the protocol adapter (DataTables by default)
+   */
+  buildRequestParams(state = this.buildRequestState()) {
+    return this.protocol.buildRequest(state);
   }
 
   /**
    * Process API response - DataTables Compatible + Enhanced
    */
   processResponse(response) {
-    // DataTables format (primary)
-    if (response.recordsTotal !== undefined) {
-      this.data = response.data || [];
-      this.totalRecords = response.recordsTotal;
-      this.filteredRecords = response.recordsFiltered || response.recordsTotal;
+    const result = this.protocol.parseResponse(response);
 
-      // Calculate pagination from DataTables format
-      this.totalPages = Math.ceil(
-        this.filteredRecords / this.options.pageLength
-      );
-
-      // Current page is already set in this.currentPage (from goToPage or initial)
-      // No need to calculate from response since DataTables doesn't return current page
-    }
-    // ModernTable format (fallback)
-    else if (response.data) {
-      this.data = response.data;
-      this.totalRecords = response.meta?.total || response.data.length;
-      this.filteredRecords = response.meta?.filtered || this.totalRecords;
-      this.currentPage = response.meta?.current_page || 1;
-      this.totalPages =
-        response.meta?.last_page ||
-        Math.ceil(this.filteredRecords / this.options.pageLength);
-    }
-    // Array format (simple)
-    else if (Array.isArray(response)) {
-      this.data = response;
-      this.totalRecords = response.length;
-      this.filteredRecords = response.length;
-      this.totalPages = Math.ceil(response.length / this.options.pageLength);
-    } else {
-      throw new Error("Invalid response format");
+    // Ignore responses of older draws (returns false)
+    if (
+      result.draw !== undefined &&
+      result.draw !== null &&
+      parseInt(result.draw) < this.drawCounter
+    ) {
+      return false;
     }
 
     // Handle optional ModernTable enhancements
-    if (response.success === false) {
+    if (response?.success === false) {
       throw new Error(response.message || "Server returned error");
     }
 
+    // Optional server totals for column footers
+    this.aggregates = response?.aggregates || null;
+
+    this.data = result.data || [];
+    this.plugins.infinite?.collect();
+    this.totalRecords = result.recordsTotal ?? this.data.length;
+    this.filteredRecords = result.recordsFiltered ?? this.totalRecords;
+
+    if (this.isCursorPagination()) {
+      // Next cursor opens the following page; later cursors are outdated
+      this.cursors.length = this.currentPage;
+      this.cursors[this.currentPage] = result.nextCursor ?? null;
+      this.totalPages = this.currentPage + (result.nextCursor ? 1 : 0);
+    } else {
+      // Adapters that know the page (e.g. meta.current_page) override the requested one
+      if (result.page) {
+        this.currentPage = result.page;
+      }
+      this.totalPages =
+        result.lastPage ||
+        Math.ceil(this.filteredRecords / this.options.pageLength);
+    }
+
     // Store message for potential display
     this.lastMessage = response.message;
   }
@@ -1235,31 +1425,66 @@ export class ModernTable extends EventEmitter {
       return;
     }
 
-    // Use DocumentFragment for batch DOM operations
-    const fragment = document.createDocumentFragment();
+    // Infinite scroll: index of the first appended row (null = full render)
+    const appendFrom = this.plugins.infinite?.takeAppendFrom() ?? null;
+    const appendedRows = [];
+
+    if (this.plugins.scroller) {
+      // Virtual scrolling: only rows in view are rendered
+      this.plugins.scroller.render();
+    } else if (appendFrom !== null) {
+      // Rendered rows stay untouched: selection and open details are kept
+      const fragment = document.createDocumentFragment();
+      this.data.slice(appendFrom).forEach((rowData, offset) => {
+        const row = this.createRow(rowData, appendFrom + offset);
+        appendedRows.push(row);
+        fragment.appendChild(row);
+      });
+      this.tbody.appendChild(fragment);
+    } else {
+      // Use DocumentFragment for batch DOM operations
+      const fragment = document.createDocumentFragment();
 
-    // Batch row creation
-    this.data.forEach((rowData, index) => {
-      const row = this.createRow(rowData, index);
-      fragment.appendChild(row);
-    });
+      // Batch row creation
+      this.data.forEach((rowData, index) => {
+        const row = this.createRow(rowData, index);
+        fragment.appendChild(row);
+      });
+
+      // Single DOM update
+      this.tbody.innerHTML = "";
+      this.tbody.appendChild(fragment);
 
-    // Single DOM update
-    this.tbody.innerHTML = "";
-    this.tbody.appendChild(fragment);
+      // Group header/footer rows
+      if (this.plugins.rowGroup) {
+        this.plugins.rowGroup.draw();
+      }
+    }
 
     // Apply column visibility immediately
     this.applyAllColumnVisibility();
 
     // Setup responsive layout
     if (this.plugins.responsive) {
-      this.plugins.responsive.updateAfterDataLoad();
+      if (appendFrom !== null) {
+        this.plugins.responsive.updateAppendedRows(appendedRows);
+      } else {
+        this.plugins.responsive.updateAfterDataLoad();
+      }
     }
 
-    // Call rowCallback for each row
-    if (this.options.rowCallback) {
-      const rows = this.tbody.querySelectorAll("tr");
-      rows.forEach((row, index) => {
+    if (appendFrom !== null) {
+      this.plugins.selection?.updateSelectAllCheckbox();
+    }
+
+    // Call rowCallback for each row (scroller calls it per rendered row)
+    if (this.options.rowCallback && !this.plugins.scroller) {
+      const rows =
+        appendFrom !== null
+          ? appendedRows
+          : this.tbody.querySelectorAll("tr[data-index]");
+      rows.forEach((row) => {
+        const index = parseInt(row.dataset.index);
         if (this.data[index]) {
           this.options.rowCallback(row, this.data[index], index);
         }
@@ -1316,6 +1541,23 @@ export class ModernTable extends EventEmitter {
    * Create table row - OPTIMIZED with innerHTML building
    */
   createRow(rowData, index) {
+    // Create row element with innerHTML (faster than DOM manipulation)
+    const row = document.createElement("tr");
+    row.setAttribute("data-index", index);
+    row.innerHTML = this.getRowHTML(rowData, index);
+
+    // Call createdRow callback when row DOM element is created
+    if (this.options.createdRow) {
+      this.options.createdRow(row, rowData, index);
+    }
+
+    return row;
+  }
+
+  /**
+   * Build cells HTML for a row
+   */
+  getRowHTML(rowData, index) {
     let rowHTML = "";
 
     // Selection column
@@ -1326,25 +1568,7 @@ export class ModernTable extends EventEmitter {
 
     // Data columns
     this.options.columns.forEach((column) => {
-      let cellValue = this.getCellValue(rowData, column.data);
-
-      // Special handling for DT_RowIndex
-      if (column.data === "DT_RowIndex") {
-        const start = (this.currentPage - 1) * this.options.pageLength + 1;
-        cellValue = start + index;
-      }
-
-      // Apply render function
-      if (column.render) {
-        if (typeof column.render === "function") {
-          cellValue = column.render(cellValue, "display", rowData, {
-            row: index,
-            col: 0,
-          });
-        } else if (typeof column.render === "string") {
-          cellValue = this.applyBuiltinRenderer(cellValue, column.render);
-        }
-      }
+      const cellValue = this.renderCellValue(rowData, column, index);
 
       // Build cell HTML
       let cellAttrs = "";
@@ -1355,17 +1579,36 @@ export class ModernTable extends EventEmitter {
       rowHTML += `<td${cellAttrs}>${cellValue || ""}</td>`;
     });
 
-    // Create row element with innerHTML (faster than DOM manipulation)
-    const row = document.createElement("tr");
-    row.setAttribute("data-index", index);
-    row.innerHTML = rowHTML;
+    return rowHTML;
+  }
 
-    // Call createdRow callback when row DOM element is created
-    if (this.options.createdRow) {
-      this.options.createdRow(row, rowData, index);
+  /**
+   * Get display value (rendered) for a single cell
+   */
+  renderCellValue(rowData, column, index) {
+    let cellValue = this.getCellValue(rowData, column.data);
+
+    // Special handling for DT_RowIndex (infinite scroll rows are numbered from the first page)
+    if (column.data === "DT_RowIndex") {
+      const start = this.plugins.infinite
+        ? 1
+        : (this.currentPage - 1) * this.options.pageLength + 1;
+      cellValue = start + index;
     }
 
-    return row;
+    // Apply render function
+    if (column.render) {
+      if (typeof column.render === "function") {
+        cellValue = column.render(cellValue, "display", rowData, {
+          row: index,
+          col: 0,
+        });
+      } else if (typeof column.render === "string") {
+        cellValue = this.applyBuiltinRenderer(cellValue, column.render, column);
+      }
+    }
+
+    return cellValue;
   }
 
   /**
@@ -1380,10 +1623,28 @@ export class ModernTable extends EventEmitter {
     }, rowData);
   }
 
+  /**
+   * Set cell value in row data (supports nested paths like 'user.name')
+   */
+  setCellValue(rowData, dataPath, value) {
+    if (!dataPath) return;
+
+    const keys = dataPath.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => {
+      if (obj[key] === undefined || obj[key] === null) {
+        obj[key] = {};
+      }
+      return obj[key];
+    }, rowData);
+
+    target[last] = value;
+  }
+
   /**
    * Apply built-in renderers
    */
-  applyBuiltinRenderer(value, type) {
+  applyBuiltinRenderer(value, type, column = {}) {
     switch (type) {
       case "badge":
         const badgeClass = value === "active" ? "success" : "secondary";
@@ -1391,9 +1652,9 @@ export class ModernTable extends EventEmitter {
       case "date":
         return new Date(value).toLocaleDateString();
       case "currency":
-        return new Intl.NumberFormat("en-US", {
+        return new Intl.NumberFormat(column.locale || "en-US", {
           style: "currency",
-          currency: "USD",
+          currency: column.currency || "USD",
         }).format(value);
       case "boolean":
         return value ? "Yes" : "No";
@@ -1455,13 +1716,22 @@ export class ModernTable extends EventEmitter {
   updatePagination() {
     if (!this.options.paging || !this.paginationElement) return;
 
+    // Infinite scroll: sentinel or "Load more" button instead of page links
+    if (this.plugins.infinite) {
+      this.plugins.infinite.render();
+      return;
+    }
+
     const pagination = createElement("ul", {
       className: `${this.classes.pagination} pagination-sm mb-0`,
     });
 
+    // Cursor pagination: Previous/Next only (no page count)
+    const cursor = this.isCursorPagination();
+
     // First button (large desktop only)
     const isMobile = window.innerWidth <= 768;
-    if (this.totalPages > 7) {
+    if (!cursor && this.totalPages > 7) {
       const firstItem = createElement("li", {
         className: `${this.classes.pageItem} page-first ${
           this.currentPage <= 1 ? "disabled" : ""
@@ -1510,7 +1780,9 @@ export class ModernTable extends EventEmitter {
     pagination.appendChild(prevItem);
 
     // Page numbers with ellipsis
-    this.createPageNumbers(pagination);
+    if (!cursor) {
+      this.createPageNumbers(pagination);
+    }
 
     // Next button
     const nextItem = createElement("li", {
@@ -1537,7 +1809,7 @@ export class ModernTable extends EventEmitter {
     pagination.appendChild(nextItem);
 
     // Last button (large desktop only)
-    if (this.totalPages > 7) {
+    if (!cursor && this.totalPages > 7) {
       const lastItem = createElement("li", {
         className: `${this.classes.pageItem} page-last ${
           this.currentPage >= this.totalPages ? "disabled" : ""
@@ -1702,11 +1974,24 @@ export class ModernTable extends EventEmitter {
   updateInfo() {
     if (!this.options.info || !this.infoElement) return;
 
-    const start = (this.currentPage - 1) * this.options.pageLength + 1;
-    const end = Math.min(
-      this.currentPage * this.options.pageLength,
-      this.filteredRecords
-    );
+    const showAll = this.options.pageLength === -1;
+    const cursor = this.isCursorPagination();
+    // Infinite scroll shows every loaded row
+    const start =
+      showAll || this.plugins.infinite
+        ? 1
+        : (this.currentPage - 1) * this.options.pageLength + 1;
+    // Cursor pagination has no total: the page ends after its rows
+    const end = cursor
+      ? start + this.data.length - 1
+      : this.plugins.infinite
+      ? Math.min(this.data.length, this.filteredRecords)
+      : showAll
+      ? this.filteredRecords
+      : Math.min(
+          this.currentPage * this.options.pageLength,
+          this.filteredRecords
+        );
 
     let infoText;
 
@@ -1727,6 +2012,13 @@ export class ModernTable extends EventEmitter {
         this.filteredRecords,
         ""
       );
+    } else if (cursor) {
+      infoText = (
+        this.options.language.infoCursor ||
+        ModernTable.defaults.language.infoCursor
+      )
+        .replace("_START_", this.data.length ? start : 0)
+        .replace("_END_", Math.max(end, 0));
     } else {
       // Default info text
       infoText = this.options.language.info
@@ -1816,7 +2108,9 @@ export class ModernTable extends EventEmitter {
    * Reload table data
    */
   reload() {
-    this.loadData();
+    // Reload always asks the server (cached and prefetched pages are refreshed)
+    this.plugins.prefetch?.cancel();
+    this.loadData({ cache: false });
   }
 
   // Filter methods moved to FilterPanel component
@@ -2039,14 +2333,23 @@ export class ModernTable extends EventEmitter {
 
     // Toggle body cells
     if (this.tbody) {
-      const bodyRows = this.tbody.querySelectorAll("tr");
+      const bodyRows = this.tbody.querySelectorAll("tr:not(.scroller-spacer)");
       bodyRows.forEach((row) => {
-        const cells = row.querySelectorAll("td");
+        // Skip full-width cells (group headers, details, messages)
+        const cells = row.querySelectorAll("td:not([colspan])");
         if (cells[domIndex]) {
           cells[domIndex].style.display = displayValue;
         }
       });
     }
+
+    // Toggle footer cells
+    this.element.querySelectorAll("tfoot tr").forEach((row) => {
+      const cells = row.querySelectorAll("th, td");
+      if (cells[domIndex]) {
+        cells[domIndex].style.display = displayValue;
+      }
+    });
   }
 
   /**
@@ -2239,6 +2542,10 @@ export class ModernTable extends EventEmitter {
     },
   };
 
+  cache = {
+    clear: () => this.apiClient.cache?.clear(),
+  };
+
   state = {
     save: () => this.saveState(),
     load: () => this.loadSavedState(),
@@ -2548,6 +2855,11 @@ export class ModernTable extends EventEmitter {
       orientation: config.orientation,
       pageSize: config.pageSize,
       sheetName: config.sheetName,
+      // Excel: one sheet per entry ({ sheetName, exportColumns })
+      sheets: config.sheets?.map((sheet) => ({
+        ...sheet,
+        columns: sheet.exportColumns ? this.getExportColumns(sheet.exportColumns) : exportColumns,
+      })),
     };
 
     // Call appropriate export method
@@ -2561,6 +2873,9 @@ export class ModernTable extends EventEmitter {
       case "pdf":
         this.plugins.export.exportPDF(exportOptions);
         break;
+      case "json":
+        this.plugins.export.exportJSON(exportOptions);
+        break;
       case "print":
         this.plugins.export.print(exportOptions);
         break;
@@ -2618,9 +2933,9 @@ export class ModernTable extends EventEmitter {
   }
 
   /**
-   * Process client-side data (filtering, sorting, pagination)
+   * Search, filter and sort originalData (client-side) without paging or rendering
    */
-  processClientSideData() {
+  getProcessedClientSideData() {
     let processedData = [...this.originalData];
 
     // Apply global search filter
@@ -2654,33 +2969,69 @@ export class ModernTable extends EventEmitter {
       });
     }
 
-    // Apply sorting
-    const currentSort = this.plugins?.sorting?.getCurrentSort();
-    if (currentSort) {
-      const column = this.options.columns[currentSort.column];
-      if (column) {
-        processedData.sort((a, b) => {
-          const aVal = this.getCellValue(a, column.data);
-          const bVal = this.getCellValue(b, column.data);
+    // Apply filter panel filters
+    const filterPanel = this.components?.filterPanel;
+    const activeFilters = filterPanel?.getActiveFilters() || [];
+    if (activeFilters.length > 0) {
+      processedData = processedData.filter((row) =>
+        filterPanel.matches(row, activeFilters)
+      );
+    }
 
-          let comparison = 0;
-          if (aVal < bVal) comparison = -1;
-          if (aVal > bVal) comparison = 1;
+    // Apply header filters (distinct values)
+    const headerFilter = this.plugins?.headerFilter;
+    if (headerFilter?.isActive()) {
+      processedData = processedData.filter((row) => headerFilter.matches(row));
+    }
 
-          return currentSort.dir === "desc" ? -comparison : comparison;
-        });
-      }
+    // Apply filter builder conditions
+    const advancedFilter = filterPanel?.getAdvancedFilter();
+    if (advancedFilter) {
+      processedData = processedData.filter((row) =>
+        matchesFilterTree(row, advancedFilter, (data, column) =>
+          this.getCellValue(data, column)
+        )
+      );
+    }
+
+    // Apply sorting (multi-column, stable)
+    if (this.plugins?.sorting) {
+      processedData = this.plugins.sorting.sortData(processedData);
+    }
+
+    // Keep grouped rows together (sort order is kept inside each group)
+    if (this.plugins?.rowGroup) {
+      processedData = this.plugins.rowGroup.sortData(processedData);
     }
 
+    return processedData;
+  }
+
+  /**
+   * Process client-side data (filtering, sorting, pagination)
+   */
+  processClientSideData() {
+    this.plugins?.infinite?.beforeDraw();
+    const processedData = this.getProcessedClientSideData();
+
     // Update totals
+    this.filteredData = processedData;
     this.totalRecords = this.originalData.length;
     this.filteredRecords = processedData.length;
-    this.totalPages = Math.ceil(this.filteredRecords / this.options.pageLength);
 
-    // Apply pagination
-    const start = (this.currentPage - 1) * this.options.pageLength;
-    const end = start + this.options.pageLength;
-    this.data = processedData.slice(start, end);
+    // Apply pagination ("All" = -1 shows every row on one page)
+    if (this.options.pageLength === -1) {
+      this.totalPages = 1;
+      this.data = processedData;
+    } else {
+      this.totalPages = Math.ceil(
+        this.filteredRecords / this.options.pageLength
+      );
+      const start = (this.currentPage - 1) * this.options.pageLength;
+      const end = start + this.options.pageLength;
+      this.data = processedData.slice(start, end);
+    }
+    this.plugins?.infinite?.collect();
 
     // Render data
     this.renderData();
@@ -2967,6 +3318,18 @@ export class ModernTable extends EventEmitter {
 
     // Clean up components
     this.components.filterPanel?.destroy();
+    this.plugins.connection?.destroy();
+    this.plugins.prefetch?.destroy();
+    this.plugins.infinite?.destroy();
+    this.plugins.live?.destroy();
+    this.plugins.headerFilter?.destroy();
+    this.plugins.scroller?.destroy();
+    this.plugins.editor?.destroy();
+    this.plugins.rowGroup?.destroy();
+    this.plugins.colReorder?.destroy();
+    this.plugins.colResize?.destroy();
+    this.plugins.footer?.destroy();
+    this.apiClient.abort();
 
     // Remove event listeners
     // Restore original HTML
@@ -0,0 +1,84 @@
+/**
+ * ResponseCache - In-memory cache for server-side responses (TTL + max entries)
+ */
+export class ResponseCache {
+    constructor(config = {}) {
+        this.options = this.parseOptions(config);
+        this.entries = new Map(); // key => { data, time }
+    }
+
+    /**
+     * Parse cache options (true or object)
+     */
+    parseOptions(config) {
+        const defaults = {
+            ttl: 60000,                 // Entry lifetime (ms)
+            maxEntries: 50,             // Oldest entries are evicted first
+            staleWhileRevalidate: false // Serve expired entries and refresh in the background
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    /**
+     * Cache key: request params without the draw counter
+     */
+    key(params = {}) {
+        const { draw, ...rest } = params;
+        return stableStringify(rest);
+    }
+
+    /**
+     * Get entry: { data, stale } or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const stale = Date.now() - entry.time > this.options.ttl;
+        if (stale && !this.options.staleWhileRevalidate) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Move to the end: recently used entries are evicted last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return { data: entry.data, stale };
+    }
+
+    set(key, data) {
+        this.entries.delete(key);
+        this.entries.set(key, { data, time: Date.now() });
+
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * JSON with sorted object keys (same params => same key)
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
@@ -23,9 +23,13 @@ export class StateManager {
             page: this.table.currentPage,
             pageLength: this.table.options.pageLength,
             search: this.table.searchInput?.value?.trim() || '',
-            order: this.table.plugins.sorting?.getCurrentSort() || null,
+            order: this.table.plugins.sorting?.getSortStack() || [],
             filters: filters,
+            advancedFilter: this.table.components.filterPanel?.getAdvancedFilter() || null,
+            headerFilters: this.table.plugins.headerFilter?.getValues() || null,
             columns: this.getColumnStates(),
+            colReorder: this.table.plugins.colReorder?.order() || null,
+            columnWidths: this.table.plugins.colResize?.getWidths() || null,
             selection: this.table.plugins.selection?.getSelectedRowIds() || [],
             timestamp: Date.now()
         };
@@ -83,6 +87,26 @@ export class StateManager {
         if (!state) return;
 
         try {
+            // Apply column order first: other states use column positions
+            if (state.colReorder && this.table.plugins?.colReorder) {
+                this.table.plugins.colReorder.apply(state.colReorder, { silent: true, save: false });
+            }
+
+            // Apply column widths (keyed by column position)
+            if (state.columnWidths && this.table.plugins?.colResize) {
+                this.table.plugins.colResize.setWidths(state.columnWidths);
+            }
+
+            // Filter builder tree is part of the first request
+            if (state.advancedFilter && this.table.components?.filterPanel) {
+                this.table.components.filterPanel.setAdvancedFilter(state.advancedFilter);
+            }
+
+            // Header filters are part of the first request too
+            if (state.headerFilters && this.table.plugins?.headerFilter) {
+                this.table.plugins.headerFilter.setValues(state.headerFilters);
+            }
+
             // Apply page length immediately
             if (state.pageLength) {
                 this.table.options.pageLength = state.pageLength;
@@ -94,8 +118,8 @@ export class StateManager {
                 this.pendingSearch = state.search;
             }
 
-            // Apply sorting immediately
-            if (state.order) {
+            // Apply sorting immediately (array stack, or legacy single object)
+            if (state.order && (!Array.isArray(state.order) || state.order.length > 0)) {
                 // Store sort for when plugin is ready
                 this.pendingSort = state.order;
             }
@@ -148,11 +172,7 @@ export class StateManager {
 
             // Apply pending sort
             if (this.pendingSort && this.table.plugins?.sorting) {
-                if (typeof this.table.plugins.sorting.setSort === 'function') {
-                    this.table.plugins.sorting.setSort(this.pendingSort.column, this.pendingSort.dir);
-                } else {
-                    this.table.plugins.sorting.currentSort = this.pendingSort;
-                }
+                this.table.plugins.sorting.setOrder(this.pendingSort);
                 this.pendingSort = null;
             }
 
@@ -208,12 +228,7 @@ export class StateManager {
 
             // Apply sorting with error handling
             if (state.order && this.table.plugins?.sorting) {
-                if (typeof this.table.plugins.sorting.setSort === 'function') {
-                    this.table.plugins.sorting.setSort(state.order.column, state.order.dir);
-                } else {
-                    // Fallback: set currentSort directly
-                    this.table.plugins.sorting.currentSort = state.order;
-                }
+                this.table.plugins.sorting.setOrder(state.order);
             }
 
             // Apply filters with delay for FilterPanel
@@ -308,6 +323,14 @@ export class StateManager {
      */
     applyFilters(filters) {
         try {
+            // Multi-value filters (arrays) and remote options are restored by the FilterPanel
+            const filterPanel = this.table.components?.filterPanel;
+            const remote = filterPanel && Object.keys(filterPanel.sources).length > 0;
+            if (filterPanel && (remote || Object.values(filters).some(Array.isArray))) {
+                filterPanel.setFilters(filters);
+                return;
+            }
+
             // Try immediate application first
             const filterInputs = this.table.wrapper?.querySelectorAll('[data-filter]') || [];
             
@@ -0,0 +1,478 @@
+/**
+ * protocols.js - Request/response adapters for server-side backends
+ *
+ * An adapter has two methods:
+ *   buildRequest(state)  => request params sent by ApiClient
+ *   parseResponse(body)  => { data, recordsTotal, recordsFiltered, page, lastPage, draw, nextCursor }
+ * allRows: false when the backend has no page size for "all rows" (state.length -1);
+ * server-side exports then load the rows page by page
+ *
+ * state: { draw, start, length, search, columns: [{ data, name, searchable, orderable, search }],
+ *          order: [{ column, name, dir }], filters, headerFilters, advancedFilter, rowGroup, cursor }
+ * state.filters are the filter panel values, state.headerFilters the header filter
+ * selections ({ column: [values] }, "" for blanks); a row has to match both
+ * state.advancedFilter is the filter builder tree ({ logic, conditions }) or null
+ * state.cursor is only set with pagination: 'cursor' (null for the first page)
+ */
+
+/**
+ * 1-based page number of a state
+ */
+function pageOf(state) {
+    return state.length > 0 ? Math.floor(state.start / state.length) + 1 : 1;
+}
+
+function isCursor(state) {
+    return state.cursor !== undefined;
+}
+
+/**
+ * Sort string: "-name,email" (descending columns prefixed with "-")
+ */
+function sortString(order) {
+    return order.map(sort => `${sort.dir === 'desc' ? '-' : ''}${sort.name}`).join(',');
+}
+
+/**
+ * Filters and column searches as "filter[key]" params, header filters as
+ * "header_filter[key][]" (arrays as repeated "filter[key][]" params, so values may contain commas)
+ */
+function filterParams(state, searchKey) {
+    const params = {};
+
+    if (state.search && searchKey) {
+        params[`filter[${searchKey}]`] = state.search;
+    }
+
+    state.columns.forEach(column => {
+        if (column.search) params[`filter[${column.name}]`] = column.search;
+    });
+
+    Object.entries(state.filters || {}).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            params[`filter[${key}][]`] = value;
+        } else {
+            params[`filter[${key}]`] = value;
+        }
+    });
+
+    Object.entries(state.headerFilters || {}).forEach(([key, values]) => {
+        params[`header_filter[${key}][]`] = values;
+    });
+
+    if (state.advancedFilter) {
+        params['filter[advanced]'] = JSON.stringify(state.advancedFilter);
+    }
+
+    return params;
+}
+
+/**
+ * DataTables server-side protocol (default)
+ * Responses: DataTables ({ draw, recordsTotal, recordsFiltered, data }),
+ * ModernTable ({ data, meta: { total, filtered, current_page, last_page } }) or a plain array
+ */
+const datatables = {
+    buildRequest(state) {
+        const params = {
+            draw: state.draw,
+            start: state.start,
+            length: state.length,
+            columns: state.columns.map(column => ({
+                data: column.data,
+                name: column.name,
+                searchable: column.searchable,
+                orderable: column.orderable,
+                search: {
+                    value: column.search,
+                    regex: false
+                }
+            })),
+            search: {
+                value: state.search,
+                regex: false
+            },
+            order: state.order.map(sort => ({
+                column: sort.column,
+                dir: sort.dir
+            }))
+        };
+
+        // Group field(s) so the server can order by group first
+        if (state.rowGroup) {
+            params.rowGroup = { dataSrc: state.rowGroup };
+        }
+
+        if (state.filters && Object.keys(state.filters).length > 0) {
+            params.filters = state.filters;
+        }
+
+        if (state.headerFilters && Object.keys(state.headerFilters).length > 0) {
+            params.headerFilters = state.headerFilters;
+        }
+
+        // Filter builder tree as JSON
+        if (state.advancedFilter) {
+            params.advancedFilter = JSON.stringify(state.advancedFilter);
+        }
+
+        if (isCursor(state)) {
+            params.cursor = state.cursor;
+        }
+
+        return params;
+    },
+
+    // Panel and header filters only (distinct value requests)
+    buildFilterParams(state) {
+        return { filters: state.filters || {}, headerFilters: state.headerFilters || {} };
+    },
+
+    parseResponse(body) {
+        if (body?.recordsTotal !== undefined) {
+            return {
+                data: body.data || [],
+                recordsTotal: body.recordsTotal,
+                recordsFiltered: body.recordsFiltered || body.recordsTotal,
+                draw: body.draw,
+                nextCursor: body.next_cursor
+            };
+        }
+
+        if (body?.data) {
+            const total = body.meta?.total || body.data.length;
+            return {
+                data: body.data,
+                recordsTotal: total,
+                recordsFiltered: body.meta?.filtered || total,
+                page: body.meta?.current_page || 1,
+                lastPage: body.meta?.last_page,
+                draw: body.draw,
+                nextCursor: body.next_cursor ?? body.meta?.next_cursor
+            };
+        }
+
+        if (Array.isArray(body)) {
+            return { data: body };
+        }
+
+        throw new Error('Invalid response format');
+    }
+};
+
+/**
+ * Laravel paginate() / cursorPaginate() (plain paginator or API resource collection with meta)
+ * Request: ?page=2&per_page=10&search=x&sort=-name&filter[status]=active (cursor=... instead of page)
+ * Header filters: header_filter[office][]=Oslo&header_filter[office][]=Bergen
+ * The filter builder tree is sent as JSON in filter[advanced]
+ */
+const laravel = {
+    allRows: false,
+
+    buildRequest(state) {
+        const params = isCursor(state)
+            ? { cursor: state.cursor, per_page: state.length }
+            : { page: pageOf(state), per_page: state.length };
+
+        if (state.search) params.search = state.search;
+        if (state.order.length) params.sort = sortString(state.order);
+
+        return { ...params, ...filterParams(state) };
+    },
+
+    buildFilterParams(state) {
+        return filterParams({ ...state, columns: [] });
+    },
+
+    parseResponse(body) {
+        const meta = body?.meta || body || {};
+        return {
+            data: body?.data || [],
+            recordsTotal: meta.total,
+            recordsFiltered: meta.total,
+            page: meta.current_page,
+            lastPage: meta.last_page,
+            nextCursor: meta.next_cursor
+        };
+    }
+};
+
+/**
+ * JSON:API
+ * Request: ?page[number]=2&page[size]=10&sort=-name&filter[search]=x&filter[status]=active
+ * (page[cursor] instead of page[number] with cursor pagination)
+ * The filter builder tree is sent as JSON in filter[advanced]
+ * Resources are flattened to { id, ...attributes }
+ */
+const jsonapi = {
+    allRows: false,
+
+    buildRequest(state) {
+        const params = isCursor(state)
+            ? { 'page[cursor]': state.cursor, 'page[size]': state.length }
+            : { 'page[number]': pageOf(state), 'page[size]': state.length };
+
+        if (state.order.length) params.sort = sortString(state.order);
+
+        return { ...params, ...filterParams(state, 'search') };
+    },
+
+    buildFilterParams(state) {
+        return filterParams({ ...state, columns: [] });
+    },
+
+    parseResponse(body) {
+        const page = body?.meta?.page || {};
+        const total = body?.meta?.total ?? page.total;
+        return {
+            data: (body?.data || []).map(resource => ({ id: resource.id, ...resource.attributes })),
+            recordsTotal: total,
+            recordsFiltered: total,
+            page: page.currentPage ?? page['current-page'],
+            lastPage: page.lastPage ?? page['last-page'],
+            nextCursor: page.nextCursor ?? page['next-cursor']
+        };
+    }
+};
+
+/**
+ * OData literal: numbers/booleans/dates as is, strings quoted
+ */
+function odataValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * OData property path ("address.city" => "address/city")
+ */
+function odataPath(name) {
+    return String(name).replace(/\./g, '/');
+}
+
+function odataContains(name, value) {
+    return `contains(tolower(${odataPath(name)}),${odataValue(String(value).toLowerCase())})`;
+}
+
+/**
+ * Filter builder tree as an OData expression (numeric input values are sent as numbers)
+ */
+function odataFilterTree(tree) {
+    if (tree.conditions) {
+        const logic = tree.logic === 'or' ? ' or ' : ' and ';
+        return `(${tree.conditions.map(odataFilterTree).join(logic)})`;
+    }
+
+    const path = odataPath(tree.column);
+    const value = (item) => (/^-?\d+(\.\d+)?$/.test(item) ? String(item) : odataValue(item));
+    const text = (item) => odataValue(String(item).toLowerCase());
+
+    switch (tree.operator) {
+        case 'contains':
+            return odataContains(tree.column, tree.value);
+        case 'startsWith':
+            return `startswith(tolower(${path}),${text(tree.value)})`;
+        case 'between': {
+            const [from, to] = tree.value;
+            const bounds = [];
+            if (from !== '') bounds.push(`${path} ge ${value(from)}`);
+            if (to !== '') bounds.push(`${path} le ${value(to)}`);
+            return `(${bounds.join(' and ')})`;
+        }
+        case 'in':
+            return `${path} in (${tree.value.map(value).join(',')})`;
+        case 'isEmpty':
+            return `(${path} eq null or ${path} eq '')`;
+        case 'gt':
+            return `${path} gt ${value(tree.value)}`;
+        case 'lt':
+            return `${path} lt ${value(tree.value)}`;
+        default:
+            return `${path} eq ${value(tree.value)}`;
+    }
+}
+
+/**
+ * OData v4
+ * Request: ?$top=10&$skip=10&$orderby=name desc&$filter=...&$count=true
+ * Filters ending in _from/_min use "ge", _to/_max use "le", arrays and header filters use "in"
+ * The filter builder tree is translated into $filter
+ * Cursor pagination sends the $skiptoken of @odata.nextLink instead of $skip
+ */
+const odata = {
+    buildRequest(state) {
+        const params = { $count: true };
+
+        if (state.length >= 0) {
+            params.$top = state.length;
+            if (isCursor(state)) {
+                params.$skiptoken = state.cursor;
+            } else {
+                params.$skip = state.start;
+            }
+        }
+
+        if (state.order.length) {
+            params.$orderby = state.order.map(sort => `${odataPath(sort.name)} ${sort.dir}`).join(',');
+        }
+
+        const conditions = [];
+
+        if (state.search) {
+            const searchable = state.columns.filter(column => column.searchable && column.data);
+            if (searchable.length) {
+                conditions.push(`(${searchable.map(column => odataContains(column.name, state.search)).join(' or ')})`);
+            }
+        }
+
+        state.columns.forEach(column => {
+            if (column.search) conditions.push(odataContains(column.name, column.search));
+        });
+
+        Object.entries(state.filters || {}).forEach(([key, value]) => {
+            const range = key.match(/^(.+)_(from|min|to|max)$/);
+            if (Array.isArray(value)) {
+                conditions.push(`${odataPath(key)} in (${value.map(odataValue).join(',')})`);
+            } else if (range) {
+                const operator = range[2] === 'from' || range[2] === 'min' ? 'ge' : 'le';
+                conditions.push(`${odataPath(range[1])} ${operator} ${odataValue(value)}`);
+            } else {
+                conditions.push(`${odataPath(key)} eq ${odataValue(value)}`);
+            }
+        });
+
+        // Header filters: "" stands for blanks (null or empty)
+        Object.entries(state.headerFilters || {}).forEach(([key, values]) => {
+            const path = odataPath(key);
+            const condition = values.length ? `${path} in (${values.map(odataValue).join(',')})` : 'false';
+            conditions.push(values.includes('') ? `(${condition} or ${path} eq null)` : condition);
+        });
+
+        if (state.advancedFilter) {
+            conditions.push(odataFilterTree(state.advancedFilter));
+        }
+
+        if (conditions.length) {
+            params.$filter = conditions.join(' and ');
+        }
+
+        return params;
+    },
+
+    parseResponse(body) {
+        const total = body?.['@odata.count'] ?? body?.['odata.count'];
+        const nextLink = body?.['@odata.nextLink'];
+        return {
+            data: body?.value || [],
+            recordsTotal: total,
+            recordsFiltered: total,
+            nextCursor: nextLink ? new URL(nextLink, 'http://localhost').searchParams.get('$skiptoken') : undefined
+        };
+    }
+};
+
+/**
+ * Value at a dot path ("data.users.nodes")
+ */
+function getPath(object, path) {
+    return String(path).split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * GraphQL adapter from api.graphql: { query, variables(state), path, totalPath }
+ * Default variables: { page, perPage, offset, search, sort: [{ field, direction }], filters }
+ * (plus after: cursor with cursor pagination, advancedFilter: filter builder tree,
+ * headerFilters: header filter selections)
+ * path may point to an array, a connection with nodes/edges, or an object with items;
+ * the next cursor is pageInfo.endCursor while pageInfo.hasNextPage is true
+ */
+export function createGraphQLProtocol(config = {}) {
+    const rowsPath = config.path || 'data';
+
+    return {
+        buildRequest(state) {
+            const variables = config.variables ? config.variables(state) : {
+                page: pageOf(state),
+                perPage: state.length,
+                offset: state.start,
+                search: state.search,
+                sort: state.order.map(sort => ({ field: sort.name, direction: sort.dir.toUpperCase() })),
+                filters: state.filters
+            };
+
+            if (!config.variables && isCursor(state)) {
+                variables.after = state.cursor;
+            }
+
+            if (!config.variables && state.advancedFilter) {
+                variables.advancedFilter = state.advancedFilter;
+            }
+
+            if (!config.variables && Object.keys(state.headerFilters || {}).length) {
+                variables.headerFilters = state.headerFilters;
+            }
+
+            return { query: config.query, variables };
+        },
+
+        parseResponse(body) {
+            const result = getPath(body, rowsPath);
+            let data = result;
+
+            if (!Array.isArray(result)) {
+                data = result?.nodes || result?.items || result?.edges?.map(edge => edge.node) || [];
+            }
+
+            // Totals: totalPath, or totalCount/total next to the rows
+            const parent = Array.isArray(result)
+                ? getPath(body, rowsPath.split('.').slice(0, -1).join('.') || rowsPath)
+                : result;
+            const total = config.totalPath
+                ? getPath(body, config.totalPath)
+                : (parent?.totalCount ?? parent?.total);
+
+            const pageInfo = parent?.pageInfo;
+
+            return {
+                data,
+                recordsTotal: total,
+                recordsFiltered: config.filteredPath ? getPath(body, config.filteredPath) : total,
+                nextCursor: pageInfo?.hasNextPage ? pageInfo.endCursor : null
+            };
+        }
+    };
+}
+
+export const PROTOCOLS = { datatables, laravel, jsonapi, odata };
+
+/**
+ * Panel and header filters in the request format of a protocol (distinct value requests)
+ * Adapters without buildFilterParams send them as DataTables does
+ */
+export function buildFilterParams(protocol, state) {
+    return (protocol?.buildFilterParams || datatables.buildFilterParams)(state);
+}
+
+/**
+ * Protocol option: name of a built-in adapter or a custom { buildRequest, parseResponse }
+ * (missing methods fall back to DataTables); api.graphql selects the GraphQL adapter
+ */
+export function resolveProtocol(protocol, api) {
+    // api.graphql defines its own request and response format
+    if (api?.graphql && (!protocol || protocol === 'datatables')) {
+        return createGraphQLProtocol(api.graphql);
+    }
+
+    if (!protocol) return datatables;
+
+    if (typeof protocol === 'string') {
+        if (!PROTOCOLS[protocol]) {
+            console.warn(`Unknown protocol "${protocol}", using DataTables`);
+            return datatables;
+        }
+        return PROTOCOLS[protocol];
+    }
+
+    return { ...datatables, ...protocol };
+}
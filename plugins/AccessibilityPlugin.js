@@ -84,7 +84,7 @@ export class AccessibilityPlugin {
     }
 
     updateRowAccessibility() {
-        const rows = this.table.tbody.querySelectorAll('tr:not(.dtr-details)');
+        const rows = this.table.tbody.querySelectorAll('tr:not(.dtr-details):not(.dtrg-group)');
         
         rows.forEach((row, index) => {
             row.setAttribute('role', 'row');
@@ -187,6 +187,15 @@ export class AccessibilityPlugin {
             this.announce(message);
         });
         
+        // Announce column reordering (header is rebuilt, restore its ARIA attributes)
+        this.table.on('columnReorder', ({ column, to, silent }) => {
+            this.setupHeaderAccessibility();
+            if (!silent && column) {
+                const total = this.table.options.columns.length;
+                this.announce(`Column ${column.title || column.data} moved to position ${to + 1} of ${total}`);
+            }
+        });
+        
         // Announce selection changes
         this.table.on('selectionChange', (selectedRows) => {
             const count = selectedRows.length;
@@ -0,0 +1,290 @@
+/**
+ * ColReorderPlugin.js - Column reordering by drag-and-drop
+ * table.colReorder.order([2, 0, 1]) uses original column indexes (DataTables compatible)
+ */
+
+export class ColReorderPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.colReorder);
+        this.originalColumns = [...table.options.columns];
+        this.currentOrder = this.originalColumns.map((_, index) => index);
+        this.dragFrom = null;
+        this.init();
+    }
+
+    /**
+     * Parse colReorder options
+     */
+    parseOptions(config) {
+        const fixed = this.table.plugins.fixedColumns;
+        const defaults = {
+            order: null,   // Initial order (original indexes)
+            // Frozen columns keep their position
+            fixedColumnsLeft: fixed?.isEnabled ? fixed.options.left : 0,
+            fixedColumnsRight: fixed?.isEnabled ? fixed.options.right : 0
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        const thead = this.table.thead;
+
+        this.onDragStart = (event) => {
+            const th = this.getHeaderCell(event.target);
+            if (!th || !this.isMovable(parseInt(th.dataset.column))) return;
+
+            this.dragFrom = parseInt(th.dataset.column);
+            th.classList.add('colreorder-dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(this.dragFrom));
+        };
+
+        this.onDragOver = (event) => {
+            const th = this.getHeaderCell(event.target);
+            if (this.dragFrom === null || !th) return;
+
+            const to = this.getDropIndex(th, event.clientX);
+            if (!this.isMovable(to)) return;
+
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            this.showDropIndicator(th, event.clientX);
+        };
+
+        this.onDrop = (event) => {
+            const th = this.getHeaderCell(event.target);
+            if (this.dragFrom === null || !th) return;
+
+            event.preventDefault();
+            const to = this.getDropIndex(th, event.clientX);
+            const from = this.dragFrom;
+            this.endDrag();
+
+            if (this.isMovable(to) && to !== from) {
+                this.move(from, to);
+            }
+        };
+
+        this.onDragEnd = () => this.endDrag();
+
+        // Alt+Arrow moves the focused header (keyboard alternative to dragging)
+        this.onKeyDown = (event) => {
+            if (!event.altKey || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+
+            const th = this.getHeaderCell(event.target);
+            if (!th) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            const from = parseInt(th.dataset.column);
+            const to = from + (event.key === 'ArrowLeft' ? -1 : 1);
+            if (this.isMovable(from) && this.isMovable(to)) {
+                this.move(from, to);
+                const moved = this.table.thead.querySelector(`tr:first-child th[data-column="${to}"]`);
+                if (moved) moved.focus();
+            }
+        };
+
+        thead.addEventListener('dragstart', this.onDragStart);
+        thead.addEventListener('dragover', this.onDragOver);
+        thead.addEventListener('drop', this.onDrop);
+        thead.addEventListener('dragend', this.onDragEnd);
+        thead.addEventListener('keydown', this.onKeyDown);
+
+        this.setupHeader();
+
+        if (Array.isArray(this.options.order)) {
+            this.apply(this.options.order, { silent: true, save: false });
+        }
+    }
+
+    /**
+     * Header cell of the title row
+     */
+    getHeaderCell(target) {
+        const th = target.closest ? target.closest('th[data-column]') : null;
+        return th && th.parentElement === this.table.thead.firstElementChild ? th : null;
+    }
+
+    /**
+     * Make title cells draggable (called after every header rebuild)
+     */
+    setupHeader() {
+        this.table.thead.querySelectorAll('tr:first-child th[data-column]').forEach(th => {
+            const movable = this.isMovable(parseInt(th.dataset.column));
+            th.draggable = movable;
+            th.classList.toggle('colreorder-movable', movable);
+        });
+    }
+
+    /**
+     * Whether a column position can be moved / dropped on
+     */
+    isMovable(position) {
+        const count = this.currentOrder.length;
+        return position >= this.options.fixedColumnsLeft &&
+            position < count - this.options.fixedColumnsRight;
+    }
+
+    /**
+     * Target position from pointer location on a header cell
+     */
+    getDropIndex(th, clientX) {
+        const target = parseInt(th.dataset.column);
+        const rect = th.getBoundingClientRect();
+        const after = clientX > rect.left + rect.width / 2;
+
+        if (target > this.dragFrom) return after ? target : target - 1;
+        if (target < this.dragFrom) return after ? target + 1 : target;
+        return target;
+    }
+
+    showDropIndicator(th, clientX) {
+        this.clearDropIndicator();
+        const rect = th.getBoundingClientRect();
+        th.classList.add(clientX > rect.left + rect.width / 2 ? 'colreorder-drop-right' : 'colreorder-drop-left');
+    }
+
+    clearDropIndicator() {
+        this.table.thead.querySelectorAll('.colreorder-drop-left, .colreorder-drop-right').forEach(th => {
+            th.classList.remove('colreorder-drop-left', 'colreorder-drop-right');
+        });
+    }
+
+    endDrag() {
+        this.dragFrom = null;
+        this.clearDropIndicator();
+        this.table.thead.querySelectorAll('.colreorder-dragging').forEach(th => {
+            th.classList.remove('colreorder-dragging');
+        });
+    }
+
+    /**
+     * Get or set column order (array of original column indexes)
+     */
+    order(newOrder) {
+        if (newOrder === undefined) {
+            return [...this.currentOrder];
+        }
+
+        this.apply(newOrder);
+    }
+
+    /**
+     * Move column from one position to another (current positions)
+     */
+    move(from, to) {
+        const newOrder = [...this.currentOrder];
+        const [moved] = newOrder.splice(from, 1);
+        newOrder.splice(to, 0, moved);
+
+        this.apply(newOrder, { from, to });
+    }
+
+    /**
+     * Restore original column order
+     */
+    reset() {
+        this.apply(this.originalColumns.map((_, index) => index));
+    }
+
+    /**
+     * Current position of an original column index
+     */
+    transpose(originalIndex) {
+        return this.currentOrder.indexOf(originalIndex);
+    }
+
+    /**
+     * Apply new order: reorder columns, remap index-based state and redraw
+     */
+    apply(newOrder, { from = null, to = null, silent = false, save = true } = {}) {
+        if (!this.isValidOrder(newOrder)) {
+            console.warn('ColReorder: invalid column order', newOrder);
+            return;
+        }
+
+        // mapping[oldPosition] = newPosition
+        const mapping = this.currentOrder.map(original => newOrder.indexOf(original));
+        if (mapping.every((position, index) => position === index)) return;
+
+        const table = this.table;
+
+        if (table.plugins.editor) {
+            table.plugins.editor.cancel();
+        }
+
+        this.currentOrder = [...newOrder];
+        table.options.columns = newOrder.map(index => this.originalColumns[index]);
+
+        table.columnVisibility = this.remapKeys(table.columnVisibility, mapping);
+        table.columnSearches = this.remapKeys(table.columnSearches, mapping);
+
+        // Rebuild header (title + column search rows), sort stack follows its columns
+        table.createHeader();
+        if (table.plugins.sorting) {
+            const stack = table.plugins.sorting.getSortStack();
+            table.plugins.sorting.setOrder(stack.map(sort => ({ ...sort, column: mapping[sort.column] })));
+        }
+        this.setupHeader();
+
+        if (table.data && table.data.length) {
+            table.renderData();
+        }
+
+        const movedColumn = from !== null ? table.options.columns[to] : null;
+        table.emit('columnReorder', {
+            order: this.order(),
+            mapping,
+            from,
+            to,
+            column: movedColumn,
+            silent
+        });
+
+        table.applyAllColumnVisibility();
+
+        if (save && table.stateManager && table.stateManager.isEnabled()) {
+            table.stateManager.save();
+        }
+    }
+
+    isValidOrder(order) {
+        const count = this.originalColumns.length;
+        return Array.isArray(order) &&
+            order.length === count &&
+            [...order].sort((a, b) => a - b).every((value, index) => value === index);
+    }
+
+    /**
+     * Remap an object keyed by column position
+     */
+    remapKeys(source, mapping) {
+        if (!source) return source;
+
+        const result = {};
+        Object.keys(source).forEach(key => {
+            const position = mapping[parseInt(key)];
+            if (position !== undefined && position !== -1) {
+                result[position] = source[key];
+            }
+        });
+        return result;
+    }
+
+    destroy() {
+        const thead = this.table.thead;
+        thead.removeEventListener('dragstart', this.onDragStart);
+        thead.removeEventListener('dragover', this.onDragOver);
+        thead.removeEventListener('drop', this.onDrop);
+        thead.removeEventListener('dragend', this.onDragEnd);
+        thead.removeEventListener('keydown', this.onKeyDown);
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * ColResizePlugin.js - Interactive column resizing
+ * Drag the handle on the right edge of a header to resize, double-click to auto-fit
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class ColResizePlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.colResize);
+        this.widths = {}; // column position => width in px (columns without data have widths too)
+        this.drag = null;
+        this.init();
+    }
+
+    /**
+     * Parse colResize options
+     */
+    parseOptions(config) {
+        const defaults = {
+            minWidth: 40,      // Default minimum width (px)
+            maxWidth: Infinity // Default maximum width (px)
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        this.onPointerMove = (event) => this.resizeMove(event);
+        this.onPointerUp = () => this.resizeEnd();
+
+        // A click ending a resize must not sort the column
+        this.onClickCapture = (event) => {
+            if (this.justResized || event.target.classList.contains('col-resize-handle')) {
+                event.stopPropagation();
+                event.preventDefault();
+                this.justResized = false;
+            }
+        };
+        this.table.thead.addEventListener('click', this.onClickCapture, true);
+
+        this.setupHeader();
+
+        // Header is rebuilt after column reordering: widths move with their columns
+        this.table.on('columnReorder', ({ mapping }) => {
+            this.widths = this.remapWidths(mapping);
+            this.setupHeader();
+        });
+    }
+
+    /**
+     * Add resize handles and apply stored widths to the title row
+     */
+    setupHeader() {
+        this.getHeaderCells().forEach(th => {
+            const columnIndex = parseInt(th.dataset.column);
+            const column = this.table.options.columns[columnIndex];
+            if (!column || column.resizable === false || th.querySelector('.col-resize-handle')) return;
+
+            const handle = createElement('span', {
+                className: 'col-resize-handle',
+                'aria-hidden': 'true'
+            });
+
+            handle.addEventListener('pointerdown', (event) => this.resizeStart(event, th));
+            handle.addEventListener('dblclick', (event) => {
+                event.stopPropagation();
+                this.autoFit(parseInt(th.dataset.column));
+            });
+
+            th.classList.add('col-resizable');
+            th.appendChild(handle);
+        });
+
+        this.applyWidths();
+    }
+
+    getHeaderCells() {
+        return Array.from(this.table.thead.querySelectorAll('tr:first-child th[data-column]'));
+    }
+
+    getHeaderCell(columnIndex) {
+        return this.table.thead.querySelector(`tr:first-child th[data-column="${columnIndex}"]`);
+    }
+
+    /**
+     * Column min/max width limits
+     */
+    getLimits(column) {
+        const min = column.minWidth !== undefined ? parseInt(column.minWidth) : this.options.minWidth;
+        const max = column.maxWidth !== undefined ? parseInt(column.maxWidth) : this.options.maxWidth;
+        return { min, max };
+    }
+
+    clamp(column, width) {
+        const { min, max } = this.getLimits(column);
+        return Math.round(Math.min(max, Math.max(min, width)));
+    }
+
+    resizeStart(event, th) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const columnIndex = parseInt(th.dataset.column);
+        this.drag = {
+            th,
+            columnIndex,
+            startX: event.clientX,
+            startWidth: th.offsetWidth,
+            draggable: th.draggable
+        };
+
+        // Don't start a column reorder drag while resizing
+        th.draggable = false;
+        th.classList.add('col-resizing');
+        this.table.wrapper.classList.add('modern-table-resizing');
+
+        document.addEventListener('pointermove', this.onPointerMove);
+        document.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    resizeMove(event) {
+        if (!this.drag) return;
+
+        const { columnIndex, startX, startWidth } = this.drag;
+        this.setWidth(columnIndex, startWidth + (event.clientX - startX), false);
+    }
+
+    resizeEnd() {
+        if (!this.drag) return;
+
+        const { th, columnIndex, draggable } = this.drag;
+        th.draggable = draggable;
+        th.classList.remove('col-resizing');
+        this.table.wrapper.classList.remove('modern-table-resizing');
+        this.drag = null;
+        this.justResized = true;
+        setTimeout(() => {
+            this.justResized = false;
+        }, 0);
+
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('pointerup', this.onPointerUp);
+
+        this.finish(columnIndex);
+    }
+
+    /**
+     * Set column width in px (clamped to min/max)
+     */
+    setWidth(columnIndex, width, final = true) {
+        const column = this.table.options.columns[columnIndex];
+        if (!column) return;
+
+        const clamped = this.clamp(column, width);
+        this.widths[columnIndex] = clamped;
+        this.applyWidth(columnIndex, clamped);
+
+        if (final) {
+            this.finish(columnIndex);
+        } else {
+            // Live update while dragging (fixed column offsets follow the drag)
+            this.table.emit('columnResize', { column, index: columnIndex, width: clamped, final: false });
+        }
+    }
+
+    /**
+     * Resize finished: sync dependent widths and save state
+     */
+    finish(columnIndex) {
+        const column = this.table.options.columns[columnIndex];
+        const width = this.widths[columnIndex];
+
+        if (this.table.options.columnSearch) {
+            this.table.syncColumnSearchWidths();
+        }
+
+        this.table.emit('columnResize', { column, index: columnIndex, width, final: true });
+
+        if (this.table.stateManager && this.table.stateManager.isEnabled()) {
+            this.table.stateManager.save();
+        }
+    }
+
+    applyWidth(columnIndex, width) {
+        const th = this.getHeaderCell(columnIndex);
+        if (!th) return;
+
+        th.style.width = `${width}px`;
+        th.style.minWidth = `${width}px`;
+        th.style.maxWidth = `${width}px`;
+    }
+
+    applyWidths() {
+        this.table.options.columns.forEach((column, index) => {
+            const width = this.widths[index];
+            if (width) this.applyWidth(index, width);
+        });
+    }
+
+    /**
+     * Double-click: fit column to its widest content
+     */
+    autoFit(columnIndex) {
+        const th = this.getHeaderCell(columnIndex);
+        const column = this.table.options.columns[columnIndex];
+        if (!th || !column) return;
+
+        const domIndex = columnIndex + (this.table.options.select ? 1 : 0);
+
+        // Measure natural widths without the current explicit width
+        th.style.width = '';
+        th.style.minWidth = '';
+        th.style.maxWidth = '';
+
+        const cells = [th];
+        this.table.tbody.querySelectorAll('tr[data-index]').forEach(row => {
+            if (row.cells[domIndex]) cells.push(row.cells[domIndex]);
+        });
+
+        const widest = cells.reduce((max, cell) => {
+            const previous = cell.style.whiteSpace;
+            cell.style.whiteSpace = 'nowrap';
+            const width = cell.scrollWidth;
+            cell.style.whiteSpace = previous;
+            return Math.max(max, width);
+        }, 0);
+
+        // Room for the sort icon and resize handle
+        this.setWidth(columnIndex, widest + 16);
+    }
+
+    /**
+     * Widths keyed by column position in the current order (for state saving,
+     * which restores the column order first)
+     */
+    getWidths() {
+        return { ...this.widths };
+    }
+
+    setWidths(widths) {
+        if (!widths) return;
+
+        this.widths = {};
+        this.table.options.columns.forEach((column, index) => {
+            if (!widths[index]) return;
+
+            const width = this.clamp(column, widths[index]);
+            this.widths[index] = width;
+            this.applyWidth(index, width);
+            this.table.emit('columnResize', { column, index, width, final: true });
+        });
+    }
+
+    /**
+     * Widths at the new column positions (mapping[oldPosition] = newPosition)
+     */
+    remapWidths(mapping) {
+        const widths = {};
+        Object.keys(this.widths).forEach(key => {
+            const position = mapping[parseInt(key)];
+            if (position !== undefined && position !== -1) {
+                widths[position] = this.widths[key];
+            }
+        });
+        return widths;
+    }
+
+    /**
+     * Remove user widths
+     */
+    reset() {
+        this.widths = {};
+        this.getHeaderCells().forEach(th => {
+            th.style.width = '';
+            th.style.minWidth = '';
+            th.style.maxWidth = '';
+        });
+
+        if (this.table.stateManager && this.table.stateManager.isEnabled()) {
+            this.table.stateManager.save();
+        }
+    }
+
+    destroy() {
+        this.table.thead.removeEventListener('click', this.onClickCapture, true);
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('pointerup', this.onPointerUp);
+        this.table.thead.querySelectorAll('.col-resize-handle').forEach(handle => handle.remove());
+    }
+}
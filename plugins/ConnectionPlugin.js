@@ -0,0 +1,100 @@
+/**
+ * ConnectionPlugin.js - Offline banner and automatic reload when the connection returns
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class ConnectionPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.offline);
+        this.banner = null;
+        this.missedLoad = false; // A load failed or was skipped while offline
+        this.init();
+    }
+
+    /**
+     * Parse offline options
+     */
+    parseOptions(config) {
+        const defaults = {
+            message: 'You are offline. The table will refresh when the connection returns.',
+            reload: true // Reload data when back online
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        this.onOffline = () => this.setOffline(true);
+        this.onOnline = () => this.setOffline(false);
+
+        window.addEventListener('offline', this.onOffline);
+        window.addEventListener('online', this.onOnline);
+
+        // Failed loads while offline are retried on reconnect
+        this.table.on('error', () => {
+            if (!this.isOnline()) {
+                this.missedLoad = true;
+                this.setOffline(true);
+            }
+        });
+
+        if (!this.isOnline()) {
+            this.setOffline(true);
+        }
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Show/hide the banner; reload after reconnecting
+     */
+    setOffline(offline) {
+        if (offline) {
+            if (!this.banner) {
+                this.banner = createElement('div', {
+                    className: 'modern-table-offline alert alert-warning py-2 px-3 mb-2 small',
+                    role: 'status',
+                    'aria-live': 'polite',
+                    textContent: this.options.message
+                });
+                this.table.wrapper.insertBefore(this.banner, this.table.wrapper.firstChild);
+                this.table.emit('offline');
+            }
+            return;
+        }
+
+        if (!this.banner) return;
+
+        this.banner.remove();
+        this.banner = null;
+        this.table.emit('online');
+
+        if (this.options.reload && (this.missedLoad || !this.table.isClientSide)) {
+            this.missedLoad = false;
+            this.reload();
+        }
+    }
+
+    reload() {
+        const table = this.table;
+        if (table.isClientSide) {
+            if (table.options.api) table.loadAllDataForClientSide();
+        } else {
+            table.loadData({ cache: false });
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('offline', this.onOffline);
+        window.removeEventListener('online', this.onOnline);
+        if (this.banner) this.banner.remove();
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * EditorPlugin.js - Inline cell editing
+ * Double-click (or Enter on a focused row) to edit, Enter/Tab to commit, Escape to cancel
+ */
+
+import { createElement } from '../utils/dom.js';
+
+/**
+ * Unchanged edit: "5" and 5 are the same value, as are null, undefined and ""
+ */
+function isSameValue(oldValue, newValue) {
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+    if (isEmpty(oldValue) || isEmpty(newValue)) {
+        return isEmpty(oldValue) && isEmpty(newValue);
+    }
+    return String(oldValue) === String(newValue);
+}
+
+export class EditorPlugin {
+    constructor(table) {
+        this.table = table;
+        this.active = null; // { td, tr, rowIndex, columnIndex, column, row, oldValue, editor }
+        this.init();
+    }
+
+    init() {
+        this.onDblClick = (event) => {
+            const td = event.target.closest('td');
+            if (!td || !this.table.tbody.contains(td)) return;
+            if (td.classList.contains('select-checkbox') || td.closest('.dtr-details')) return;
+
+            const tr = td.parentElement;
+            const columnIndex = this.getColumnIndex(td);
+            this.edit(parseInt(tr.dataset.index), columnIndex);
+        };
+        this.table.tbody.addEventListener('dblclick', this.onDblClick);
+
+        // Recycled or re-rendered rows invalidate the editor
+        this.table.on('dataLoaded', () => {
+            this.active = null;
+        });
+
+        if (this.table.plugins.scroller) {
+            this.table.on('scrollerDraw', () => {
+                if (this.active && !this.active.td.isConnected) {
+                    this.active = null;
+                }
+            });
+        }
+    }
+
+    /**
+     * Column index for a body cell (skips the selection checkbox column)
+     */
+    getColumnIndex(td) {
+        return td.cellIndex - (this.table.options.select ? 1 : 0);
+    }
+
+    /**
+     * Body cell for a data row / column
+     */
+    getCell(rowIndex, columnIndex) {
+        const scroller = this.table.plugins.scroller;
+        if (scroller) scroller.scrollToRow(rowIndex);
+
+        const tr = this.table.tbody.querySelector(`tr[data-index="${rowIndex}"]`);
+        if (!tr) return null;
+
+        const offset = this.table.options.select ? 1 : 0;
+        return tr.cells[columnIndex + offset] || null;
+    }
+
+    isEditable(columnIndex) {
+        const column = this.table.options.columns[columnIndex];
+        return !!(column && column.editable && column.visible !== false);
+    }
+
+    isEditing() {
+        return this.active !== null;
+    }
+
+    /**
+     * Start editing a cell
+     */
+    edit(rowIndex, columnIndex) {
+        if (!this.isEditable(columnIndex)) return false;
+
+        const row = this.table.data[rowIndex];
+        if (!row) return false;
+
+        // Finish the current edit first; stay put if it is invalid
+        if (this.active && !this.commit()) return false;
+
+        const td = this.getCell(rowIndex, columnIndex);
+        if (!td || td.style.display === 'none') return false;
+
+        const column = this.table.options.columns[columnIndex];
+        const oldValue = this.table.getCellValue(row, column.data);
+        const editor = this.createEditor(column, oldValue, row);
+
+        this.active = { td, tr: td.parentElement, rowIndex, columnIndex, column, row, oldValue, editor };
+
+        td.classList.add('cell-editing');
+        td.classList.remove('cell-invalid');
+        td.removeAttribute('title');
+        td.innerHTML = '';
+        td.appendChild(editor.element);
+        this.bindEditor(editor);
+        editor.focus();
+
+        this.table.emit('cellEdit', { row, rowIndex, column, value: oldValue, cell: td });
+        return true;
+    }
+
+    /**
+     * Build editor for column.editable
+     * true | 'text' | 'number' | 'select' | 'date' | 'checkbox' | { type, options } | (value, row, column) => element
+     */
+    createEditor(column, value, row) {
+        const config = this.getEditorConfig(column);
+
+        if (typeof config.create === 'function') {
+            return this.wrapCustomEditor(config.create(value, row, column));
+        }
+
+        switch (config.type) {
+            case 'select':
+                return this.createSelectEditor(config, value);
+            case 'checkbox':
+                return this.createCheckboxEditor(value);
+            case 'number':
+                return this.createInputEditor('number', value, (input) => (
+                    input.value === '' ? null : Number(input.value)
+                ));
+            case 'date':
+                return this.createInputEditor('date', value);
+            default:
+                return this.createInputEditor('text', value);
+        }
+    }
+
+    getEditorConfig(column) {
+        const editable = column.editable;
+
+        if (typeof editable === 'function') return { create: editable };
+        if (typeof editable === 'string') return { type: editable };
+        if (typeof editable === 'object' && editable !== null) return { type: 'text', ...editable };
+        return { type: 'text' };
+    }
+
+    createInputEditor(type, value, getValue = (input) => input.value) {
+        const input = createElement('input', {
+            type,
+            className: 'form-control form-control-sm'
+        });
+        input.value = value === null || value === undefined ? '' : String(value);
+
+        return {
+            element: input,
+            getValue: () => getValue(input),
+            focus: () => {
+                input.focus();
+                if (type === 'text') input.select();
+            }
+        };
+    }
+
+    createSelectEditor(config, value) {
+        const select = createElement('select', { className: 'form-select form-select-sm' });
+        const options = typeof config.options === 'function' ? config.options() : (config.options || []);
+
+        options.forEach(option => {
+            const item = typeof option === 'object' ? option : { value: option, text: option };
+            const el = createElement('option', { value: item.value, textContent: String(item.text ?? item.value) });
+            if (String(item.value) === String(value)) el.selected = true;
+            select.appendChild(el);
+        });
+
+        return {
+            element: select,
+            getValue: () => {
+                // Return the original option value (keeps numbers as numbers)
+                const match = options
+                    .map(option => (typeof option === 'object' ? option.value : option))
+                    .find(optionValue => String(optionValue) === select.value);
+                return match !== undefined ? match : select.value;
+            },
+            focus: () => select.focus(),
+            commitOnChange: true
+        };
+    }
+
+    createCheckboxEditor(value) {
+        const checkbox = createElement('input', {
+            type: 'checkbox',
+            className: 'form-check-input'
+        });
+        checkbox.checked = !!value;
+
+        return {
+            element: checkbox,
+            getValue: () => checkbox.checked,
+            focus: () => checkbox.focus(),
+            commitOnChange: true
+        };
+    }
+
+    /**
+     * Custom factory may return an element or { element, getValue, focus }
+     */
+    wrapCustomEditor(result) {
+        if (result instanceof HTMLElement) {
+            return {
+                element: result,
+                getValue: () => result.value,
+                focus: () => result.focus && result.focus()
+            };
+        }
+
+        return {
+            getValue: () => result.element.value,
+            focus: () => result.element.focus && result.element.focus(),
+            ...result
+        };
+    }
+
+    bindEditor(editor) {
+        const element = editor.element;
+
+        element.addEventListener('keydown', (event) => {
+            switch (event.key) {
+                case 'Enter':
+                    event.preventDefault();
+                    this.commit();
+                    break;
+
+                case 'Escape':
+                    event.preventDefault();
+                    this.cancel();
+                    break;
+
+                case 'Tab':
+                    event.preventDefault();
+                    this.moveToNext(event.shiftKey ? -1 : 1);
+                    break;
+            }
+            event.stopPropagation();
+        });
+
+        if (editor.commitOnChange) {
+            element.addEventListener('change', () => this.commit());
+        }
+
+        // Clicking elsewhere commits the edit
+        element.addEventListener('focusout', (event) => {
+            if (event.relatedTarget && element.contains(event.relatedTarget)) return;
+            setTimeout(() => {
+                if (this.active && this.active.editor === editor) {
+                    this.commit();
+                }
+            }, 0);
+        });
+    }
+
+    /**
+     * Commit current edit; returns false when validation fails
+     */
+    commit() {
+        if (!this.active) return true;
+
+        const { td, rowIndex, column, row, oldValue, editor } = this.active;
+        const newValue = editor.getValue();
+
+        // Validation: true = ok, false or string = error message
+        if (typeof column.validate === 'function') {
+            const result = column.validate(newValue, row);
+            if (result !== true && result !== undefined) {
+                td.classList.add('cell-invalid');
+                td.setAttribute('title', typeof result === 'string' ? result : 'Invalid value');
+                editor.focus();
+                this.table.emit('cellEditInvalid', { row, rowIndex, column, value: newValue, message: td.title });
+                return false;
+            }
+        }
+
+        this.active = null;
+
+        if (isSameValue(oldValue, newValue)) {
+            this.renderCell(td, row, column, rowIndex);
+            return true;
+        }
+
+        // Optimistic update, rolled back if the server rejects it
+        this.table.setCellValue(row, column.data, newValue);
+        this.renderCell(td, row, column, rowIndex);
+
+        const change = { row, rowIndex, column, oldValue, newValue };
+        this.table.emit('cellEditCommit', change);
+
+        if (this.table.apiClient && this.table.apiClient.config?.update) {
+            this.save(change, td);
+        }
+
+        return true;
+    }
+
+    /**
+     * Cancel current edit and restore the cell
+     */
+    cancel() {
+        if (!this.active) return;
+
+        const { td, row, column, rowIndex } = this.active;
+        this.active = null;
+        this.renderCell(td, row, column, rowIndex);
+        this.table.wrapper.focus();
+    }
+
+    /**
+     * Send change to api.update
+     */
+    async save(change, td) {
+        const { row, column, oldValue, newValue } = change;
+
+        try {
+            const response = await this.table.apiClient.update({
+                id: row.id ?? row.DT_RowIndex,
+                column: column.data,
+                value: newValue,
+                row
+            });
+
+            // Server may return the saved row
+            const saved = response && typeof response.data === 'object' ? response.data : null;
+            if (saved && !Array.isArray(saved)) {
+                Object.assign(row, saved);
+                this.refreshRow(change.rowIndex);
+            }
+
+            this.table.emit('cellEditSaved', { ...change, response });
+        } catch (error) {
+            this.table.setCellValue(row, column.data, oldValue);
+            this.refreshRow(change.rowIndex);
+
+            const cell = td.isConnected ? td : this.findCell(change.rowIndex, change.column);
+            if (cell) {
+                cell.classList.add('cell-invalid');
+                cell.setAttribute('title', error.message);
+            }
+
+            this.table.emit('cellEditError', { ...change, error });
+        }
+    }
+
+    /**
+     * Move editor to the next/previous editable cell (wraps rows)
+     */
+    moveToNext(direction) {
+        if (!this.active) return;
+
+        const { rowIndex, columnIndex } = this.active;
+        if (!this.commit()) return;
+
+        const columnCount = this.table.options.columns.length;
+        const rowCount = this.table.data.length;
+        let row = rowIndex;
+        let col = columnIndex;
+
+        for (let i = 0; i < columnCount * rowCount; i++) {
+            col += direction;
+            if (col >= columnCount) {
+                col = 0;
+                row++;
+            } else if (col < 0) {
+                col = columnCount - 1;
+                row--;
+            }
+            if (row < 0 || row >= rowCount) return;
+
+            if (this.isEditable(col) && this.edit(row, col)) return;
+        }
+    }
+
+    /**
+     * Edit the first editable cell of a row
+     */
+    editRow(rowIndex) {
+        const columnIndex = this.table.options.columns.findIndex((column, index) => this.isEditable(index));
+        return columnIndex >= 0 ? this.edit(rowIndex, columnIndex) : false;
+    }
+
+    renderCell(td, row, column, rowIndex) {
+        td.classList.remove('cell-editing');
+        const value = this.table.renderCellValue(row, column, rowIndex);
+        td.innerHTML = value === null || value === undefined ? '' : value;
+    }
+
+    findCell(rowIndex, column) {
+        const tr = this.table.tbody.querySelector(`tr[data-index="${rowIndex}"]`);
+        if (!tr) return null;
+        const offset = this.table.options.select ? 1 : 0;
+        return tr.cells[this.table.options.columns.indexOf(column) + offset] || null;
+    }
+
+    /**
+     * Re-render all non-editing cells of a row
+     */
+    refreshRow(rowIndex) {
+        const row = this.table.data[rowIndex];
+        if (!row) return;
+
+        this.table.options.columns.forEach(column => {
+            const td = this.findCell(rowIndex, column);
+            if (td && !td.classList.contains('cell-editing')) {
+                this.renderCell(td, row, column, rowIndex);
+            }
+        });
+    }
+
+    destroy() {
+        this.table.tbody.removeEventListener('dblclick', this.onDblClick);
+        this.active = null;
+    }
+}
@@ -4,13 +4,50 @@
  */
 
 import { getExportData, formatCSV, formatExcel, formatPrint, copyToClipboard, downloadFile, showNotification } from '../utils/exportUtils.js';
+import { createXLSX, currencyFormat } from '../utils/xlsx.js';
+import { createPDF } from '../utils/pdf.js';
+import { toNumber } from '../utils/aggregates.js';
+import { createElement } from '../utils/dom.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+/**
+ * Date from a cell value; date-only strings ("2024-01-15") are local days, not UTC midnight
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+}
 
 export class ExportPlugin {
     constructor(table) {
         this.table = table;
+        this.options = this.parseOptions(table.options.export);
+        this.exporting = false;
         this.init();
     }
 
+    /**
+     * Parse export options
+     */
+    parseOptions(config) {
+        const defaults = {
+            serverSide: false, // Fetch the full filtered dataset from the server
+            url: null,         // Export endpoint (defaults to the api url)
+            method: null,      // Defaults to the api method
+            mode: 'all',       // 'all' (length -1), 'paged' (page by page) or 'file' (server builds the file)
+            pageSize: 1000,    // Rows per request in 'paged' mode
+            params: null       // (params, format) => params
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
     init() {
         // Plugin initialization
         console.log('ExportPlugin initialized');
@@ -21,7 +58,7 @@ export class ExportPlugin {
      */
     getFilteredExportData(options = {}) {
         // Get column data names to export
-        const columnNames = options.columns || this.getDefaultColumnNames();
+        const columnNames = this.getColumnNames(options.columns);
         
         // Convert column names to actual data
         const headers = [];
@@ -36,8 +73,9 @@ export class ExportPlugin {
             }
         });
         
-        // Get rows data
-        const rows = this.table.data.map(rowData => {
+        // Get rows data (options.data overrides the current page)
+        const source = options.data || this.table.data;
+        const rows = source.map(rowData => {
             return columnIndices.map(colIndex => {
                 const column = this.table.options.columns[colIndex];
                 if (!column) return '';
@@ -58,7 +96,19 @@ export class ExportPlugin {
             });
         });
         
-        return { headers, rows };
+        // Footer aggregates (column.footer): the on-screen totals, or totals of the exported rows
+        const footerPlugin = this.table.plugins.footer;
+        const footer = footerPlugin && options.footer !== false
+            ? columnIndices.map(colIndex => options.data
+                ? footerPlugin.getTextForRows(colIndex, options.data)
+                : footerPlugin.getText(colIndex))
+            : null;
+        
+        // Unrendered values for typed exports (XLSX)
+        const columns = columnIndices.map(colIndex => this.table.options.columns[colIndex]);
+        const values = source.map(rowData => columns.map(column => this.table.getCellValue(rowData, column.data)));
+        
+        return { headers, rows, footer, columns, values };
     }
     
     /**
@@ -76,6 +126,15 @@ export class ExportPlugin {
             .map(col => col.data);
     }
     
+    /**
+     * Export columns as data names (column indices are resolved)
+     */
+    getColumnNames(columns) {
+        return (columns || this.getDefaultColumnNames())
+            .map(column => (typeof column === 'number' ? this.table.options.columns[column]?.data : column))
+            .filter(Boolean);
+    }
+    
     /**
      * Generate Excel content in HTML table format (reliable method)
      */
@@ -127,6 +186,18 @@ export class ExportPlugin {
 `;
         });
         
+        // Add footer row
+        if (data.footer) {
+            html += `<Row>
+`;
+            data.footer.forEach(cell => {
+                html += `<Cell><Data ss:Type="String">${this.escapeHTML(cell)}</Data></Cell>
+`;
+            });
+            html += `</Row>
+`;
+        }
+        
         html += `</Table>
 `;
         html += `</Worksheet>
@@ -183,6 +254,10 @@ export class ExportPlugin {
      * Export CSV
      */
     exportCSV(options = {}) {
+        if (this.isServerSide(options)) {
+            return this.exportFromServer('csv', options);
+        }
+        
         try {
             // Get export data with column filtering
             const exportData = this.getFilteredExportData(options);
@@ -204,6 +279,10 @@ export class ExportPlugin {
      * Export Excel using simple XLSX binary format
      */
     exportExcel(options = {}) {
+        if (this.isServerSide(options)) {
+            return this.exportFromServer('excel', options);
+        }
+        
         try {
             // Get export data with column filtering
             const exportData = this.getFilteredExportData(options);
@@ -213,14 +292,15 @@ export class ExportPlugin {
                 return this.exportAsCSV(exportData, options, 'Excel-compatible CSV');
             }
             
-            // Generate proper XLSX using minimal binary format
-            const xlsxContent = this.generateMinimalXLSX(exportData, options);
+            // One sheet per entry of options.sheets, each with its own sheetName/columns/data
+            const sheets = Array.isArray(options.sheets) && options.sheets.length
+                ? options.sheets.map(sheet => this.getXLSXSheet({ ...options, ...sheet }))
+                : [this.getXLSXSheet(options, exportData)];
+            
+            const xlsxContent = this.generateXLSX(sheets);
             
             // Use .xlsx extension
-            let filename = options.filename || `users_export_${new Date().toISOString().split('T')[0]}.xlsx`;
-            if (!filename.endsWith('.xlsx')) {
-                filename = filename.replace(/\.[^.]+$/, '.xlsx');
-            }
+            const filename = this.getFilename(options, 'xlsx');
             
             // Download as XLSX
             downloadFile(xlsxContent, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', filename);
@@ -250,19 +330,114 @@ export class ExportPlugin {
     }
     
     /**
-     * Check if we can generate XLSX (for future SheetJS integration)
+     * Check if the browser can build XLSX files
      */
     canGenerateXLSX() {
-        return false; // For now, always use CSV for reliability
+        return typeof TextEncoder !== 'undefined' && typeof Uint8Array !== 'undefined';
+    }
+    
+    /**
+     * Generate XLSX workbook (Uint8Array)
+     */
+    generateXLSX(sheets) {
+        return createXLSX(sheets);
+    }
+    
+    /**
+     * Build a typed worksheet from export options
+     */
+    getXLSXSheet(options = {}, exportData = this.getFilteredExportData(options)) {
+        const { headers, footer, columns } = exportData;
+        
+        const rows = exportData.values.map((values, rowIndex) => {
+            return values.map((value, colIndex) => {
+                return this.getXLSXValue(value, exportData.rows[rowIndex][colIndex], columns[colIndex]);
+            });
+        });
+        
+        return {
+            name: options.sheetName,
+            headers,
+            rows,
+            footer,
+            columns: columns.map(column => ({ numFmt: this.getXLSXFormat(column) })),
+            widths: this.getXLSXWidths(exportData),
+            freezeHeader: options.freezeHeader !== false
+        };
+    }
+    
+    /**
+     * Column value type from column.type or a built-in string renderer
+     */
+    getColumnType(column) {
+        const type = column.type || (typeof column.render === 'string' ? column.render : null);
+        return type === 'num' ? 'number' : type;
     }
     
     /**
-     * Generate minimal XLSX (placeholder for future implementation)
+     * Excel number format: column.excelFormat (id or format code) or from the column type
      */
-    generateMinimalXLSX(data, options) {
-        // This would require SheetJS library or similar
-        // For now, fallback to CSV
-        throw new Error('XLSX generation not implemented, using CSV fallback');
+    getXLSXFormat(column) {
+        if (column.excelFormat !== undefined) return column.excelFormat;
+        
+        switch (this.getColumnType(column)) {
+            case 'date':
+                return 14; // Built-in short date
+            case 'currency':
+                return currencyFormat(column.currency, column.locale);
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Typed cell value: raw value for typed columns, rendered text otherwise
+     */
+    getXLSXValue(value, text, column) {
+        const type = this.getColumnType(column);
+        
+        if (type === 'date') {
+            const date = toDate(value);
+            return value !== '' && value !== null && !isNaN(date.getTime()) ? date : text;
+        }
+        if (type === 'currency' || type === 'number') {
+            const number = toNumber(value);
+            return number !== null ? number : text;
+        }
+        if (type === 'boolean' && typeof value === 'boolean') {
+            return value;
+        }
+        
+        // Rendered columns export their text
+        const cell = typeof column.render === 'function' ? text : value;
+        if (typeof cell === 'number' || typeof cell === 'boolean' || cell instanceof Date) {
+            return cell;
+        }
+        
+        // Numeric strings become numbers (but keep leading zeros, e.g. phone numbers)
+        const string = String(cell ?? '');
+        if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(string)) {
+            return Number(string);
+        }
+        return string;
+    }
+    
+    /**
+     * Column widths in characters (resized width or longest text)
+     */
+    getXLSXWidths(exportData) {
+        const resized = this.table.plugins.colResize?.getWidths() || {};
+        
+        return exportData.columns.map((column, colIndex) => {
+            const width = resized[this.table.options.columns.indexOf(column)];
+            if (width) {
+                return Math.round(width / 7);
+            }
+            
+            const texts = [exportData.headers[colIndex], ...exportData.rows.map(row => row[colIndex])];
+            const longest = texts.reduce((max, text) => Math.max(max, String(text ?? '').length), 0);
+            return Math.min(60, Math.max(8, longest + 2));
+        });
     }
     
     /**
@@ -288,35 +463,289 @@ export class ExportPlugin {
             lines.push(csvRow.join(';'));
         });
         
+        // Add footer row
+        if (data.footer) {
+            lines.push(data.footer.map(cell => String(cell || '').replace(/;/g, ',').replace(/"/g, '""')).join(';'));
+        }
+        
         return lines.join('\r\n');
     }
 
     /**
-     * Export PDF
+     * Export PDF (file download, no print dialog)
      */
     exportPDF(options = {}) {
+        if (this.isServerSide(options)) {
+            return this.exportFromServer('pdf', options);
+        }
+        
         try {
             // Get export data with column filtering
             const exportData = this.getFilteredExportData(options);
-            const printContent = formatPrint(exportData, options.title || 'Users Report');
+            const pdfContent = this.generatePDF(exportData, options);
             
-            const printWindow = window.open('', '_blank', 'width=800,height=600');
-            if (printWindow) {
-                printWindow.document.write(printContent);
-                printWindow.document.close();
-                printWindow.onload = () => {
-                    printWindow.focus();
-                    setTimeout(() => {
-                        printWindow.print();
-                    }, 500);
-                };
-                showNotification('PDF print dialog opened!', 'info');
-            }
+            downloadFile(pdfContent, 'application/pdf', this.getFilename(options, 'pdf'));
+            showNotification('PDF file downloaded!', 'success');
         } catch (error) {
             console.error('PDF export error:', error);
             showNotification('Error exporting PDF', 'danger');
         }
     }
+    
+    /**
+     * Generate PDF document (Uint8Array)
+     */
+    generatePDF(data, options = {}) {
+        return createPDF(data, {
+            title: options.title || 'Users Report',
+            orientation: options.orientation || 'portrait',
+            pageSize: options.pageSize || 'A4',
+            fontSize: options.fontSize
+        });
+    }
+
+    /**
+     * Export JSON (array of objects keyed by column data)
+     */
+    exportJSON(options = {}) {
+        if (this.isServerSide(options)) {
+            return this.exportFromServer('json', options);
+        }
+        
+        try {
+            const exportData = this.getFilteredExportData(options);
+            const json = exportData.values.map(values => {
+                const row = {};
+                exportData.columns.forEach((column, index) => {
+                    row[column.data] = values[index];
+                });
+                return row;
+            });
+            
+            downloadFile(JSON.stringify(json, null, 2), 'application/json', this.getFilename(options, 'json'));
+            showNotification('JSON file downloaded!', 'success');
+        } catch (error) {
+            console.error('JSON export error:', error);
+            showNotification('Error exporting JSON', 'danger');
+        }
+    }
+    
+    /**
+     * Filename with the given extension
+     */
+    getFilename(options, extension) {
+        const filename = options.filename || `users_export_${new Date().toISOString().split('T')[0]}.${extension}`;
+        if (filename.endsWith(`.${extension}`)) return filename;
+        
+        return /\.[^.]+$/.test(filename)
+            ? filename.replace(/\.[^.]+$/, `.${extension}`)
+            : `${filename}.${extension}`;
+    }
+    
+    /**
+     * Whether an export should fetch its rows from the server
+     */
+    isServerSide(options = {}) {
+        return Boolean(this.options.serverSide) && !options.data && options.serverSide !== false;
+    }
+    
+    /**
+     * Export the full filtered dataset from the server, then run the regular writer
+     */
+    async exportFromServer(format, options = {}) {
+        if (this.exporting) return;
+        
+        this.exporting = true;
+        this.table.showLoading(true);
+        this.table.emit('exportStart', { format });
+        
+        try {
+            if (this.options.mode === 'file') {
+                await this.downloadServerFile(format, options);
+                return;
+            }
+            
+            const data = await this.fetchServerData(format);
+            const writerOptions = { ...options, data };
+            
+            switch (format) {
+                case 'csv':
+                    this.exportCSV(writerOptions);
+                    break;
+                case 'excel':
+                    this.exportExcel(writerOptions);
+                    break;
+                case 'pdf':
+                    this.exportPDF(writerOptions);
+                    break;
+                case 'json':
+                    this.exportJSON(writerOptions);
+                    break;
+            }
+            
+            this.table.emit('exportComplete', { format, rows: data.length });
+        } catch (error) {
+            console.error('Server export error:', error);
+            showNotification('Error exporting data', 'danger');
+            this.table.emit('exportError', { format, error });
+        } finally {
+            this.exporting = false;
+            this.clearProgress();
+            this.table.showLoading(false);
+        }
+    }
+    
+    /**
+     * Current request parameters (search, order, filters) for a range of rows
+     * cursor: page cursor with cursor pagination (null = first page)
+     */
+    buildExportParams(start, length, format, cursor = null) {
+        const state = this.table.buildRequestState();
+        const exportState = { ...state, start, length };
+        
+        if (state.cursor !== undefined) {
+            exportState.cursor = cursor;
+        }
+        
+        const params = this.table.buildRequestParams(exportState);
+        
+        return this.options.params ? (this.options.params(params, format) || params) : params;
+    }
+    
+    /**
+     * API client for the export endpoint (table api config without UI callbacks)
+     */
+    createExportClient() {
+        const apiConfig = this.table.apiClient?.config || {};
+        
+        return new ApiClient({
+            url: this.options.url || apiConfig.url,
+            method: this.options.method || apiConfig.method || 'GET',
+            headers: apiConfig.headers,
+            data: apiConfig.data,
+            graphql: apiConfig.graphql,
+            dataSrc: apiConfig.dataSrc,
+            beforeRequest: apiConfig.beforeRequest,
+            timeout: this.options.timeout
+        });
+    }
+    
+    /**
+     * One request with length -1 (adapters such as Laravel and JSON:API have no
+     * "all rows" page size, and cursor APIs page by cursor: those export page by page)
+     */
+    canRequestAllRows() {
+        return this.table.protocol.allRows !== false && !this.table.isCursorPagination();
+    }
+    
+    /**
+     * Fetch all filtered rows: one request (length -1) or page by page
+     */
+    async fetchServerData(format) {
+        const client = this.createExportClient();
+        
+        if (this.options.mode !== 'paged' && this.canRequestAllRows()) {
+            this.setProgress(0, null);
+            const response = await client.request(this.buildExportParams(0, -1, format));
+            const rows = this.getResponseRows(response);
+            this.setProgress(rows.length, rows.length);
+            return rows;
+        }
+        
+        const pageSize = this.options.pageSize;
+        const cursorMode = this.table.isCursorPagination();
+        const rows = [];
+        let total = null;
+        let cursor = null;
+        
+        while (true) {
+            const response = await client.request(this.buildExportParams(rows.length, pageSize, format, cursor));
+            const pageRows = this.getResponseRows(response);
+            total = this.getResponseTotal(response) ?? total;
+            
+            rows.push(...pageRows);
+            this.setProgress(rows.length, total);
+            
+            if (pageRows.length === 0 || (total !== null && rows.length >= total)) {
+                break;
+            }
+            
+            if (cursorMode) {
+                // Cursor APIs may send no total: the last page has no next cursor
+                const nextCursor = this.getResponseCursor(response);
+                if (!nextCursor || nextCursor === cursor) break;
+                cursor = nextCursor;
+            } else if (pageRows.length < pageSize) {
+                break;
+            }
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Rows and total of an export response (read with the table protocol adapter)
+     */
+    getResponseRows(response) {
+        return this.table.protocol.parseResponse(response).data || [];
+    }
+    
+    getResponseCursor(response) {
+        if (!response || Array.isArray(response)) return null;
+        return this.table.protocol.parseResponse(response).nextCursor ?? null;
+    }
+    
+    getResponseTotal(response) {
+        if (!response || Array.isArray(response)) return null;
+        const result = this.table.protocol.parseResponse(response);
+        return result.recordsFiltered ?? result.recordsTotal ?? null;
+    }
+    
+    /**
+     * File mode: the server builds the file, we download the blob
+     */
+    async downloadServerFile(format, options) {
+        this.setProgress(0, null);
+        
+        const params = this.buildExportParams(0, -1, format);
+        params.export = {
+            format,
+            columns: this.getColumnNames(options.columns),
+            filename: options.filename || null
+        };
+        
+        const { blob, filename } = await this.createExportClient().download(params);
+        const extensions = { csv: 'csv', excel: 'xlsx', pdf: 'pdf', json: 'json' };
+        
+        downloadFile(blob, blob.type || 'application/octet-stream', filename || this.getFilename(options, extensions[format]));
+        showNotification('Export downloaded!', 'success');
+        this.table.emit('exportComplete', { format, rows: null });
+    }
+    
+    /**
+     * Show export progress in the loading overlay
+     */
+    setProgress(loaded, total) {
+        if (!this.progress && this.table.loadingOverlay) {
+            this.progress = createElement('div', { className: 'modern-table-export-progress' });
+            this.table.loadingOverlay.appendChild(this.progress);
+        }
+        
+        if (this.progress) {
+            this.progress.textContent = total
+                ? `Exporting ${loaded.toLocaleString()} of ${total.toLocaleString()} rows...`
+                : `Exporting ${loaded.toLocaleString()} rows...`;
+        }
+        
+        this.table.emit('exportProgress', { loaded, total });
+    }
+    
+    clearProgress() {
+        if (this.progress) {
+            this.progress.remove();
+            this.progress = null;
+        }
+    }
 
     /**
      * Print table
@@ -45,6 +45,23 @@ export class FixedColumnsPlugin {
         this.table.on('dataLoaded', () => {
             setTimeout(() => this.applyFixedColumns(), 50);
         });
+
+        // Virtual scrolling recycles rows: re-apply sticky classes to rendered rows
+        this.table.on('scrollerDraw', (rows) => {
+            if (!this.table.wrapper.classList.contains('modern-table-fixed')) return;
+            rows.forEach(row => this.applyFixedToRow(row));
+        });
+        
+        // Header and body are rebuilt after column reordering
+        this.table.on('columnReorder', () => {
+            this.applyFixedColumns();
+        });
+
+        // Sticky offsets follow a column resize while dragging
+        this.table.on('columnResize', () => {
+            if (!this.table.wrapper.classList.contains('modern-table-fixed')) return;
+            this.calculateColumnWidths();
+        });
         
         // Reapply when column search is created
         const originalCreateColumnSearchRow = this.table.createColumnSearchRow;
@@ -205,7 +222,7 @@ export class FixedColumnsPlugin {
         
         // Get all rows (header including column search, body, footer)
         const headerRows = table.querySelectorAll('thead tr');
-        const bodyRows = table.querySelectorAll('tbody tr');
+        const bodyRows = table.querySelectorAll('tbody tr:not(.scroller-spacer)');
         const footerRows = table.querySelectorAll('tfoot tr');
         
         // Calculate column widths for positioning
@@ -0,0 +1,211 @@
+/**
+ * FooterPlugin.js - Column footer aggregates (sum/avg/min/max/count)
+ * column.footer: 'sum' | fn | { type, scope: 'page' | 'filtered' | 'total' | 'server', format, formatOptions, label }
+ */
+
+import { createElement } from '../utils/dom.js';
+import { aggregate, formatAggregate } from '../utils/aggregates.js';
+import { applyFormatter } from '../utils/formatters.js';
+
+export class FooterPlugin {
+    constructor(table) {
+        this.table = table;
+        this.values = {}; // columnIndex => raw aggregate value
+        this.texts = {};  // columnIndex => displayed text
+        this.init();
+    }
+
+    init() {
+        this.createFooter();
+
+        this.onDataLoaded = () => this.update();
+        this.table.on('dataLoaded', this.onDataLoaded);
+
+        // Rebuild cells in the new column order
+        this.onColumnReorder = () => {
+            const row = this.buildRow();
+            this.row.replaceWith(row);
+            this.row = row;
+            this.update();
+        };
+        this.table.on('columnReorder', this.onColumnReorder);
+    }
+
+    /**
+     * Create <tfoot> row with one cell per column
+     */
+    createFooter() {
+        let tfoot = this.table.element.querySelector('tfoot');
+        if (!tfoot) {
+            tfoot = createElement('tfoot');
+            this.table.element.appendChild(tfoot);
+        }
+
+        this.row = this.buildRow();
+        tfoot.appendChild(this.row);
+        this.tfoot = tfoot;
+    }
+
+    buildRow() {
+        const row = createElement('tr', { className: 'modern-table-footer-row' });
+
+        if (this.table.options.select) {
+            row.appendChild(createElement('th'));
+        }
+
+        this.table.options.columns.forEach((column, index) => {
+            const th = createElement('th', {
+                'data-column': index,
+                className: column.className || ''
+            });
+            row.appendChild(th);
+        });
+
+        return row;
+    }
+
+    /**
+     * Normalize column.footer config
+     */
+    getConfig(column) {
+        const footer = column.footer;
+        if (!footer) return null;
+
+        if (typeof footer === 'string' || typeof footer === 'function') {
+            return { type: footer, scope: 'page' };
+        }
+
+        return { scope: 'page', ...footer };
+    }
+
+    /**
+     * Rows used for a scope
+     */
+    getRows(scope) {
+        if (this.table.isClientSide) {
+            if (scope === 'filtered') return this.table.filteredData || [];
+            if (scope === 'total') return this.table.originalData || [];
+        }
+        return this.table.data || [];
+    }
+
+    /**
+     * Server-supplied aggregate: { total: 1234 } or { total: { sum: 1234, avg: 12 } }
+     */
+    getServerValue(column, type) {
+        const aggregates = this.table.aggregates;
+        if (!aggregates || !(column.data in aggregates)) return undefined;
+
+        const value = aggregates[column.data];
+        if (value !== null && typeof value === 'object' && typeof type === 'string') {
+            return value[type];
+        }
+        return value;
+    }
+
+    /**
+     * Calculate aggregate for a column
+     */
+    calculate(columnIndex) {
+        const column = this.table.options.columns[columnIndex];
+        const config = column && this.getConfig(column);
+        if (!config || !config.type) return null;
+
+        // Server totals cover all filtered rows, not just the page
+        if (!this.table.isClientSide && config.scope !== 'page') {
+            const serverValue = this.getServerValue(column, config.type);
+            if (serverValue !== undefined) return serverValue;
+        }
+
+        const rows = this.getRows(config.scope);
+        const values = rows.map(row => this.table.getCellValue(row, column.data));
+        return aggregate(values, config.type, rows);
+    }
+
+    /**
+     * Format aggregate with the formatters registry or a custom function
+     */
+    format(value, config) {
+        if (value === null || value === undefined) return '';
+
+        if (typeof config.format === 'function') {
+            return config.format(value);
+        }
+        if (typeof config.format === 'string') {
+            return applyFormatter(value, config.format, config.formatOptions || {});
+        }
+        return formatAggregate(value);
+    }
+
+    /**
+     * Formatted value with the label
+     */
+    display(value, config) {
+        const formatted = this.format(value, config);
+        return config.label
+            ? `${config.label}${formatted !== '' ? ` ${formatted}` : ''}`
+            : formatted;
+    }
+
+    /**
+     * Recalculate and render all footer cells
+     */
+    update() {
+        const offset = this.table.options.select ? 1 : 0;
+        this.values = {};
+        this.texts = {};
+
+        this.table.options.columns.forEach((column, index) => {
+            const config = this.getConfig(column);
+            const cell = this.row.cells[index + offset];
+            if (!config || !cell) return;
+
+            const value = this.calculate(index);
+            const text = this.display(value, config);
+
+            this.values[index] = value;
+            this.texts[index] = text;
+            cell.innerHTML = text;
+            if (typeof config.type === 'string') {
+                cell.dataset.aggregate = config.type;
+            }
+        });
+
+        this.table.emit('footerUpdate', { ...this.values });
+    }
+
+    /**
+     * Raw aggregate value for a column
+     */
+    getValue(columnIndex) {
+        return this.values[columnIndex] ?? null;
+    }
+
+    /**
+     * Footer text for a column (HTML stripped, used by exports)
+     */
+    getText(columnIndex) {
+        const text = this.texts[columnIndex];
+        return text === undefined ? '' : String(text).replace(/<[^>]*>/g, '').trim();
+    }
+
+    /**
+     * Footer text calculated over other rows (exports of more rows than the page)
+     */
+    getTextForRows(columnIndex, rows) {
+        const column = this.table.options.columns[columnIndex];
+        const config = column && this.getConfig(column);
+        if (!config || !config.type) return '';
+
+        const values = rows.map(row => this.table.getCellValue(row, column.data));
+        const text = this.display(aggregate(values, config.type, rows), config);
+        return String(text).replace(/<[^>]*>/g, '').trim();
+    }
+
+    destroy() {
+        this.table.off('dataLoaded', this.onDataLoaded);
+        this.table.off('columnReorder', this.onColumnReorder);
+        if (this.row) this.row.remove();
+        if (this.tfoot && !this.tfoot.children.length) this.tfoot.remove();
+    }
+}
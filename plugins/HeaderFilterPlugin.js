@@ -0,0 +1,443 @@
+/**
+ * HeaderFilterPlugin.js - Excel-style distinct-value filters in the column headers
+ * columns: [{ data: 'status', headerFilter: true }] adds a funnel button to the header.
+ * The popover lists the distinct values with counts, a search box and checkboxes.
+ * Client-side values come from originalData, server-side values from the distinct endpoint.
+ */
+
+import { createElement } from '../utils/dom.js';
+import { createChildClient, isAbortError } from '../core/ApiClient.js';
+import { buildFilterParams } from '../core/protocols.js';
+
+const LABELS = {
+    filter: 'Filter _TITLE_',
+    search: 'Search...',
+    selectAll: '(Select All)',
+    blanks: '(Blanks)',
+    loading: 'Loading...',
+    empty: 'No values',
+    apply: 'OK',
+    clear: 'Clear'
+};
+
+const FUNNEL_ICON = '<svg width="12" height="12" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">'
+    + '<path d="M1.5 1.5A.5.5 0 0 1 2 1h12a.5.5 0 0 1 .39.81L10 7.5V13a.5.5 0 0 1-.28.45l-3 1.5A.5.5 0 0 1 6 14.5v-7L1.61 1.81a.5.5 0 0 1-.11-.31z"/>'
+    + '</svg>';
+
+/**
+ * Filter keys of a cell value: one per item of an array cell, "" for empty cells
+ */
+function valueKeys(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.map(item => String(item ?? '')) : [''];
+    }
+    return [String(value ?? '')];
+}
+
+export class HeaderFilterPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.headerFilter);
+        this.labels = { ...LABELS, ...(table.options.language?.headerFilter || {}) };
+        this.values = {}; // column.data => selected values
+        this.clients = {}; // distinct URL => ApiClient
+        this.popover = null;
+        this.init();
+    }
+
+    /**
+     * Parse headerFilter options
+     */
+    parseOptions(config) {
+        const defaults = {
+            distinct: null // Server-side: URL or ({ column, filters, headerFilters, signal }) => [{ value, count }]
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        // Close on outside click and Escape
+        this.onDocumentClick = (event) => {
+            if (this.popover && !this.popover.element.contains(event.target) && !this.popover.button.contains(event.target)) {
+                this.close();
+            }
+        };
+        this.onKeydown = (event) => {
+            if (event.key === 'Escape' && this.popover) {
+                const button = this.popover.button;
+                this.close();
+                button.focus();
+            }
+        };
+        document.addEventListener('click', this.onDocumentClick);
+        document.addEventListener('keydown', this.onKeydown);
+
+        this.setupHeader();
+
+        // Header is rebuilt after column reordering
+        this.table.on('columnReorder', () => {
+            this.close();
+            this.setupHeader();
+        });
+    }
+
+    /**
+     * Add funnel buttons to the title row
+     */
+    setupHeader() {
+        this.table.thead.querySelectorAll('tr:first-child th[data-column]').forEach(th => {
+            const columnIndex = parseInt(th.dataset.column);
+            const column = this.table.options.columns[columnIndex];
+            if (!column?.headerFilter || th.querySelector('.modern-table-header-filter')) return;
+
+            const title = th.textContent.trim() || column.data;
+            const button = createElement('button', {
+                type: 'button',
+                className: 'modern-table-header-filter',
+                'aria-label': this.labels.filter.replace('_TITLE_', title),
+                'aria-haspopup': 'dialog',
+                'aria-expanded': 'false',
+                'data-column': columnIndex,
+                innerHTML: FUNNEL_ICON
+            });
+
+            // Opening the popover must not sort the column
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                if (this.popover?.button === button) {
+                    this.close();
+                } else {
+                    this.open(parseInt(button.dataset.column), button);
+                }
+            });
+
+            th.appendChild(button);
+        });
+
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        this.table.thead.querySelectorAll('.modern-table-header-filter').forEach(button => {
+            const column = this.table.options.columns[parseInt(button.dataset.column)];
+            button.classList.toggle('active', Boolean(column && this.values[column.data]));
+        });
+    }
+
+    /**
+     * Open the value list of a column below its header
+     */
+    async open(columnIndex, button) {
+        this.close();
+
+        const column = this.table.options.columns[columnIndex];
+        const element = createElement('div', {
+            className: 'modern-table-header-filter-popover border rounded bg-body shadow-sm p-2',
+            role: 'dialog',
+            'aria-label': button.getAttribute('aria-label'),
+            textContent: this.labels.loading
+        });
+        const controller = new AbortController();
+        this.popover = { column, button, element, controller };
+
+        const rect = button.closest('th').getBoundingClientRect();
+        element.style.top = `${rect.bottom + window.scrollY}px`;
+        element.style.left = `${rect.left + window.scrollX}px`;
+        document.body.appendChild(element);
+        button.setAttribute('aria-expanded', 'true');
+
+        const items = await this.getDistinctValues(column, controller);
+        if (this.popover?.element !== element) return; // Closed while loading
+
+        this.render(items);
+    }
+
+    close() {
+        if (!this.popover) return;
+
+        this.popover.controller.abort();
+        this.popover.element.remove();
+        this.popover.button.setAttribute('aria-expanded', 'false');
+        this.popover = null;
+    }
+
+    /**
+     * Distinct values as [{ value, count }] (count is optional for server values)
+     */
+    async getDistinctValues(column, controller) {
+        const distinct = column.headerFilter?.distinct ?? this.options.distinct;
+        let items;
+
+        if (this.table.isClientSide || !distinct) {
+            // Server-side without an endpoint: values of the loaded page
+            items = this.countValues(this.table.isClientSide ? this.table.originalData : this.table.data, column);
+        } else {
+            try {
+                // Counts in the context of the other filters
+                const headerFilters = this.getValues();
+                delete headerFilters[column.data];
+                const params = {
+                    column: column.data,
+                    filters: this.table.components?.filterPanel?.getFilters() || {},
+                    headerFilters
+                };
+                // URLs get the filters in the format of the table's data request
+                const response = typeof distinct === 'function'
+                    ? await distinct({ ...params, signal: controller.signal })
+                    : await this.getClient(distinct).request(
+                        { column: params.column, ...buildFilterParams(this.table.protocol, params) },
+                        { controller }
+                    );
+                items = this.parse(response);
+            } catch (error) {
+                if (!isAbortError(error)) {
+                    console.warn(`Failed to load distinct values for "${column.data}":`, error);
+                }
+                items = [];
+            }
+        }
+
+        // Selected values that are no longer in the data stay visible
+        (this.values[column.data] || []).forEach(value => {
+            if (!items.some(item => item.value === value)) items.push({ value, count: 0 });
+        });
+
+        return this.sortItems(items);
+    }
+
+    countValues(rows, column) {
+        const counts = new Map();
+        rows.forEach(row => {
+            new Set(valueKeys(this.table.getCellValue(row, column.data))).forEach(key => {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        });
+        return Array.from(counts, ([value, count]) => ({ value, count }));
+    }
+
+    /**
+     * Response: [{ value, count }], plain values, or { data: [...] }
+     */
+    parse(response) {
+        const items = Array.isArray(response) ? response : response?.data || [];
+        return items.map(item => (typeof item === 'object' && item !== null
+            ? { value: String(item.value ?? ''), count: item.count }
+            : { value: String(item ?? ''), count: undefined }));
+    }
+
+    /**
+     * Natural order, blanks last
+     */
+    sortItems(items) {
+        const collator = new Intl.Collator(this.table.options.sortLocale || undefined, { numeric: true, sensitivity: 'base' });
+        return items.sort((a, b) => {
+            if (a.value === '' || b.value === '') return a.value === '' ? 1 : -1;
+            return collator.compare(a.value, b.value);
+        });
+    }
+
+    getClient(url) {
+        if (!this.clients[url]) {
+            this.clients[url] = createChildClient(this.table.apiClient, url);
+        }
+        return this.clients[url];
+    }
+
+    /**
+     * Search box, "(Select All)", value checkboxes with counts, OK / Clear
+     */
+    render(items) {
+        const { column, element } = this.popover;
+        const selected = this.values[column.data];
+        const checked = new Set(selected || items.map(item => item.value));
+
+        element.textContent = '';
+
+        const search = createElement('input', {
+            type: 'search',
+            className: 'form-control form-control-sm mb-2 modern-table-header-filter-search',
+            placeholder: this.labels.search
+        });
+
+        const list = createElement('div', {
+            className: 'modern-table-header-filter-list'
+        });
+
+        const apply = createElement('button', {
+            type: 'button',
+            className: 'btn btn-primary btn-sm modern-table-header-filter-apply',
+            textContent: this.labels.apply
+        });
+        const clear = createElement('button', {
+            type: 'button',
+            className: 'btn btn-outline-secondary btn-sm modern-table-header-filter-clear',
+            textContent: this.labels.clear
+        });
+
+        const visibleItems = () => {
+            const term = search.value.trim().toLowerCase();
+            return items.filter(item => this.textOf(item.value).toLowerCase().includes(term));
+        };
+
+        const renderList = () => {
+            const visible = visibleItems();
+            list.textContent = '';
+
+            if (visible.length === 0) {
+                list.appendChild(createElement('div', {
+                    className: 'small text-muted',
+                    textContent: this.labels.empty
+                }));
+            } else {
+                const all = this.createCheckbox(this.labels.selectAll, 'modern-table-header-filter-all');
+                const count = visible.filter(item => checked.has(item.value)).length;
+                all.input.checked = count === visible.length;
+                all.input.indeterminate = count > 0 && count < visible.length;
+                all.input.addEventListener('change', () => {
+                    visible.forEach(item => (all.input.checked ? checked.add(item.value) : checked.delete(item.value)));
+                    renderList();
+                });
+                list.appendChild(all.label);
+            }
+
+            visible.forEach(item => {
+                const option = this.createCheckbox(this.textOf(item.value), '', item.value);
+                option.input.checked = checked.has(item.value);
+                option.input.addEventListener('change', () => {
+                    if (option.input.checked) {
+                        checked.add(item.value);
+                    } else {
+                        checked.delete(item.value);
+                    }
+                    renderList();
+                });
+                if (item.count !== undefined) {
+                    option.label.appendChild(createElement('span', {
+                        className: 'text-muted ms-1 modern-table-header-filter-count',
+                        textContent: `(${item.count})`
+                    }));
+                }
+                list.appendChild(option.label);
+            });
+
+            // Nothing checked would hide every row
+            apply.disabled = checked.size === 0;
+        };
+
+        search.addEventListener('input', renderList);
+
+        apply.addEventListener('click', () => {
+            const values = items.map(item => item.value).filter(value => checked.has(value));
+            this.close();
+            this.apply(column.data, values.length === items.length ? null : values);
+        });
+        clear.addEventListener('click', () => {
+            this.close();
+            this.apply(column.data, null);
+        });
+
+        const actions = createElement('div', {
+            className: 'd-flex justify-content-end gap-2 mt-2'
+        });
+        actions.appendChild(clear);
+        actions.appendChild(apply);
+
+        element.appendChild(search);
+        element.appendChild(list);
+        element.appendChild(actions);
+        renderList();
+        search.focus();
+    }
+
+    createCheckbox(text, className, value = '') {
+        const label = createElement('label', {
+            className: `form-check small mb-0 ${className}`.trim()
+        });
+        const input = createElement('input', {
+            type: 'checkbox',
+            className: 'form-check-input',
+            value
+        });
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${text}`));
+        return { label, input };
+    }
+
+    textOf(value) {
+        return value === '' ? this.labels.blanks : value;
+    }
+
+    /**
+     * Filter a column by its values (null clears the column's filter)
+     */
+    apply(columnData, values) {
+        this.setValues({ ...this.values, [columnData]: values });
+        this.table.currentPage = 1;
+
+        // Save state after filter
+        if (this.table.stateManager && this.table.stateManager.isEnabled()) {
+            this.table.stateManager.save();
+        }
+
+        this.table.emit('headerFilter', { column: columnData, values: this.values[columnData] || null });
+
+        if (this.table.isClientSide) {
+            this.table.processClientSideData();
+        } else {
+            this.table.loadData();
+        }
+    }
+
+    clear() {
+        this.setValues({});
+        this.table.currentPage = 1;
+
+        if (this.table.isClientSide) {
+            this.table.processClientSideData();
+        } else {
+            this.table.loadData();
+        }
+    }
+
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * Set values without reloading (restored state)
+     */
+    setValues(values) {
+        this.values = {};
+        Object.entries(values || {}).forEach(([columnData, selected]) => {
+            if (Array.isArray(selected)) {
+                this.values[columnData] = selected.map(String);
+            }
+        });
+        this.updateButtons();
+    }
+
+    isActive() {
+        return Object.keys(this.values).length > 0;
+    }
+
+    /**
+     * Client-side test: every filtered column has one of its selected values
+     */
+    matches(row) {
+        return Object.entries(this.values).every(([columnData, selected]) =>
+            valueKeys(this.table.getCellValue(row, columnData)).some(key => selected.includes(key))
+        );
+    }
+
+    destroy() {
+        this.close();
+        document.removeEventListener('click', this.onDocumentClick);
+        document.removeEventListener('keydown', this.onKeydown);
+        this.table.thead.querySelectorAll('.modern-table-header-filter').forEach(button => button.remove());
+    }
+}
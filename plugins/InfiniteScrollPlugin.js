@@ -0,0 +1,145 @@
+/**
+ * InfiniteScrollPlugin.js - paging: 'infinite' | 'loadMore'
+ * Appends the next page to the rendered rows (scroll sentinel or "Load more" button)
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class InfiniteScrollPlugin {
+    constructor(table) {
+        this.table = table;
+        this.mode = table.options.paging; // 'infinite' or 'loadMore'
+        this.rows = [];           // Rows of all loaded pages
+        this.loadedPage = 0;      // Last page in this.rows
+        this.append = false;      // Current draw adds the next page
+        this.appendFrom = null;   // First new row index for renderData()
+        this.loading = false;
+        this.observer = null;
+        this.init();
+    }
+
+    init() {
+        // Failed or cancelled loads can be retried
+        const reset = () => {
+            if (!this.loading) return;
+            this.loading = false;
+            if (this.loadedPage > 0 && this.table.currentPage === this.loadedPage + 1) {
+                this.table.currentPage = this.loadedPage;
+            }
+            this.render();
+        };
+        this.table.on('error', reset);
+        this.table.on('aborted', reset);
+    }
+
+    /**
+     * Called before each draw: only the page after the last loaded one is appended,
+     * any other draw (search, sort, filters, reload) starts again from page 1
+     */
+    beforeDraw() {
+        const table = this.table;
+        this.append = this.loadedPage > 0 && table.currentPage === this.loadedPage + 1;
+        if (!this.append) {
+            table.currentPage = 1;
+        }
+    }
+
+    /**
+     * Called when page rows arrive: table.data becomes all loaded rows
+     */
+    collect() {
+        const table = this.table;
+
+        if (this.append && table.currentPage === this.loadedPage + 1) {
+            // Group rows need a full redraw to stay together
+            this.appendFrom = table.plugins.rowGroup ? null : this.rows.length;
+            table.data = this.rows.concat(table.data);
+        } else {
+            this.appendFrom = null;
+            // Same page again (e.g. background revalidation): replace only its rows
+            if (table.currentPage > 1 && table.currentPage === this.loadedPage) {
+                const keep = (table.currentPage - 1) * table.options.pageLength;
+                table.data = this.rows.slice(0, keep).concat(table.data);
+            }
+        }
+
+        this.rows = table.data;
+        this.loadedPage = table.currentPage;
+        this.append = false;
+        this.loading = false;
+    }
+
+    /**
+     * First row index to append (null: full render); read once by renderData()
+     */
+    takeAppendFrom() {
+        const appendFrom = this.appendFrom;
+        this.appendFrom = null;
+        return appendFrom;
+    }
+
+    /**
+     * Load the next page
+     */
+    loadNext() {
+        const table = this.table;
+        if (this.loading || !table.hasNextPage) return;
+
+        this.loading = true;
+        this.render();
+        table.goToPage(table.currentPage + 1);
+    }
+
+    /**
+     * Render the sentinel or "Load more" button in place of the pagination
+     */
+    render() {
+        const container = this.table.paginationElement;
+        if (!container) return;
+
+        this.disconnect();
+        container.innerHTML = '';
+
+        if (!this.table.hasNextPage) return;
+
+        // Without IntersectionObserver the sentinel falls back to a button
+        if (this.mode === 'loadMore' || typeof IntersectionObserver === 'undefined') {
+            const language = this.table.options.language;
+            const button = createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-secondary btn-sm modern-table-load-more',
+                textContent: this.loading ? language.processing : (language.loadMore || 'Load more')
+            });
+            button.disabled = this.loading;
+            button.addEventListener('click', () => this.loadNext());
+            container.appendChild(button);
+            return;
+        }
+
+        const sentinel = createElement('div', {
+            className: 'modern-table-sentinel',
+            'aria-hidden': 'true'
+        });
+        container.appendChild(sentinel);
+        if (this.loading) return;
+
+        // Start loading a little before the end of the table is visible
+        this.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadNext();
+            }
+        }, { rootMargin: '200px' });
+        this.observer.observe(sentinel);
+    }
+
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    destroy() {
+        this.disconnect();
+    }
+}
@@ -12,6 +12,18 @@ export class KeyboardPlugin {
     init() {
         this.setupKeyboardListeners();
         this.setupFocusManagement();
+
+        // Virtual scrolling: focusedRow is a data index, re-apply focus to recycled rows
+        if (this.table.plugins.scroller) {
+            this.table.on('scrollerDraw', (rows, info) => {
+                if (info.reset) {
+                    this.focusedRow = -1;
+                }
+                this.clearRowFocus();
+                const row = this.getRowElement(this.focusedRow);
+                if (row) row.classList.add('keyboard-focused');
+            });
+        }
     }
 
     setupKeyboardListeners() {
@@ -29,6 +41,10 @@ export class KeyboardPlugin {
         const { key, ctrlKey, metaKey, shiftKey } = event;
         const isModifier = ctrlKey || metaKey;
 
+        // Inline editor handles its own keys
+        const editor = this.table.plugins.editor;
+        if (editor && editor.isEditing()) return;
+
         switch (key) {
             case 'ArrowUp':
                 event.preventDefault();
@@ -60,7 +76,19 @@ export class KeyboardPlugin {
                 this.navigatePage(1);
                 break;
                 
-            case 'Enter':
+            case 'Enter': {
+                event.preventDefault();
+                // Enter edits the focused row when columns are editable
+                // (the focus index counts visible rows: the data index is on the <tr>)
+                const row = editor ? this.getRowElement(this.focusedRow) : null;
+                if (row) {
+                    editor.editRow(parseInt(row.dataset.index));
+                } else {
+                    this.toggleRowSelection();
+                }
+                break;
+            }
+
             case ' ':
                 event.preventDefault();
                 this.toggleRowSelection();
@@ -119,10 +147,10 @@ export class KeyboardPlugin {
     }
 
     navigateRow(direction, extend = false) {
-        const rows = this.getVisibleRows();
-        if (rows.length === 0) return;
+        const rowCount = this.getRowCount();
+        if (rowCount === 0) return;
 
-        const newIndex = Math.max(0, Math.min(rows.length - 1, this.focusedRow + direction));
+        const newIndex = Math.max(0, Math.min(rowCount - 1, this.focusedRow + direction));
         
         if (newIndex !== this.focusedRow) {
             this.setFocusedRow(newIndex, extend);
@@ -130,20 +158,29 @@ export class KeyboardPlugin {
     }
 
     navigateToFirst(extend = false) {
-        const rows = this.getVisibleRows();
-        if (rows.length > 0) {
+        if (this.getRowCount() > 0) {
             this.setFocusedRow(0, extend);
         }
     }
 
     navigateToLast(extend = false) {
-        const rows = this.getVisibleRows();
-        if (rows.length > 0) {
-            this.setFocusedRow(rows.length - 1, extend);
+        const rowCount = this.getRowCount();
+        if (rowCount > 0) {
+            this.setFocusedRow(rowCount - 1, extend);
         }
     }
 
     navigatePage(direction) {
+        const scroller = this.table.plugins.scroller;
+
+        // Scroller: PageUp/PageDown move one viewport within the dataset
+        if (scroller) {
+            const newRow = this.focusedRow + (direction * scroller.getPageSize());
+            const lastRow = this.getRowCount() - 1;
+            this.setFocusedRow(Math.max(0, Math.min(lastRow, newRow)));
+            return;
+        }
+
         const pageSize = this.table.options.pageLength || 10;
         const newRow = this.focusedRow + (direction * pageSize);
         const rows = this.getVisibleRows();
@@ -166,19 +203,29 @@ export class KeyboardPlugin {
     }
 
     setFocusedRow(index, extend = false) {
-        const rows = this.getVisibleRows();
-        if (index < 0 || index >= rows.length) return;
+        if (index < 0 || index >= this.getRowCount()) return;
+
+        const scroller = this.table.plugins.scroller;
 
         // Remove previous focus
         this.clearRowFocus();
 
         // Set new focus
         this.focusedRow = index;
-        const row = rows[index];
+
+        if (scroller) {
+            // Renders the row if it is outside the current window
+            scroller.scrollToRow(index);
+        }
+
+        const row = this.getRowElement(index);
+        if (!row) return;
         row.classList.add('keyboard-focused');
         
         // Scroll into view if needed
-        row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        if (!scroller) {
+            row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
 
         // Handle selection
         if (extend && this.table.options.select) {
@@ -193,9 +240,8 @@ export class KeyboardPlugin {
 
     toggleRowSelection() {
         if (this.focusedRow >= 0 && this.table.plugins.selection) {
-            const rows = this.getVisibleRows();
-            const row = rows[this.focusedRow];
-            const checkbox = row.querySelector('.row-checkbox');
+            const row = this.getRowElement(this.focusedRow);
+            const checkbox = row?.querySelector('.row-checkbox');
             if (checkbox) {
                 checkbox.checked = !checkbox.checked;
                 // Trigger change event to update selection
@@ -240,7 +286,29 @@ export class KeyboardPlugin {
     }
 
     getVisibleRows() {
-        return Array.from(this.table.tbody.querySelectorAll('tr:not(.dtr-details)'));
+        // Data rows only (skip detail, spacer and group rows, and collapsed rows)
+        return Array.from(this.table.tbody.querySelectorAll('tr[data-index]')).filter(row => !row.hidden);
+    }
+
+    /**
+     * Number of navigable rows (whole dataset when virtual scrolling)
+     */
+    getRowCount() {
+        if (this.table.plugins.scroller) {
+            return this.table.data ? this.table.data.length : 0;
+        }
+        return this.getVisibleRows().length;
+    }
+
+    /**
+     * Get <tr> for a focus index
+     */
+    getRowElement(index) {
+        if (index < 0) return null;
+        if (this.table.plugins.scroller) {
+            return this.table.plugins.scroller.getRowElement(index);
+        }
+        return this.getVisibleRows()[index] || null;
     }
     
     deleteBulk() {
@@ -256,7 +324,7 @@ export class KeyboardPlugin {
     setupFocusManagement() {
         // Handle focus events
         this.table.wrapper.addEventListener('focus', () => {
-            if (this.focusedRow === -1 && this.getVisibleRows().length > 0) {
+            if (this.focusedRow === -1 && this.getRowCount() > 0) {
                 this.setFocusedRow(0);
             }
         });
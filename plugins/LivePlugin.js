@@ -0,0 +1,448 @@
+/**
+ * LivePlugin.js - Live row updates over WebSocket / Server-Sent Events
+ * live: { source: EventSource | WebSocket | url, key: 'id' }
+ * Messages: { type: 'insert' | 'update' | 'delete', data: row | row[] }
+ */
+
+import { createElement } from '../utils/dom.js';
+
+const TYPES = ['insert', 'update', 'delete'];
+
+export class LivePlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.live);
+        this.source = null;
+        this.ownSource = false; // Created from a URL: closed on destroy
+        this.pending = 0;       // Server-side: rows inserted since the last load
+        this.banner = null;
+        this.timers = new Set();
+        this.init();
+    }
+
+    /**
+     * Parse live options (a URL or source object is shorthand for { source })
+     */
+    parseOptions(config) {
+        const defaults = {
+            source: null,
+            key: 'id',        // Row key: data path or function(row)
+            highlight: 1500,  // Highlight duration in ms (false = no highlight)
+            parse: null,      // function(payload, event) => message(s) for other formats
+            message: '_COUNT_ new rows — refresh'
+        };
+
+        if (typeof config === 'string' || typeof config?.addEventListener === 'function') {
+            return { ...defaults, source: config };
+        }
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        const source = this.options.source;
+        if (typeof source === 'string') {
+            this.source = /^wss?:\/\//i.test(source) ? new WebSocket(source) : new EventSource(source);
+            this.ownSource = true;
+        } else {
+            this.source = source;
+        }
+
+        if (!this.source) {
+            throw new Error('live.source is required');
+        }
+
+        // SSE named events ("event: update") carry the row as data
+        this.onMessage = (event) => this.receive(event);
+        ['message', ...TYPES].forEach(type => this.source.addEventListener(type, this.onMessage));
+
+        // A (re)load shows every change made so far
+        this.table.on('dataLoaded', () => this.setPending(0));
+    }
+
+    /**
+     * Parse a message event and apply it
+     */
+    receive(event) {
+        let payload = event.data;
+        if (typeof payload === 'string') {
+            try {
+                payload = JSON.parse(payload);
+            } catch (error) {
+                console.warn('LivePlugin: ignoring message that is not JSON:', payload);
+                return;
+            }
+        }
+
+        if (TYPES.includes(event.type)) {
+            payload = { type: event.type, data: payload };
+        }
+
+        if (this.options.parse) {
+            payload = this.options.parse(payload, event);
+        }
+
+        this.apply(payload);
+    }
+
+    /**
+     * Apply one or more insert/update/delete messages
+     */
+    apply(messages) {
+        const list = [].concat(messages || []).filter(message => message && TYPES.includes(message.type));
+        if (list.length === 0) return;
+
+        if (this.table.isClientSide) {
+            this.applyClientSide(list);
+        } else {
+            this.applyServerSide(list);
+        }
+
+        this.table.emit('liveUpdate', list);
+    }
+
+    /**
+     * Client-side: update originalData in place by key, then redraw only what changed
+     * Rows without a key or with a duplicate key are never updated or deleted
+     */
+    applyClientSide(list) {
+        const table = this.table;
+        const data = table.originalData;
+        const changed = new Set(); // Inserted or updated row objects
+
+        list.forEach(message => {
+            this.rowsOf(message).forEach(row => {
+                const key = this.keyOf(row);
+                const index = this.findIndex(data, key);
+
+                if (message.type === 'delete') {
+                    if (index >= 0) {
+                        changed.delete(data[index]);
+                        data.splice(index, 1);
+                    }
+                    return;
+                }
+
+                // Updates keep the row object (selection and editors refer to it)
+                if (index >= 0) {
+                    Object.assign(data[index], row);
+                    changed.add(data[index]);
+                } else if ((index === -1 || (key === null && message.type === 'insert')) && typeof row === 'object' && row !== null) {
+                    const inserted = { ...row };
+                    data.push(inserted);
+                    changed.add(inserted);
+                }
+            });
+        });
+
+        // Recycled and grouped rows are laid out by their plugins
+        if (table.plugins.scroller || table.plugins.rowGroup) {
+            table.processClientSideData();
+            return;
+        }
+
+        const previous = table.data;
+        this.paginate();
+        this.patchRows(previous, changed);
+
+        table.updatePagination();
+        table.updateInfo();
+        table.plugins.footer?.update();
+    }
+
+    /**
+     * Search, filter, sort and page originalData again, keeping the current page
+     */
+    paginate() {
+        const table = this.table;
+        const pageLength = table.options.pageLength;
+        const processedData = table.getProcessedClientSideData();
+
+        table.filteredData = processedData;
+        table.totalRecords = table.originalData.length;
+        table.filteredRecords = processedData.length;
+
+        if (pageLength === -1) {
+            table.totalPages = 1;
+            table.data = processedData;
+            return;
+        }
+
+        table.totalPages = Math.ceil(table.filteredRecords / pageLength);
+        // Deleting the last rows of the last page moves back one page
+        table.currentPage = Math.max(1, Math.min(table.currentPage, table.totalPages));
+
+        const infinite = table.plugins.infinite;
+        const start = infinite ? 0 : (table.currentPage - 1) * pageLength;
+        table.data = processedData.slice(start, table.currentPage * pageLength);
+        if (infinite) {
+            infinite.rows = table.data;
+            infinite.loadedPage = table.currentPage;
+        }
+    }
+
+    /**
+     * Match rendered rows to table.data (same row objects): unchanged rows stay in the DOM,
+     * changed rows get new cells, new rows are created and removed rows dropped
+     */
+    patchRows(previous, changed) {
+        const table = this.table;
+        const tbody = table.tbody;
+
+        if (table.data.length === 0 || !tbody.querySelector('tr[data-index]')) {
+            table.renderData();
+            return;
+        }
+
+        const rendered = new Map(); // row => tr
+        tbody.querySelectorAll('tr[data-index]').forEach(tr => {
+            const row = previous[tr.dataset.index];
+            if (row) {
+                rendered.set(row, tr);
+            } else {
+                tr.remove();
+            }
+        });
+
+        // Drop removed rows first so they are never used as an anchor
+        const current = new Set(table.data);
+        rendered.forEach((tr, row) => {
+            if (current.has(row)) return;
+            this.detailsOf(tr).forEach(node => node.remove());
+            tr.remove();
+            rendered.delete(row);
+        });
+
+        // Row numbers change when rows move
+        const numbered = table.options.columns.some(column => column.data === 'DT_RowIndex');
+        const fresh = [];
+        let anchor = tbody.querySelector('tr[data-index]');
+
+        table.data.forEach((row, index) => {
+            let tr = rendered.get(row);
+            rendered.delete(row);
+
+            if (!tr) {
+                tr = table.createRow(row, index);
+                fresh.push(tr);
+                this.highlight(tr);
+            } else if (changed.has(row) || (numbered && tr.dataset.index !== String(index))) {
+                this.renderRow(tr, row, index);
+                fresh.push(tr);
+                if (changed.has(row)) this.highlight(tr);
+            } else {
+                tr.setAttribute('data-index', index);
+            }
+
+            // Move only rows that are out of place (keeps focus and scroll position)
+            if (tr === anchor) {
+                anchor = this.nextRow(tr);
+            } else {
+                [tr, ...this.detailsOf(tr)].forEach(node => tbody.insertBefore(node, anchor));
+            }
+        });
+
+        table.applyAllColumnVisibility();
+        table.plugins.responsive?.updateAppendedRows(fresh);
+        table.plugins.selection?.updateSelectAllCheckbox();
+        table.plugins.accessibility?.updateRowAccessibility();
+        this.refreshRows(fresh);
+    }
+
+    /**
+     * Server-side: patch updated rows on the current page, count new rows
+     */
+    applyServerSide(list) {
+        const table = this.table;
+        const fresh = [];
+
+        list.forEach(message => {
+            this.rowsOf(message).forEach(row => {
+                if (message.type === 'insert') {
+                    this.pending++;
+                    return;
+                }
+
+                const index = this.findIndex(table.data, this.keyOf(row));
+                const tr = table.tbody.querySelector(`tr[data-index="${index}"]`);
+                if (index < 0 || !tr) return;
+
+                // Deleted rows stay until the next load (paging is the server's)
+                if (message.type === 'delete') {
+                    tr.classList.add('modern-table-live-deleted');
+                    return;
+                }
+
+                Object.assign(table.data[index], row);
+                this.renderRow(tr, table.data[index], index);
+                this.highlight(tr);
+                fresh.push(tr);
+            });
+        });
+
+        if (fresh.length > 0) {
+            table.applyAllColumnVisibility();
+            table.plugins.responsive?.updateAppendedRows(fresh);
+            this.refreshRows(fresh);
+        }
+
+        this.setPending(this.pending);
+    }
+
+    /**
+     * Replace the cells of a rendered row; selection is kept, open details are closed
+     */
+    renderRow(tr, row, index) {
+        const checked = tr.querySelector('.row-checkbox')?.checked;
+        this.detailsOf(tr).forEach(node => node.remove());
+        tr.classList.remove('dtr-expanded');
+        tr.setAttribute('data-index', index);
+        tr.innerHTML = this.table.getRowHTML(row, index);
+
+        const checkbox = tr.querySelector('.row-checkbox');
+        if (checkbox && checked) checkbox.checked = true;
+    }
+
+    /**
+     * Per-row work renderData() does for created rows
+     */
+    refreshRows(rows) {
+        const table = this.table;
+        const fixedColumns = table.plugins.fixedColumns;
+        if (fixedColumns && table.wrapper.classList.contains('modern-table-fixed')) {
+            rows.forEach(tr => fixedColumns.applyFixedToRow(tr));
+        }
+
+        if (table.options.rowCallback) {
+            rows.forEach(tr => {
+                const index = parseInt(tr.dataset.index);
+                table.options.rowCallback(tr, table.data[index], index);
+            });
+        }
+
+        // An edited cell may have been replaced
+        const editor = table.plugins.editor;
+        if (editor?.active && !editor.active.td.isConnected) {
+            editor.active = null;
+        }
+    }
+
+    /**
+     * Show, update or hide the "N new rows — refresh" banner
+     */
+    setPending(count) {
+        this.pending = count;
+
+        if (count === 0) {
+            if (this.banner) this.banner.remove();
+            this.banner = null;
+            return;
+        }
+
+        if (!this.banner) {
+            this.banner = createElement('div', {
+                className: 'modern-table-live alert alert-info py-2 px-3 mb-2 small',
+                role: 'status',
+                'aria-live': 'polite'
+            });
+            const button = createElement('button', {
+                type: 'button',
+                className: 'btn btn-link btn-sm p-0 modern-table-live-refresh'
+            });
+            button.addEventListener('click', () => this.table.reload());
+            this.banner.appendChild(button);
+            this.table.wrapper.insertBefore(this.banner, this.table.wrapper.firstChild);
+        }
+
+        this.banner.firstChild.textContent = this.options.message.replace('_COUNT_', count);
+    }
+
+    highlight(tr) {
+        const duration = this.options.highlight;
+        if (!duration) return;
+
+        tr.classList.add('modern-table-live-highlight');
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            tr.classList.remove('modern-table-live-highlight');
+        }, duration);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Key of a row as a string (null when the row has no key)
+     */
+    getKey(row) {
+        const key = this.options.key;
+        const value = typeof key === 'function' ? key(row) : this.table.getCellValue(row, key);
+        return value === null || value === undefined || value === '' ? null : String(value);
+    }
+
+    /**
+     * Key of a message row (deletes may send only the key)
+     */
+    keyOf(row) {
+        if (typeof row === 'object' && row !== null) return this.getKey(row);
+        return row === null || row === undefined || row === '' ? null : String(row);
+    }
+
+    /**
+     * Index of the only row with a key: -1 when there is none,
+     * -2 when the key is missing or shared by several rows (left alone)
+     */
+    findIndex(rows, key) {
+        if (key === null) return -2;
+
+        let found = -1;
+        for (let index = 0; index < rows.length; index++) {
+            if (this.getKey(rows[index]) !== key) continue;
+            if (found !== -1) return -2;
+            found = index;
+        }
+        return found;
+    }
+
+    rowsOf(message) {
+        return [].concat(message.data ?? []);
+    }
+
+    /**
+     * Next data row after a row and its details
+     */
+    nextRow(tr) {
+        let node = tr.nextElementSibling;
+        while (node && !node.hasAttribute('data-index')) {
+            node = node.nextElementSibling;
+        }
+        return node;
+    }
+
+    /**
+     * Responsive details rows that belong to a row
+     */
+    detailsOf(tr) {
+        const details = [];
+        let node = tr.nextElementSibling;
+        while (node && node.classList.contains('dtr-details')) {
+            details.push(node);
+            node = node.nextElementSibling;
+        }
+        return details;
+    }
+
+    destroy() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        if (this.source) {
+            ['message', ...TYPES].forEach(type => this.source.removeEventListener(type, this.onMessage));
+            if (this.ownSource) this.source.close();
+        }
+
+        if (this.banner) this.banner.remove();
+    }
+}
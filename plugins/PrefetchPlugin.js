@@ -0,0 +1,150 @@
+/**
+ * PrefetchPlugin.js - Background loading of adjacent server-side pages
+ */
+
+import { ResponseCache } from '../core/ResponseCache.js';
+import { withDraw } from '../core/ApiClient.js';
+
+export class PrefetchPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.prefetch);
+        this.query = null; // Search, sort and filters of the prefetched pages
+        this.store = new ResponseCache({ ttl: this.options.ttl }); // Prefetched pages only
+        this.pending = new Map(); // store key => { controller, promise }
+        this.init();
+    }
+
+    /**
+     * Parse prefetch options (true or { pages, ttl })
+     */
+    parseOptions(config) {
+        const defaults = {
+            pages: 1,   // Pages to load on each side of the current page
+            ttl: 30000  // Prefetched pages older than this (ms) are requested again
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        this.table.on('dataLoaded', () => this.prefetch());
+
+        // Prefetched pages may contain the old value
+        this.table.on('cellEditSaved', () => this.cancel());
+    }
+
+    /**
+     * Request state key without paging: same key => same result set
+     */
+    getQueryKey(state) {
+        const { draw, start, length, cursor, ...query } = state;
+        return this.store.key(query);
+    }
+
+    /**
+     * Cancel prefetches when a draw changes search, sort or filters
+     */
+    beforeLoad(state) {
+        const query = this.getQueryKey(state);
+        if (this.query !== null && query !== this.query) {
+            this.cancel();
+        }
+        this.query = query;
+    }
+
+    /**
+     * Prefetched response for the request params (waits for a prefetch in flight), or null
+     */
+    async take(params) {
+        const key = this.store.key(params);
+        const pending = this.pending.get(key);
+        const data = pending ? await pending.promise : this.store.get(key)?.data;
+
+        return data ? withDraw(data, params.draw) : null;
+    }
+
+    /**
+     * Prefetch pages around the current one
+     */
+    prefetch() {
+        const { currentPage, totalPages } = this.table;
+        const pages = [];
+
+        for (let offset = 1; offset <= this.options.pages; offset++) {
+            pages.push(currentPage + offset, currentPage - offset);
+        }
+
+        pages
+            .filter(page => page >= 1 && page <= totalPages)
+            .forEach(page => this.load(this.buildParams(page)));
+    }
+
+    /**
+     * Load one page into the store (resolves null on failure)
+     * Quiet request: the api beforeSend, success, error and complete callbacks are skipped
+     */
+    load(params) {
+        const key = this.store.key(params);
+        if (this.pending.has(key)) {
+            return this.pending.get(key).promise;
+        }
+
+        const stored = this.store.get(key);
+        if (stored) {
+            return Promise.resolve(stored.data);
+        }
+
+        const controller = new AbortController();
+        const promise = this.table.apiClient.request(params, { cache: false, controller, quiet: true })
+            .then(data => {
+                if (!data || data.success === false) return null;
+                if (!controller.signal.aborted) {
+                    this.store.set(key, data);
+                }
+                return data;
+            })
+            .catch(() => null)
+            .finally(() => {
+                if (this.pending.get(key)?.controller === controller) {
+                    this.pending.delete(key);
+                }
+            });
+
+        this.pending.set(key, { controller, promise });
+        return promise;
+    }
+
+    /**
+     * Request params for another page of the current draw
+     */
+    buildParams(page) {
+        const state = this.table.buildRequestState();
+
+        const pageState = { ...state, start: (page - 1) * this.table.options.pageLength };
+
+        // Cursor pagination: adjacent pages are known from the cursor stack
+        if (state.cursor !== undefined) {
+            pageState.cursor = this.table.cursors[page - 1] ?? null;
+        }
+
+        return this.table.buildRequestParams(pageState);
+    }
+
+    /**
+     * Abort prefetches in flight and drop the prefetched pages
+     */
+    cancel() {
+        this.pending.forEach(({ controller }) => controller.abort());
+        this.pending.clear();
+        this.store.clear();
+    }
+
+    destroy() {
+        this.cancel();
+    }
+}
@@ -46,6 +46,36 @@ export class ResponsivePlugin {
     // Attach resize listener
     this._resizeListener();
 
+    // Virtual scrolling recycles rows: re-hide columns on newly rendered rows
+    this.table.on("scrollerDraw", () => {
+      const hidden = this.s.current.hidden || [];
+      if (hidden.length === 0) return;
+
+      this._removeControl();
+      hidden.forEach((colIndex) => this._hideColumn(colIndex));
+      this._insertControl();
+    });
+
+    // Column reordering: priorities stay with their columns
+    this.table.on("columnReorder", ({ mapping }) => {
+      this.s.columns.forEach((col) => {
+        col.index = mapping[col.index];
+      });
+      this.s.columns.sort((a, b) => a.index - b.index);
+      this._resize();
+    });
+
+    // User-resized columns need their new width to stay visible
+    this.table.on("columnResize", ({ index, width, final }) => {
+      if (!final) return;
+
+      const col = this.s.columns.find((c) => c.index === index);
+      if (col) {
+        col.minWidth = width;
+        this._resize();
+      }
+    });
+
     // Initial calculation - faster
     setTimeout(() => {
       this._resize();
@@ -434,9 +464,11 @@ export class ResponsivePlugin {
     });
 
     // Hide body cells
-    const bodyRows = this.table.tbody.querySelectorAll("tr:not(.dtr-details)");
+    const bodyRows = this.table.tbody.querySelectorAll(
+      "tr:not(.dtr-details):not(.scroller-spacer)"
+    );
     bodyRows.forEach((row) => {
-      const cells = row.querySelectorAll("td");
+      const cells = row.querySelectorAll("td:not([colspan])");
       if (cells[domIndex]) {
         cells[domIndex].style.display = "none";
       }
@@ -466,9 +498,9 @@ export class ResponsivePlugin {
     if (!this.table.options.select) return;
 
     // Add expand buttons to existing selection cells
-    const bodyRows = this.table.tbody.querySelectorAll("tr:not(.dtr-details)");
-    bodyRows.forEach((row, index) => {
-      this._addExpandToSelectionCell(row, index);
+    const bodyRows = this.table.tbody.querySelectorAll("tr[data-index]");
+    bodyRows.forEach((row) => {
+      this._addExpandToSelectionCell(row, parseInt(row.dataset.index));
     });
   }
 
@@ -655,6 +687,29 @@ export class ResponsivePlugin {
     }, 50);
   }
 
+  /**
+   * Apply the current layout to appended or re-rendered rows (infinite scroll, live updates)
+   * Existing rows and their open details are left as they are
+   */
+  updateAppendedRows(rows) {
+    const hidden = this.s.current.hidden || [];
+    if (hidden.length === 0) return;
+
+    rows.forEach((row) => {
+      const cells = row.querySelectorAll("td:not([colspan])");
+      hidden.forEach((colIndex) => {
+        const domIndex = this.table.options.select ? colIndex + 1 : colIndex;
+        if (cells[domIndex]) {
+          cells[domIndex].style.display = "none";
+        }
+      });
+
+      if (this.table.options.select) {
+        this._addExpandToSelectionCell(row, parseInt(row.dataset.index));
+      }
+    });
+  }
+
   /**
    * Destroy
    */
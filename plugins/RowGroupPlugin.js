@@ -0,0 +1,362 @@
+/**
+ * RowGroupPlugin.js - Row grouping with collapsible group headers and group footers
+ * rowGroup: { dataSrc: 'customer.name' | ['customer.name', 'status'], startRender, endRender, aggregates }
+ */
+
+import { createElement } from '../utils/dom.js';
+import { aggregate, formatAggregate } from '../utils/aggregates.js';
+
+const LABELS = {
+    toggle: 'Toggle group _GROUP_' // Collapse/expand button label
+};
+
+export class RowGroupPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.rowGroup);
+        this.labels = { ...LABELS, ...(table.options.language?.rowGroup || {}) };
+        this.collapsed = new Set();
+        this.initialCollapse = this.options.collapsed;
+        this.init();
+    }
+
+    /**
+     * Parse rowGroup options
+     */
+    parseOptions(config) {
+        const defaults = {
+            dataSrc: null,        // Data path or array of paths (one per level)
+            startRender: null,    // (rows, group, level) => string | HTMLElement
+            endRender: null,      // (rows, group, level) => string | HTMLElement
+            aggregates: null,     // { amount: 'sum', id: 'count', price: { type: 'avg', render } }
+            collapsible: true,    // Click group header to collapse/expand
+            collapsed: false,     // Start with all groups collapsed
+            emptyDataGroup: 'No group',
+            className: ''
+        };
+
+        if (typeof config === 'string' || Array.isArray(config)) {
+            return { ...defaults, dataSrc: config };
+        }
+
+        return { ...defaults, ...config };
+    }
+
+    init() {
+        if (!this.getDataSrc().length) {
+            console.warn('RowGroupPlugin: rowGroup.dataSrc is required');
+        }
+
+        if (this.options.collapsible) {
+            this.onClick = (event) => {
+                const header = event.target.closest('tr.dtrg-start');
+                if (header && this.table.tbody.contains(header)) {
+                    this.toggle(header.dataset.group);
+                }
+            };
+            this.table.tbody.addEventListener('click', this.onClick);
+
+            // The toggle button handles Enter/Space itself (keyboard navigation must not)
+            this.onKeyDown = (event) => {
+                if (event.target.closest('.dtrg-toggle') && (event.key === 'Enter' || event.key === ' ')) {
+                    event.stopPropagation();
+                }
+            };
+            this.table.tbody.addEventListener('keydown', this.onKeyDown);
+        }
+    }
+
+    /**
+     * Group data paths, one per level
+     */
+    getDataSrc() {
+        const dataSrc = this.options.dataSrc;
+        if (!dataSrc) return [];
+        return Array.isArray(dataSrc) ? dataSrc : [dataSrc];
+    }
+
+    getGroupValue(rowData, level) {
+        const value = this.table.getCellValue(rowData, this.getDataSrc()[level]);
+        return value === null || value === undefined || value === ''
+            ? this.options.emptyDataGroup
+            : value;
+    }
+
+    /**
+     * Client-side: order rows by group values, keeping the active sort inside groups
+     * Groups follow the direction of a sort on their own column (ascending otherwise)
+     */
+    sortData(data) {
+        const levels = this.getDataSrc();
+        if (!levels.length) return data;
+
+        const collator = new Intl.Collator(this.table.options.sortLocale || undefined, { numeric: true });
+        const sortStack = this.table.plugins?.sorting?.getSortStack() || [];
+        const directions = levels.map(dataSrc => {
+            const sort = sortStack.find(item => this.table.options.columns[item.column]?.data === dataSrc);
+            return sort?.dir === 'desc' ? -1 : 1;
+        });
+
+        return data
+            .map((row, index) => ({ row, index }))
+            .sort((a, b) => {
+                for (let level = 0; level < levels.length; level++) {
+                    const result = collator.compare(
+                        String(this.getGroupValue(a.row, level)),
+                        String(this.getGroupValue(b.row, level))
+                    );
+                    if (result !== 0) return result * directions[level];
+                }
+                return a.index - b.index;
+            })
+            .map(item => item.row);
+    }
+
+    /**
+     * Build group tree from rendered data rows
+     */
+    buildGroups(items, level, parentKey) {
+        const groups = [];
+
+        items.forEach(item => {
+            const value = this.getGroupValue(item.data, level);
+            let group = groups[groups.length - 1];
+
+            // Groups are consecutive runs of the same value
+            if (!group || group.value !== value) {
+                group = {
+                    value,
+                    level,
+                    key: parentKey ? `${parentKey}\u001f${value}` : String(value),
+                    items: []
+                };
+                groups.push(group);
+            }
+            group.items.push(item);
+        });
+
+        if (level < this.getDataSrc().length - 1) {
+            groups.forEach(group => {
+                group.children = this.buildGroups(group.items, level + 1, group.key);
+            });
+        }
+
+        return groups;
+    }
+
+    /**
+     * Insert group header/footer rows around rendered data rows
+     */
+    draw() {
+        const tbody = this.table.tbody;
+        tbody.querySelectorAll('.dtrg-group').forEach(row => row.remove());
+
+        if (!this.getDataSrc().length) return;
+
+        const items = Array.from(tbody.querySelectorAll('tr[data-index]'))
+            .map(tr => ({ tr, data: this.table.data[parseInt(tr.dataset.index)] }))
+            .filter(item => item.data);
+
+        if (!items.length) return;
+
+        const groups = this.buildGroups(items, 0, '');
+
+        if (this.initialCollapse) {
+            this.collectKeys(groups).forEach(key => this.collapsed.add(key));
+            this.initialCollapse = false;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.appendGroups(fragment, groups, []);
+        tbody.appendChild(fragment);
+
+        this.applyCollapsed();
+        this.table.emit('rowGroupDraw', groups);
+    }
+
+    appendGroups(fragment, groups, parents) {
+        groups.forEach(group => {
+            const rows = group.items.map(item => item.data);
+            const path = [...parents, group.key];
+
+            fragment.appendChild(this.tagRow(this.createHeaderRow(group, rows), parents, group.key));
+
+            if (group.children) {
+                this.appendGroups(fragment, group.children, path);
+            } else {
+                group.items.forEach(item => fragment.appendChild(this.tagRow(item.tr, path)));
+            }
+
+            const footer = this.createFooterRow(group, rows);
+            if (footer) {
+                fragment.appendChild(this.tagRow(footer, path));
+            }
+        });
+    }
+
+    /**
+     * Remember which groups a row belongs to (for collapsing)
+     */
+    tagRow(row, parents, groupKey = null) {
+        row._groupPath = parents;
+        if (groupKey !== null) row.dataset.group = groupKey;
+        return row;
+    }
+
+    createHeaderRow(group, rows) {
+        const content = this.options.startRender
+            ? this.options.startRender(rows, group.value, group.level)
+            : `${group.value} <span class="dtrg-count">(${rows.length})</span>`;
+
+        const row = this.createFullRow(content, `dtrg-start dtrg-level-${group.level}`);
+
+        if (this.options.collapsible) {
+            const cell = row.firstElementChild;
+            const toggle = createElement('button', {
+                type: 'button',
+                className: 'dtrg-toggle',
+                'aria-label': this.labels.toggle.replace('_GROUP_', group.value)
+            });
+            if (cell) cell.insertBefore(toggle, cell.firstChild);
+            row.classList.add('dtrg-collapsible');
+        }
+
+        return row;
+    }
+
+    createFooterRow(group, rows) {
+        if (this.options.endRender) {
+            const content = this.options.endRender(rows, group.value, group.level);
+            if (content !== null && content !== undefined) {
+                return this.createFullRow(content, `dtrg-end dtrg-level-${group.level}`);
+            }
+        }
+
+        if (this.options.aggregates) {
+            return this.createAggregateRow(group, rows);
+        }
+
+        return null;
+    }
+
+    /**
+     * Single cell row spanning the whole table
+     */
+    createFullRow(content, className) {
+        if (content instanceof HTMLElement && content.tagName === 'TR') {
+            content.classList.add('dtrg-group', ...className.split(' '));
+            return content;
+        }
+
+        const row = createElement('tr', {
+            className: `dtrg-group ${className} ${this.options.className}`.trim()
+        });
+        const cell = createElement('td', { colspan: this.table.getTotalColumns() });
+
+        if (content instanceof HTMLElement) {
+            cell.appendChild(content);
+        } else {
+            cell.innerHTML = content ?? '';
+        }
+
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Footer row with one cell per column (follows column visibility)
+     */
+    createAggregateRow(group, rows) {
+        const row = createElement('tr', {
+            className: `dtrg-group dtrg-end dtrg-aggregates dtrg-level-${group.level} ${this.options.className}`.trim()
+        });
+
+        if (this.table.options.select) {
+            row.appendChild(createElement('td'));
+        }
+
+        this.table.options.columns.forEach(column => {
+            const cell = createElement('td', { className: column.className || '' });
+            const config = this.options.aggregates[column.data];
+
+            if (config) {
+                const { type, render } = typeof config === 'object' ? config : { type: config };
+                const values = rows.map(rowData => this.table.getCellValue(rowData, column.data));
+                const value = aggregate(values, type, rows);
+                cell.innerHTML = render ? render(value, rows, group.value) : formatAggregate(value);
+                cell.dataset.aggregate = typeof type === 'string' ? type : 'custom';
+            }
+
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    collectKeys(groups) {
+        return groups.flatMap(group => [group.key, ...(group.children ? this.collectKeys(group.children) : [])]);
+    }
+
+    /**
+     * Hide rows inside collapsed groups
+     */
+    applyCollapsed() {
+        this.table.tbody.querySelectorAll('tr').forEach(row => {
+            if (row._groupPath) {
+                row.hidden = row._groupPath.some(key => this.collapsed.has(key));
+            }
+
+            if (row.classList.contains('dtrg-start')) {
+                const expanded = !this.collapsed.has(row.dataset.group);
+                row.classList.toggle('dtrg-collapsed', !expanded);
+                row.querySelector('.dtrg-toggle')?.setAttribute('aria-expanded', expanded);
+            }
+        });
+    }
+
+    /**
+     * Collapse/expand a group by key
+     */
+    toggle(key, collapse = !this.collapsed.has(key)) {
+        if (collapse) {
+            this.collapsed.add(key);
+        } else {
+            this.collapsed.delete(key);
+        }
+
+        this.applyCollapsed();
+        this.table.emit('rowGroupToggle', key, collapse);
+    }
+
+    collapseAll() {
+        this.table.tbody.querySelectorAll('tr.dtrg-start').forEach(row => this.collapsed.add(row.dataset.group));
+        this.applyCollapsed();
+    }
+
+    expandAll() {
+        this.collapsed.clear();
+        this.applyCollapsed();
+    }
+
+    /**
+     * Change group data source(s) and redraw
+     */
+    setDataSrc(dataSrc) {
+        this.options.dataSrc = dataSrc;
+        this.collapsed.clear();
+
+        if (this.table.isClientSide) {
+            this.table.processClientSideData();
+        } else {
+            this.table.loadData();
+        }
+    }
+
+    destroy() {
+        if (this.onClick) {
+            this.table.tbody.removeEventListener('click', this.onClick);
+            this.table.tbody.removeEventListener('keydown', this.onKeyDown);
+        }
+        this.table.tbody.querySelectorAll('.dtrg-group').forEach(row => row.remove());
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * ScrollerPlugin.js - Virtual scrolling for large client-side datasets
+ * Renders only the rows in view (plus a buffer) and recycles <tr> nodes
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class ScrollerPlugin {
+    constructor(table) {
+        this.table = table;
+        this.options = this.parseOptions(table.options.scroller);
+        this.rowHeight = this.options.rowHeight;
+        this.rowPool = [];
+        this.range = { start: 0, end: 0 };
+        this.frame = null;
+        this.init();
+    }
+
+    /**
+     * Parse scroller options
+     */
+    parseOptions(config) {
+        const defaults = {
+            height: 400,     // Scroll body height in px
+            rowHeight: null, // Fixed row height in px (null = measure first row)
+            buffer: 10       // Extra rows rendered above/below the viewport
+        };
+
+        if (typeof config === 'object' && config !== null) {
+            return { ...defaults, ...config };
+        }
+
+        return defaults;
+    }
+
+    init() {
+        // Fixed-height scroll body around the table
+        this.scrollBody = createElement('div', {
+            className: 'modern-table-scroller',
+            style: `height: ${parseInt(this.options.height)}px; overflow: auto; position: relative;`
+        });
+
+        this.table.element.parentNode.insertBefore(this.scrollBody, this.table.element);
+        this.scrollBody.appendChild(this.table.element);
+
+        // Spacer rows keep the scrollbar size equal to the full dataset
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+
+        this.onScroll = () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.draw();
+            });
+        };
+        this.scrollBody.addEventListener('scroll', this.onScroll);
+    }
+
+    /**
+     * Create spacer row
+     */
+    createSpacer() {
+        const row = createElement('tr', { className: 'scroller-spacer', 'aria-hidden': 'true' });
+        const cell = createElement('td', {
+            colspan: this.table.getTotalColumns(),
+            style: 'height: 0; padding: 0; border: 0;'
+        });
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Full render after new data (search, sort, page length...)
+     */
+    render() {
+        const tbody = this.table.tbody;
+
+        // Old rows are detached here and refilled by draw(true)
+        this.range = { start: 0, end: 0 };
+        tbody.innerHTML = '';
+        tbody.appendChild(this.topSpacer);
+        tbody.appendChild(this.bottomSpacer);
+
+        // Keep scroll position valid for the new dataset
+        const maxScroll = Math.max(0, this.getTotalRows() * this.getRowHeight() - this.options.height);
+        if (this.scrollBody.scrollTop > maxScroll) {
+            this.scrollBody.scrollTop = maxScroll;
+        }
+
+        this.draw(true);
+    }
+
+    /**
+     * Draw rows for the current scroll position
+     * Rows still in range are kept; only rows that entered the range are filled
+     */
+    draw(reset = false) {
+        const total = this.getTotalRows();
+        const rowHeight = this.getRowHeight();
+        const viewportRows = Math.ceil(this.options.height / rowHeight);
+        const firstVisible = Math.floor(this.scrollBody.scrollTop / rowHeight);
+
+        const start = Math.max(0, firstVisible - this.options.buffer);
+        const end = Math.min(total, firstVisible + viewportRows + this.options.buffer);
+
+        if (!reset && start === this.range.start && end === this.range.end) return;
+        this.range = { start, end };
+
+        // Rows in the new range stay (contiguous), the others are recycled
+        const inRange = (row) => {
+            const index = parseInt(row.dataset.index);
+            return !reset && index >= start && index < end;
+        };
+        const kept = this.rowPool.filter(inRange);
+        const free = this.rowPool.filter(row => !inRange(row));
+        free.forEach(row => this.detachRow(row));
+
+        const keptStart = kept.length ? parseInt(kept[0].dataset.index) : start;
+        const keptEnd = keptStart + kept.length;
+
+        const fill = (from, to) => {
+            const rows = [];
+            for (let index = from; index < to; index++) {
+                const row = free.pop() || document.createElement('tr');
+                this.fillRow(row, this.table.data[index], index);
+                rows.push(row);
+            }
+            return rows;
+        };
+        const before = fill(start, keptStart);
+        const after = fill(keptEnd, end);
+
+        const tbody = this.table.tbody;
+        before.forEach(row => tbody.insertBefore(row, kept[0] || this.bottomSpacer));
+        after.forEach(row => tbody.insertBefore(row, this.bottomSpacer));
+
+        this.rowPool = [...before, ...kept, ...after];
+        const rendered = [...before, ...after];
+
+        // Measure the real row height (new data) before sizing the spacers
+        const measured = reset || !this.rowHeight
+            ? this.measureRowHeight(this.rowPool[0])
+            : rowHeight;
+
+        this.topSpacer.firstChild.style.height = `${start * measured}px`;
+        this.bottomSpacer.firstChild.style.height = `${(total - end) * measured}px`;
+
+        this.table.applyAllColumnVisibility();
+
+        this.table.emit('scrollerDraw', rendered, { start, end, reset });
+
+        // Range was computed with the old height: draw the rows now in view
+        if (measured !== rowHeight) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Row height from a rendered row (fixed rowHeight wins)
+     */
+    measureRowHeight(row) {
+        if (!this.options.rowHeight && row && row.offsetHeight) {
+            this.rowHeight = row.offsetHeight;
+        }
+        return this.getRowHeight();
+    }
+
+    /**
+     * Take a recycled row out of the body, with its responsive detail row
+     */
+    detachRow(row) {
+        const details = row.nextElementSibling;
+        if (details && details.classList.contains('dtr-details')) {
+            details.remove();
+        }
+        row.remove();
+    }
+
+    /**
+     * Reuse an existing <tr> for a data row
+     */
+    fillRow(row, rowData, index) {
+        row.className = '';
+        row.removeAttribute('style');
+        row.setAttribute('data-index', index);
+        row.innerHTML = this.table.getRowHTML(rowData, index);
+
+        if (this.table.options.createdRow) {
+            this.table.options.createdRow(row, rowData, index);
+        }
+
+        if (this.table.options.rowCallback) {
+            this.table.options.rowCallback(row, rowData, index);
+        }
+    }
+
+    /**
+     * Scroll so the given data row is visible and rendered
+     */
+    scrollToRow(index) {
+        const rowHeight = this.getRowHeight();
+        const top = index * rowHeight;
+        const bottom = top + rowHeight;
+        const viewTop = this.scrollBody.scrollTop;
+        const viewBottom = viewTop + this.options.height;
+
+        if (top < viewTop) {
+            this.scrollBody.scrollTop = top;
+        } else if (bottom > viewBottom) {
+            this.scrollBody.scrollTop = bottom - this.options.height;
+        }
+
+        // Draw synchronously so the row exists for the caller
+        this.draw();
+    }
+
+    /**
+     * Get rendered <tr> for a data row (null when out of view)
+     */
+    getRowElement(index) {
+        return this.table.tbody.querySelector(`tr[data-index="${index}"]`);
+    }
+
+    /**
+     * Number of rows that fit in the viewport
+     */
+    getPageSize() {
+        return Math.max(1, Math.floor(this.options.height / this.getRowHeight()));
+    }
+
+    getTotalRows() {
+        return this.table.data ? this.table.data.length : 0;
+    }
+
+    getRowHeight() {
+        return this.options.rowHeight || this.rowHeight || 37;
+    }
+
+    /**
+     * Destroy
+     */
+    destroy() {
+        this.scrollBody.removeEventListener('scroll', this.onScroll);
+        if (this.frame) cancelAnimationFrame(this.frame);
+
+        if (this.scrollBody.parentNode) {
+            this.scrollBody.parentNode.insertBefore(this.table.element, this.scrollBody);
+            this.scrollBody.remove();
+        }
+    }
+}
@@ -13,6 +13,32 @@ export class SelectionPlugin {
     }
 
     init() {
+        // Virtual scrolling recycles rows: selection lives in selectedRows, not the DOM
+        if (this.table.plugins.scroller) {
+            this.table.on('scrollerDraw', (rows, info) => {
+                if (info.reset) {
+                    this.selectedRows.clear();
+                }
+                this.syncRows(rows);
+                this.updateSelectAllCheckbox();
+            });
+        }
+    }
+
+    /**
+     * Apply selection state to rendered rows (scroller mode)
+     */
+    syncRows(rows) {
+        rows.forEach(row => {
+            const checkbox = find('.row-checkbox', row);
+            const selected = this.selectedRows.has(row.dataset.index);
+            if (checkbox) checkbox.checked = selected;
+            if (selected) {
+                addClass(row, 'table-active');
+            } else {
+                removeClass(row, 'table-active');
+            }
+        });
     }
 
     /**
@@ -47,18 +73,35 @@ export class SelectionPlugin {
      * Toggle all selection
      */
     toggleAllSelection(checked) {
+        if (this.table.plugins.scroller) {
+            // Select every row in the dataset, not only the rendered ones
+            this.selectedRows.clear();
+            if (checked) {
+                this.table.data.forEach((_, index) => this.selectedRows.add(String(index)));
+            }
+            this.syncRows(findAll('tr[data-index]', this.table.tbody));
+            this.updateSelectAllCheckbox();
+
+            if (this.table.stateManager && this.table.stateManager.isEnabled()) {
+                this.table.stateManager.save();
+            }
+
+            this.emitSelectionChange();
+            return;
+        }
+
         const checkboxes = findAll('.row-checkbox', this.table.tbody);
-        const rows = findAll('tr', this.table.tbody);
         
         this.selectedRows.clear();
         
-        checkboxes.forEach((checkbox, index) => {
+        checkboxes.forEach(checkbox => {
+            const row = checkbox.closest('tr');
             checkbox.checked = checked;
             if (checked) {
-                addClass(rows[index], 'table-active');
-                this.selectedRows.add(rows[index].dataset.index);
+                addClass(row, 'table-active');
+                this.selectedRows.add(row.dataset.index);
             } else {
-                removeClass(rows[index], 'table-active');
+                removeClass(row, 'table-active');
             }
         });
         
@@ -77,13 +120,21 @@ export class SelectionPlugin {
         const selectAllCheckbox = find('.select-all-checkbox', this.table.thead);
         if (!selectAllCheckbox) return;
         
-        const checkboxes = findAll('.row-checkbox', this.table.tbody);
-        const checkedCount = checkboxes.filter(cb => cb.checked).length;
+        let checkedCount;
+        let totalCount;
+        if (this.table.plugins.scroller) {
+            checkedCount = this.selectedRows.size;
+            totalCount = this.table.data.length;
+        } else {
+            const checkboxes = findAll('.row-checkbox', this.table.tbody);
+            checkedCount = checkboxes.filter(cb => cb.checked).length;
+            totalCount = checkboxes.length;
+        }
         
         if (checkedCount === 0) {
             selectAllCheckbox.checked = false;
             selectAllCheckbox.indeterminate = false;
-        } else if (checkedCount === checkboxes.length) {
+        } else if (checkedCount === totalCount) {
             selectAllCheckbox.checked = true;
             selectAllCheckbox.indeterminate = false;
         } else {
@@ -96,6 +147,14 @@ export class SelectionPlugin {
      * Get selected rows data
      */
     getSelectedRows() {
+        if (this.table.plugins.scroller) {
+            return [...this.selectedRows]
+                .map(index => parseInt(index))
+                .sort((a, b) => a - b)
+                .map(index => this.table.data[index])
+                .filter(Boolean);
+        }
+
         const selectedData = [];
         const checkboxes = findAll('.row-checkbox', this.table.tbody);
         
@@ -124,19 +183,34 @@ export class SelectionPlugin {
         
         // Wait for data to be rendered first
         setTimeout(() => {
+            if (this.table.plugins.scroller) {
+                this.selectedRows.clear();
+                this.table.data.forEach((rowData, index) => {
+                    const rowId = rowData?.id || rowData?.DT_RowIndex;
+                    if (selectedIds.includes(rowId)) {
+                        this.selectedRows.add(String(index));
+                    }
+                });
+                this.syncRows(findAll('tr[data-index]', this.table.tbody));
+                this.updateSelectAllCheckbox();
+                this.emitSelectionChange();
+                return;
+            }
+
             const checkboxes = findAll('.row-checkbox', this.table.tbody);
-            const rows = findAll('tr', this.table.tbody);
             
             this.selectedRows.clear(); // Clear existing selection
             
-            checkboxes.forEach((checkbox, index) => {
-                const rowData = this.table.data[index];
+            checkboxes.forEach(checkbox => {
+                // Rows are matched by data-index (group/detail rows have no checkbox)
+                const row = checkbox.closest('tr');
+                const rowData = this.table.data[row.dataset.index];
                 const rowId = rowData?.id || rowData?.DT_RowIndex;
                 
                 if (selectedIds.includes(rowId)) {
                     checkbox.checked = true;
-                    addClass(rows[index], 'table-active');
-                    this.selectedRows.add(rows[index].dataset.index);
+                    addClass(row, 'table-active');
+                    this.selectedRows.add(row.dataset.index);
                 }
             });
             
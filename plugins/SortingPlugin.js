@@ -3,79 +3,153 @@
  * Sesuai master plan: plugins/SortingPlugin.js (2KB)
  */
 
-import { find, findAll } from '../utils/dom.js';
+import { find, findAll, createElement } from '../utils/dom.js';
+
+// Currency symbol ($, €, Rp, R$, kr, ...) or ISO code (USD, IDR)
+const CURRENCY = '(?:\\p{Sc}|R\\$|Rp\\.?|Rs\\.?|RM|kr\\.?|zł|Fr\\.?|[A-Z]{3})';
+const CURRENCY_PATTERN = new RegExp(
+    `^\\s*-?\\s*${CURRENCY}\\s?-?[\\d.,\\s]*\\d[\\d.,\\s]*$|^\\s*-?[\\d.,\\s]*\\d[\\d.,\\s]*\\s?${CURRENCY}\\s*$`,
+    'u'
+);
 
 export class SortingPlugin {
     constructor(table) {
         this.table = table;
         this.currentSort = null;
+        this.sortStack = [];
         this.init();
     }
 
     init() {
         // Apply default ordering from options
         if (this.table.options.order && this.table.options.order.length > 0) {
-            const [columnIndex, direction] = this.table.options.order[0];
-            this.currentSort = { column: columnIndex, dir: direction };
+            this.setOrder(this.normalizeOrder(this.table.options.order));
         }
-        
+
         console.log('SortingPlugin initialized');
     }
 
+    /**
+     * Normalize DataTables-style order option to a sort stack
+     * Accepts [[0, 'asc'], [2, 'desc']], a single [0, 'asc'] pair
+     * or saved state objects ({ column, dir })
+     */
+    normalizeOrder(order) {
+        if (!order) return [];
+
+        // Single pair: [0, 'asc']
+        if (Array.isArray(order) && typeof order[0] === 'number') {
+            order = [order];
+        }
+
+        // Legacy single object: { column: 0, dir: 'asc' }
+        if (!Array.isArray(order)) {
+            order = [order];
+        }
+
+        return order
+            .map(item => Array.isArray(item)
+                ? { column: item[0], dir: item[1] || 'asc' }
+                : { column: item.column, dir: item.dir || 'asc' })
+            .filter(item => typeof item.column === 'number');
+    }
+
     /**
      * Toggle column sorting
+     * @param {number} columnIndex - Column to sort
+     * @param {boolean} multi - Add to sort stack instead of replacing it (shift+click)
      */
-    toggleSort(columnIndex) {
+    toggleSort(columnIndex, multi = false) {
         const column = this.table.options.columns[columnIndex];
         if (!column || column.orderable === false) return;
-        
-        // Determine sort direction
-        let direction = 'asc';
-        if (this.currentSort && this.currentSort.column === columnIndex) {
-            direction = this.currentSort.dir === 'asc' ? 'desc' : 'asc';
-        }
-        
-        this.currentSort = { column: columnIndex, dir: direction };
-        
+
+        const existing = this.sortStack.find(sort => sort.column === columnIndex);
+
+        if (multi) {
+            if (existing) {
+                // Flip direction in place, keep priority
+                existing.dir = existing.dir === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.sortStack.push({ column: columnIndex, dir: 'asc' });
+            }
+        } else {
+            // Determine sort direction
+            let direction = 'asc';
+            if (this.sortStack.length > 0 && this.sortStack[0].column === columnIndex) {
+                direction = this.sortStack[0].dir === 'asc' ? 'desc' : 'asc';
+            }
+            this.sortStack = [{ column: columnIndex, dir: direction }];
+        }
+
+        this.currentSort = this.sortStack[0] || null;
+
         // Update sort icons
-        this.updateSortIcons(columnIndex, direction);
-        
+        this.updateSortIcons();
+
         // Reset to first page and reload
         this.table.currentPage = 1;
-        
+
         // Save state after sort
         if (this.table.stateManager && this.table.stateManager.isEnabled()) {
             this.table.stateManager.save();
         }
-        
-        this.table.loadData();
+
+        if (this.table.isClientSide) {
+            this.table.processClientSideData();
+        } else {
+            this.table.loadData();
+        }
     }
 
     /**
-     * Update sort icons
+     * Update sort icons and priority badges
      */
-    updateSortIcons(activeColumn, direction) {
+    updateSortIcons() {
         const headers = findAll('th[data-column]', this.table.thead);
-        
-        headers.forEach((th, index) => {
+        const showPriority = this.sortStack.length > 1;
+
+        headers.forEach(th => {
+            const columnIndex = parseInt(th.dataset.column);
             const icon = find('.sort-icon', th);
             if (!icon) return;
-            
-            if (index === activeColumn) {
-                icon.className = `fas fa-sort-${direction === 'asc' ? 'up' : 'down'} sort-icon`;
+
+            const position = this.sortStack.findIndex(sort => sort.column === columnIndex);
+            const sort = this.sortStack[position];
+
+            if (sort) {
+                icon.className = `fas fa-sort-${sort.dir === 'asc' ? 'up' : 'down'} sort-icon`;
             } else {
                 icon.className = 'fas fa-sort sort-icon';
             }
+
+            // Priority badge (only meaningful for multi-column sorts)
+            let badge = find('.sort-priority', th);
+            if (sort && showPriority) {
+                if (!badge) {
+                    badge = createElement('span', { className: 'sort-priority' });
+                    icon.parentNode.insertBefore(badge, icon.nextSibling);
+                }
+                badge.textContent = position + 1;
+            } else if (badge) {
+                badge.remove();
+            }
         });
     }
 
     /**
-     * Get current sort
+     * Get current (primary) sort
      */
     getCurrentSort() {
         return this.currentSort;
     }
 
+    /**
+     * Get full sort stack in priority order
+     */
+    getSortStack() {
+        return this.sortStack.map(sort => ({ ...sort }));
+    }
+
     /**
      * Set sort programmatically (for state restoration)
      */
@@ -84,18 +158,30 @@ export class SortingPlugin {
             console.warn('Invalid sort parameters:', columnIndex, direction);
             return;
         }
-        
-        const column = this.table.options.columns[columnIndex];
-        if (!column || column.orderable === false) {
-            console.warn('Column not sortable:', columnIndex);
-            return;
-        }
-        
-        this.currentSort = { column: columnIndex, dir: direction };
-        
+
+        this.setOrder([{ column: columnIndex, dir: direction }]);
+    }
+
+    /**
+     * Set the whole sort stack programmatically
+     * Accepts the same shapes as normalizeOrder()
+     */
+    setOrder(order) {
+        const stack = this.normalizeOrder(order).filter(sort => {
+            const column = this.table.options.columns[sort.column];
+            if (!column || column.orderable === false) {
+                console.warn('Column not sortable:', sort.column);
+                return false;
+            }
+            return true;
+        });
+
+        this.sortStack = stack;
+        this.currentSort = stack[0] || null;
+
         // Update sort icons if table is ready
         if (this.table.thead) {
-            this.updateSortIcons(columnIndex, direction);
+            this.updateSortIcons();
         }
     }
 
@@ -103,15 +189,233 @@ export class SortingPlugin {
      * Clear sorting
      */
     clearSort() {
+        this.sortStack = [];
         this.currentSort = null;
-        
-        // Reset all sort icons
-        const headers = findAll('th[data-column]', this.table.thead);
-        headers.forEach(th => {
-            const icon = find('.sort-icon', th);
-            if (icon) {
-                icon.className = 'fas fa-sort sort-icon';
+
+        // Reset all sort icons and badges
+        this.updateSortIcons();
+    }
+
+    /**
+     * Sort rows by the current sort stack (client-side)
+     * Stable: rows with equal keys keep their original order
+     */
+    sortData(data) {
+        const keys = this.sortStack
+            .map(sort => {
+                const column = this.table.options.columns[sort.column];
+                if (!column) return null;
+                const type = column.type || this.detectType(column, data);
+                return {
+                    column,
+                    dir: sort.dir,
+                    type,
+                    nulls: column.nulls === 'first' ? 'first' : 'last',
+                    decimal: type === 'currency' ? (column.decimal || this.detectDecimal(column, data)) : null
+                };
+            })
+            .filter(Boolean);
+
+        if (keys.length === 0) return data;
+
+        // Pre-compute sort values once per row (cheaper than inside the comparator)
+        const decorated = data.map((row, index) => ({
+            row,
+            index,
+            values: keys.map(key => this.getSortValue(row, key.column, key.type, key.decimal))
+        }));
+
+        decorated.sort((a, b) => {
+            for (let i = 0; i < keys.length; i++) {
+                const comparison = this.compareValues(a.values[i], b.values[i], keys[i], a.row, b.row);
+                if (comparison !== 0) return comparison;
             }
+            return a.index - b.index;
         });
+
+        return decorated.map(item => item.row);
+    }
+
+    /**
+     * Compare two sort values for one sort key
+     * Empty values are placed first/last regardless of direction
+     */
+    compareValues(aVal, bVal, key, aRow, bRow) {
+        const aEmpty = this.isEmpty(aVal);
+        const bEmpty = this.isEmpty(bVal);
+
+        if (aEmpty || bEmpty) {
+            if (aEmpty && bEmpty) return 0;
+            const emptyFirst = key.nulls === 'first';
+            return aEmpty === emptyFirst ? -1 : 1;
+        }
+
+        let comparison;
+        if (typeof key.column.comparator === 'function') {
+            comparison = key.column.comparator(aVal, bVal, aRow, bRow);
+        } else if (key.type === 'string' || key.type === 'html') {
+            comparison = this.getCollator().compare(aVal, bVal);
+        } else {
+            comparison = aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+        }
+
+        return key.dir === 'desc' ? -comparison : comparison;
+    }
+
+    /**
+     * Get normalized sort value for a row
+     * decimal: decimal separator of a currency column (null = guess per value)
+     */
+    getSortValue(row, column, type, decimal = null) {
+        const raw = typeof column.sortValue === 'function'
+            ? column.sortValue(row)
+            : this.table.getCellValue(row, column.data);
+
+        // Custom comparators receive the value untouched
+        if (typeof column.comparator === 'function') return raw;
+
+        if (this.isEmpty(raw)) return null;
+
+        switch (type) {
+            case 'num':
+                return this.parseNumber(raw);
+            case 'currency':
+                return this.parseCurrency(raw, decimal);
+            case 'date':
+                return this.parseDate(raw);
+            case 'html':
+                return this.stripHtml(raw);
+            default:
+                return String(raw);
+        }
+    }
+
+    /**
+     * Guess column type from a sample of its values
+     */
+    detectType(column, data) {
+        const sample = [];
+        for (let i = 0; i < data.length && sample.length < 50; i++) {
+            const value = typeof column.sortValue === 'function'
+                ? column.sortValue(data[i])
+                : this.table.getCellValue(data[i], column.data);
+            if (!this.isEmpty(value)) sample.push(value);
+        }
+
+        if (sample.length === 0) return 'string';
+
+        const matches = test => sample.every(test);
+
+        if (matches(value => typeof value === 'number' || /^\s*-?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?(e[-+]?\d+)?\s*$/i.test(value))) {
+            return 'num';
+        }
+        if (matches(value => typeof value === 'string' && CURRENCY_PATTERN.test(value))) {
+            return 'currency';
+        }
+        if (matches(value => value instanceof Date || this.looksLikeDate(value))) {
+            return 'date';
+        }
+        if (sample.some(value => typeof value === 'string' && /<[a-z][^>]*>/i.test(value))) {
+            return 'html';
+        }
+
+        return 'string';
+    }
+
+    looksLikeDate(value) {
+        return typeof value === 'string' &&
+            /^\d{4}-\d{1,2}-\d{1,2}|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|^[a-z]{3,9}\.? \d{1,2},? \d{4}/i.test(value.trim()) &&
+            !isNaN(Date.parse(value));
+    }
+
+    parseNumber(value) {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        const number = parseFloat(String(value).replace(/[\s,]/g, ''));
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Decimal separator of a currency column, from the values that show it:
+     * "1.234.567" or "1.234,50" => ",", "1,234,567" or "12.50" => "."
+     * A lone "2.000" (no value tells otherwise) is dot grouping: amounts rarely have 3 decimals
+     */
+    detectDecimal(column, data) {
+        let grouped = false;
+
+        for (let i = 0; i < data.length; i++) {
+            const value = typeof column.sortValue === 'function'
+                ? column.sortValue(data[i])
+                : this.table.getCellValue(data[i], column.data);
+            if (typeof value !== 'string') continue;
+
+            const str = value.replace(/[^\d.,]/g, '');
+            if (/\.\d{3}[.,]|,\d{1,2}$/.test(str)) return ',';
+            if (/,\d{3}[.,]|\.\d{1,2}$/.test(str)) return '.';
+            if (/^\d{1,3}\.\d{3}$/.test(str)) grouped = true;
+        }
+
+        return grouped ? ',' : null;
+    }
+
+    /**
+     * Parse currency strings like "$1,234.50", "Rp 1.234.567" or "1.234,50 €"
+     * decimal: "," or "." when the column's separator is known
+     */
+    parseCurrency(value, decimal = null) {
+        if (typeof value === 'number') return value;
+
+        let str = String(value).replace(/[^\d.,-]/g, '');
+
+        if (decimal === ',' || decimal === '.') {
+            const grouping = decimal === ',' ? /\./g : /,/g;
+            const number = parseFloat(str.replace(grouping, '').replace(',', '.'));
+            return isNaN(number) ? null : number;
+        }
+
+        const lastComma = str.lastIndexOf(',');
+        const lastDot = str.lastIndexOf('.');
+
+        if (lastComma > lastDot) {
+            // Comma is the decimal separator only when followed by 1-2 digits
+            str = /,\d{1,2}$/.test(str)
+                ? str.replace(/\./g, '').replace(',', '.')
+                : str.replace(/,/g, '');
+        } else if (lastDot > lastComma && !/\.\d{1,2}$/.test(str) && (str.match(/\./g) || []).length > 1) {
+            // Dots as thousands separators (1.234.567)
+            str = str.replace(/\./g, '');
+        } else {
+            str = str.replace(/,/g, '');
+        }
+
+        const number = parseFloat(str);
+        return isNaN(number) ? null : number;
+    }
+
+    parseDate(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    stripHtml(value) {
+        return String(value).replace(/<[^>]*>/g, '').trim();
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' ||
+            (typeof value === 'number' && isNaN(value));
+    }
+
+    /**
+     * Locale-aware string collator (cached)
+     */
+    getCollator() {
+        const locale = this.table.options.sortLocale || undefined;
+        if (!this.collator || this.collatorLocale !== locale) {
+            this.collator = new Intl.Collator(locale, { numeric: true });
+            this.collatorLocale = locale;
+        }
+        return this.collator;
     }
-}
\ No newline at end of file
+}
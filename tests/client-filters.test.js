@@ -0,0 +1,143 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for client-side evaluation of FilterPanel filters
+ * Matches: docs/filters.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Client-side Filters', () => {
+  const orders = [
+    { id: 1, customer: 'Anna', status: 'paid', total: 120, created_at: '2024-01-05T09:30:00' },
+    { id: 2, customer: 'Ben', status: 'open', total: 80, created_at: '2024-02-10' },
+    { id: 3, customer: 'Hannah', status: 'paid', total: 300, created_at: '2024-03-15' },
+    { id: 4, customer: 'Carl', status: 'refunded', total: null, created_at: null }
+  ];
+
+  const createTable = (filters, data = orders) => {
+    global.fetch = jest.fn();
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data,
+      filters,
+      columns: [
+        { data: 'customer', title: 'Customer' },
+        { data: 'status', title: 'Status' },
+        { data: 'total', title: 'Total' },
+        { data: 'created_at', title: 'Created' }
+      ]
+    });
+  };
+
+  const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+  const ids = (table) => table.data.map(row => row.id);
+  const change = (table, key, value) => {
+    const input = table.wrapper.querySelector(`[data-filter="${key}"]`);
+    input.value = value;
+    input.dispatchEvent(new Event('change'));
+  };
+
+  test('should apply select, text and date filters without requests', async () => {
+    const table = createTable([
+      { column: 'status', type: 'select', options: [{ value: '', text: 'All' }, { value: 'paid', text: 'Paid' }] },
+      { column: 'customer', type: 'text' },
+      { column: 'created_at', type: 'date' }
+    ]);
+    await flush();
+
+    change(table, 'status', 'paid');
+    expect(ids(table)).toEqual([1, 3]);
+
+    table.components.filterPanel.applyFilter('customer', 'ANN');
+    expect(ids(table)).toEqual([1, 3]);
+
+    change(table, 'created_at', '2024-01-05');
+    expect(ids(table)).toEqual([1]);
+    expect(table.infoElement.textContent).toContain('Showing 1 to 1 of 1 entries');
+    expect(global.fetch).not.toHaveBeenCalled();
+    table.destroy();
+  });
+
+  test('should compare _from/_to dates and _min/_max numbers', async () => {
+    const table = createTable([
+      { column: 'created_at', type: 'daterange' },
+      { column: 'total', type: 'numberrange', label: 'Total' }
+    ]);
+    await flush();
+
+    change(table, 'created_at_from', '2024-02-01');
+    expect(ids(table)).toEqual([2, 3]);
+
+    change(table, 'created_at_to', '2024-03-15');
+    change(table, 'total_min', '100');
+    expect(ids(table)).toEqual([3]);
+
+    change(table, 'created_at_from', '');
+    change(table, 'created_at_to', '');
+    change(table, 'total_max', '150');
+    expect(ids(table)).toEqual([1]);
+    table.destroy();
+  });
+
+  test('should use a custom match(row, value) hook', async () => {
+    const match = jest.fn((row, value) => (value === 'open' ? row.status !== 'paid' : row.status === value));
+    const table = createTable([
+      { column: 'status', type: 'select', match, options: [{ value: '', text: 'All' }, { value: 'open', text: 'Open' }] },
+      { column: 'total', type: 'numberrange', match: (row, { min }) => (row.total ?? 0) >= Number(min || 0) }
+    ]);
+    await flush();
+
+    change(table, 'status', 'open');
+    expect(ids(table)).toEqual([2, 4]);
+    expect(match).toHaveBeenCalledWith(orders[1], 'open');
+
+    change(table, 'total_min', '50');
+    expect(ids(table)).toEqual([2]);
+    table.destroy();
+  });
+
+  test('should apply filters set from code and clear them', async () => {
+    const table = createTable([{ type: 'clear' }]);
+    await flush();
+    const panel = table.components.filterPanel;
+
+    panel.setFilters({ status: 'paid', created_at_to: '2024-02-28' });
+    await flush(120);
+    expect(ids(table)).toEqual([1]);
+
+    panel.clearFilters();
+    expect(ids(table)).toEqual([1, 2, 3, 4]);
+    expect(global.fetch).not.toHaveBeenCalled();
+    table.destroy();
+  });
+
+  test('should leave start_date/end_date to the server and compare dates by local day', async () => {
+    const table = createTable([
+      { column: 'start_date', type: 'date' },
+      { column: 'end_date', type: 'date' }
+    ]);
+    await flush();
+
+    change(table, 'end_date', '2024-01-31');
+    expect(ids(table)).toEqual([1, 2, 3, 4]);
+    table.destroy();
+
+    // Date objects and zoned strings use the local day, like zoneless strings
+    const zoned = new Date('2024-01-05T23:30:00Z');
+    const pad = (number) => String(number).padStart(2, '0');
+    const localDay = `${zoned.getFullYear()}-${pad(zoned.getMonth() + 1)}-${pad(zoned.getDate())}`;
+    const dated = createTable([{ column: 'created_at', type: 'date' }], [
+      { id: 1, created_at: new Date(2024, 0, 5, 23, 30) },
+      { id: 2, created_at: '2024-01-05T23:30:00Z' },
+      { id: 3, created_at: '2024-01-05T23:30:00' }
+    ]);
+    await flush();
+
+    change(dated, 'created_at', '2024-01-05');
+    expect(ids(dated)).toEqual(localDay === '2024-01-05' ? [1, 2, 3] : [1, 3]);
+    change(dated, 'created_at', localDay);
+    expect(ids(dated)).toContain(2);
+    dated.destroy();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for column reordering
+ * Matches: docs/column-reorder.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Column Reordering', () => {
+  const data = [
+    { id: 1, name: 'Alice', age: 30 },
+    { id: 2, name: 'Bob', age: 25 }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data,
+      colReorder: true,
+      columns: [
+        { data: 'id', title: 'ID' },
+        { data: 'name', title: 'Name' },
+        { data: 'age', title: 'Age' }
+      ],
+      ...options
+    });
+  };
+
+  const headerTitles = () =>
+    Array.from(document.querySelectorAll('thead tr:first-child th[data-column]')).map(th =>
+      th.textContent.trim()
+    );
+
+  const firstRow = () =>
+    Array.from(document.querySelector('tbody tr[data-index="0"]').cells).map(td => td.textContent);
+
+  test('should reorder header and body with order()', () => {
+    const table = createTable();
+
+    table.colReorder.order([2, 0, 1]);
+
+    expect(table.colReorder.order()).toEqual([2, 0, 1]);
+    expect(headerTitles()[0]).toContain('Age');
+    expect(firstRow()).toEqual(['30', '1', 'Alice']);
+    expect(table.buildRequestParams().columns.map(column => column.data)).toEqual([
+      'age',
+      'id',
+      'name'
+    ]);
+  });
+
+  test('should keep sorting and column searches on their columns', () => {
+    const table = createTable({ order: [[1, 'desc']], columnSearch: true });
+    table.searchColumn(2, '3');
+
+    table.colReorder.move(1, 0);
+
+    expect(table.plugins.sorting.getSortStack()).toEqual([{ column: 0, dir: 'desc' }]);
+    expect(table.getColumnSearchValue(2)).toBe('3');
+    expect(document.querySelector('.column-search-input[data-column="2"]').value).toBe('3');
+  });
+
+  test('should lock fixed columns', () => {
+    const table = createTable({ colReorder: { fixedColumnsLeft: 1 } });
+
+    expect(table.colReorder.isMovable(0)).toBe(false);
+    expect(document.querySelector('thead th[data-column="0"]').draggable).toBe(false);
+    expect(document.querySelector('thead th[data-column="1"]').draggable).toBe(true);
+  });
+
+  test('should move columns with drag and drop', () => {
+    const table = createTable();
+    const headers = document.querySelectorAll('thead tr:first-child th');
+    const dataTransfer = { setData: jest.fn() };
+    const dragEvent = (type, target) => {
+      const event = new Event(type, { bubbles: true, cancelable: true });
+      event.dataTransfer = dataTransfer;
+      event.clientX = 1000; // Right half of the target
+      target.dispatchEvent(event);
+    };
+
+    dragEvent('dragstart', headers[0]);
+    dragEvent('dragover', headers[2]);
+    dragEvent('drop', headers[2]);
+
+    expect(table.colReorder.order()).toEqual([1, 2, 0]);
+  });
+
+  test('should announce moves and save the order', () => {
+    const table = createTable({ stateSave: true });
+
+    table.colReorder.move(2, 0);
+
+    expect(document.getElementById('table-live-region').textContent).toBe(
+      'Column Age moved to position 1 of 3'
+    );
+    expect(JSON.parse(localStorage.getItem('modernTable_test-table')).colReorder).toEqual([2, 0, 1]);
+  });
+
+  test('should stop listening to header keys after destroy', () => {
+    const table = createTable();
+    const header = () => document.querySelector('thead tr:first-child th[data-column="0"]');
+
+    header().dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', altKey: true, bubbles: true }));
+    expect(table.colReorder.order()).toEqual([1, 0, 2]);
+
+    table.destroy();
+    header().dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', altKey: true, bubbles: true }));
+    expect(table.colReorder.order()).toEqual([1, 0, 2]);
+  });
+});
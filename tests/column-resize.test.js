@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for column resizing
+ * Matches: docs/column-resize.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Column Resizing', () => {
+  const data = [
+    { id: 1, name: 'Alice', age: 30 },
+    { id: 2, name: 'Bob', age: 25 }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data,
+      colResize: true,
+      columns: [
+        { data: 'id', title: 'ID', resizable: false },
+        { data: 'name', title: 'Name', minWidth: 80, maxWidth: '200px' },
+        { data: 'age', title: 'Age' }
+      ],
+      ...options
+    });
+  };
+
+  const header = (index) => document.querySelector(`thead tr:first-child th[data-column="${index}"]`);
+
+  const pointer = (type, target, clientX) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    event.clientX = clientX;
+    target.dispatchEvent(event);
+  };
+
+  test('should add handles to resizable columns only', () => {
+    createTable();
+
+    expect(header(0).querySelector('.col-resize-handle')).toBeNull();
+    expect(header(1).querySelector('.col-resize-handle')).not.toBeNull();
+    expect(header(2).querySelector('.col-resize-handle')).not.toBeNull();
+  });
+
+  test('should clamp widths to column limits', () => {
+    const table = createTable();
+
+    table.colResize.setWidth(1, 500);
+    expect(header(1).style.width).toBe('200px');
+
+    table.colResize.setWidth(1, 10);
+    expect(header(1).style.width).toBe('80px');
+
+    table.colResize.setWidth(2, 10);
+    expect(table.colResize.getWidths()).toEqual({ 1: 80, 2: 40 });
+  });
+
+  test('should emit one final event for a programmatic resize', () => {
+    const table = createTable();
+    const events = [];
+    table.on('columnResize', (event) => events.push(event));
+
+    table.colResize.setWidth(1, 150);
+    expect(events).toEqual([expect.objectContaining({ index: 1, width: 150, final: true })]);
+  });
+
+  test('should resize by dragging without sorting', () => {
+    const table = createTable();
+    const events = [];
+    table.on('columnResize', (event) => events.push(event));
+    const handle = header(2).querySelector('.col-resize-handle');
+
+    pointer('pointerdown', handle, 100);
+    pointer('pointermove', document, 220);
+    pointer('pointerup', document, 220);
+    handle.click();
+
+    expect(header(2).style.width).toBe('120px');
+    expect(events.some(event => !event.final)).toBe(true);
+    expect(events[events.length - 1]).toMatchObject({ index: 2, width: 120, final: true });
+    expect(table.plugins.sorting.getSortStack()).toEqual([]);
+  });
+
+  test('should keep widths with their columns after reordering', () => {
+    const table = createTable({ colReorder: true });
+
+    table.colResize.setWidth(1, 150);
+    table.colReorder.move(1, 2);
+
+    expect(header(2).style.width).toBe('150px');
+    expect(header(2).querySelector('.col-resize-handle')).not.toBeNull();
+    expect(header(1).style.width).toBe('');
+  });
+
+  test('should save and restore widths', () => {
+    const table = createTable({ stateSave: true });
+    table.colResize.setWidth(1, 150);
+
+    expect(JSON.parse(localStorage.getItem('modernTable_test-table')).columnWidths).toEqual({ 1: 150 });
+    table.destroy();
+
+    createTable({ stateSave: true });
+    expect(header(1).style.width).toBe('150px');
+  });
+
+  test('should keep separate widths for columns without data', () => {
+    const table = createTable({
+      columns: [
+        { data: 'name', title: 'Name' },
+        { data: null, title: 'Edit', render: () => 'Edit' },
+        { data: null, title: 'Delete', render: () => 'Delete' }
+      ]
+    });
+
+    table.colResize.setWidth(1, 60);
+    table.colResize.setWidth(2, 90);
+
+    expect(header(1).style.width).toBe('60px');
+    expect(header(2).style.width).toBe('90px');
+    expect(table.colResize.getWidths()).toEqual({ 1: 60, 2: 90 });
+  });
+
+  test('should use resized widths for XLSX columns', () => {
+    const table = createTable({ buttons: ['excel'] });
+    table.colResize.setWidth(1, 140);
+
+    const exporter = table.plugins.export;
+    expect(exporter.getXLSXWidths(exporter.getFilteredExportData())[1]).toBe(20);
+  });
+
+  test('should remove the handles on destroy', () => {
+    const table = createTable();
+    table.destroy();
+
+    expect(document.querySelector('.col-resize-handle')).toBeNull();
+  });
+});
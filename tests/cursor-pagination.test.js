@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for cursor pagination
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Cursor Pagination', () => {
+  // Three pages of 20 rows: cursor "c20" opens rows 21-40, "c40" rows 41-60
+  const mockFetch = () => jest.fn((url) => {
+    const cursor = new URL(url).searchParams.get('cursor');
+    const offset = cursor ? parseInt(cursor.slice(1)) : 0;
+    const data = Array.from({ length: 20 }, (_, i) => ({ id: offset + i + 1 }));
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ data, next_cursor: offset < 40 ? `c${offset + 20}` : null })
+    });
+  });
+
+  const createTable = () => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: { url: '/api/events', method: 'GET' },
+      serverSide: true,
+      pagination: 'cursor',
+      pageLength: 20,
+      columns: [{ data: 'id', title: 'ID' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const cursorOf = (call) => new URL(global.fetch.mock.calls[call][0]).searchParams.get('cursor');
+
+  beforeEach(() => {
+    global.fetch = mockFetch();
+  });
+
+  test('should render Previous/Next only and info without a total', async () => {
+    const table = createTable();
+    await flush();
+
+    const links = [...table.paginationElement.querySelectorAll('li')];
+    expect(links.map(item => item.textContent)).toEqual(['Previous', 'Next']);
+    expect(links[0].classList.contains('disabled')).toBe(true);
+    expect(links[1].classList.contains('disabled')).toBe(false);
+    expect(table.infoElement.textContent).toBe('Showing 1–20');
+    table.destroy();
+  });
+
+  test('should follow next cursors and go back through the cursor stack', async () => {
+    const table = createTable();
+    await flush();
+
+    table.goToPage(2);
+    await flush();
+    expect(cursorOf(1)).toBe('c20');
+    expect(table.infoElement.textContent).toBe('Showing 21–40');
+
+    table.goToPage(3);
+    await flush();
+    expect(cursorOf(2)).toBe('c40');
+    expect(table.hasNextPage).toBe(false);
+    expect(table.paginationElement.querySelector('li:last-child').classList.contains('disabled')).toBe(true);
+
+    table.goToPage(2);
+    await flush();
+    expect(cursorOf(3)).toBe('c20');
+    expect(table.data[0]).toEqual({ id: 21 });
+    table.destroy();
+  });
+
+  test('should start over from the first page on search', async () => {
+    const table = createTable();
+    await flush();
+    table.goToPage(2);
+    await flush();
+
+    // Pages beyond the next cursor are unknown
+    table.goToPage(4);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    table.search('deploy');
+    await new Promise(resolve => setTimeout(resolve, table.options.searchDelay + 10));
+
+    expect(cursorOf(2)).toBeNull();
+    expect(new URL(global.fetch.mock.calls[2][0]).searchParams.get('search[value]')).toBe('deploy');
+    expect(table.currentPage).toBe(1);
+    expect(table.infoElement.textContent).toBe('Showing 1–20');
+    table.destroy();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for inline cell editing
+ * Matches: docs/editing.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Inline Editing', () => {
+  // jsdom does not implement scrollIntoView (used by keyboard focus)
+  beforeAll(() => {
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  const createTable = (columns, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: [
+        { id: 1, name: 'Alice', age: 30 },
+        { id: 2, name: 'Bob', age: 25 }
+      ],
+      columns,
+      ...options
+    });
+  };
+
+  const cell = (row, col) =>
+    document.querySelector(`tbody tr[data-index="${row}"]`).cells[col];
+
+  const key = (element, keyName, init = {}) =>
+    element.dispatchEvent(new KeyboardEvent('keydown', { key: keyName, bubbles: true, ...init }));
+
+  test('should edit a cell on double-click and commit with Enter', () => {
+    const table = createTable([{ data: 'name', editable: true }]);
+    const commits = [];
+    table.on('cellEditCommit', change => commits.push(change));
+
+    cell(0, 0).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    const input = cell(0, 0).querySelector('input');
+    input.value = 'Alicia';
+    key(input, 'Enter');
+
+    expect(table.data[0].name).toBe('Alicia');
+    expect(cell(0, 0).textContent).toBe('Alicia');
+    expect(commits[0]).toMatchObject({ oldValue: 'Alice', newValue: 'Alicia', rowIndex: 0 });
+  });
+
+  test('should restore the value on Escape', () => {
+    const table = createTable([{ data: 'name', editable: true }]);
+
+    table.plugins.editor.edit(0, 0);
+    const input = cell(0, 0).querySelector('input');
+    input.value = 'Changed';
+    key(input, 'Escape');
+
+    expect(table.data[0].name).toBe('Alice');
+    expect(cell(0, 0).textContent).toBe('Alice');
+    expect(table.plugins.editor.isEditing()).toBe(false);
+  });
+
+  test('should move to the next editable cell with Tab', () => {
+    const table = createTable([
+      { data: 'id' },
+      { data: 'name', editable: true },
+      { data: 'age', editable: 'number' }
+    ]);
+
+    table.plugins.editor.edit(0, 2);
+    const input = cell(0, 2).querySelector('input');
+    input.value = '31';
+    key(input, 'Tab');
+
+    expect(table.data[0].age).toBe(31);
+    expect(table.plugins.editor.active).toMatchObject({ rowIndex: 1, columnIndex: 1 });
+  });
+
+  test('should keep the editor open when validation fails', () => {
+    const table = createTable([
+      { data: 'name', editable: true, validate: value => value.length > 0 || 'Required' }
+    ]);
+
+    table.plugins.editor.edit(0, 0);
+    const input = cell(0, 0).querySelector('input');
+    input.value = '';
+
+    expect(table.plugins.editor.commit()).toBe(false);
+    expect(cell(0, 0).classList.contains('cell-invalid')).toBe(true);
+    expect(cell(0, 0).title).toBe('Required');
+    expect(table.data[0].name).toBe('Alice');
+  });
+
+  test('should roll back the optimistic update when the save fails', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 422, statusText: 'Unprocessable' });
+    const table = createTable([{ data: 'name', editable: true }], {
+      api: { url: '/api/users', update: '/api/users/{id}' }
+    });
+    const errors = [];
+    table.on('cellEditError', change => errors.push(change));
+
+    table.plugins.editor.edit(1, 0);
+    cell(1, 0).querySelector('input').value = 'Robert';
+    table.plugins.editor.commit();
+    expect(table.data[1].name).toBe('Robert');
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/users/2', expect.objectContaining({ method: 'PUT' }));
+    expect(table.data[1].name).toBe('Bob');
+    expect(cell(1, 0).classList.contains('cell-invalid')).toBe(true);
+    expect(errors).toHaveLength(1);
+  });
+
+  test('should send updates through beforeSend, headers and retry', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Unavailable', headers: { get: () => null } })
+      .mockResolvedValueOnce({ ok: true, text: () => Promise.resolve('') });
+    const beforeSend = jest.fn();
+    const table = createTable([{ data: 'name', editable: true }], {
+      api: {
+        url: '/api/users',
+        update: '/api/users/{id}',
+        headers: { 'X-Api-Key': 'secret' },
+        retry: { attempts: 1, backoff: 0 },
+        beforeSend
+      }
+    });
+    const saved = [];
+    table.on('cellEditSaved', change => saved.push(change));
+
+    table.plugins.editor.edit(0, 0);
+    cell(0, 0).querySelector('input').value = 'Alicia';
+    table.plugins.editor.commit();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(beforeSend).toHaveBeenCalledWith(expect.objectContaining({ id: 1, column: 'name', value: 'Alicia' }));
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers['X-Api-Key']).toBe('secret');
+    expect(saved).toHaveLength(1);
+    expect(table.data[0].name).toBe('Alicia');
+  });
+
+  test('should not commit an unchanged value and stop editing after destroy', () => {
+    const table = createTable([{ data: 'name' }, { data: 'age', editable: true }]);
+    const commits = [];
+    table.on('cellEditCommit', change => commits.push(change));
+
+    // Text input returns "30" for the number 30
+    table.plugins.editor.edit(0, 1);
+    expect(cell(0, 1).querySelector('input').value).toBe('30');
+    table.plugins.editor.commit();
+    expect(commits).toHaveLength(0);
+    expect(table.data[0].age).toBe(30);
+
+    table.destroy();
+    cell(1, 1).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    expect(cell(1, 1).querySelector('input')).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for PDF export
+ * Matches: docs/export.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('PDF Export', () => {
+  const data = Array.from({ length: 120 }, (_, index) => ({
+    id: index + 1,
+    name: `User (${index + 1})`,
+    amount: index * 10
+  }));
+
+  const createTable = () => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data,
+      pageLength: -1,
+      buttons: ['pdf'],
+      columns: [
+        { data: 'id', title: 'ID' },
+        { data: 'name', title: 'Name' },
+        { data: 'amount', title: 'Amount' }
+      ]
+    });
+  };
+
+  const toText = (bytes) => String.fromCharCode(...bytes);
+
+  test('should paginate with repeated headers and page numbers', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+    const pdf = toText(exporter.generatePDF(exporter.getFilteredExportData(), { title: 'Users' }));
+
+    const pageCount = (pdf.match(/\/Type \/Page /g) || []).length;
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+    expect(pageCount).toBeGreaterThan(1);
+    expect((pdf.match(/\(Name\) Tj/g) || []).length).toBe(pageCount);
+    expect(pdf).toContain(`(Page ${pageCount} of ${pageCount}) Tj`);
+    expect(pdf).toContain('(User \\(1\\)) Tj');
+  });
+
+  test('should use page size and orientation', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+    const exportData = exporter.getFilteredExportData();
+
+    expect(toText(exporter.generatePDF(exportData))).toContain('/MediaBox [0 0 595.28 841.89]');
+    expect(toText(exporter.generatePDF(exportData, { pageSize: 'Legal', orientation: 'landscape' })))
+      .toContain('/MediaBox [0 0 1008 612]');
+  });
+
+  test('should match page sizes case-insensitively and warn on unknown sizes', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+    const exportData = exporter.getFilteredExportData();
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(toText(exporter.generatePDF(exportData, { pageSize: 'letter' }))).toContain('/MediaBox [0 0 612 792]');
+    expect(warn).not.toHaveBeenCalled();
+
+    expect(toText(exporter.generatePDF(exportData, { pageSize: 'A3' }))).toContain('/MediaBox [0 0 595.28 841.89]');
+    expect(warn).toHaveBeenCalledWith('Unknown PDF page size: A3, using A4');
+    warn.mockRestore();
+  });
+
+  test('should download a PDF blob', () => {
+    const table = createTable();
+    let blob = null;
+    window.URL.createObjectURL = jest.fn((value) => {
+      blob = value;
+      return 'blob:pdf';
+    });
+    window.URL.revokeObjectURL = jest.fn();
+    window.open = jest.fn();
+
+    table.plugins.export.exportPDF({ filename: 'users' });
+
+    expect(window.open).not.toHaveBeenCalled();
+    expect(blob.type).toBe('application/pdf');
+    expect(blob.size).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for server-side export
+ * Matches: docs/export.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Server-side Export', () => {
+  const allRows = Array.from({ length: 25 }, (_, index) => ({ id: index + 1, name: `User ${index + 1}` }));
+
+  const jsonResponse = (body) => ({
+    ok: true,
+    json: () => Promise.resolve(body)
+  });
+
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    window.URL.createObjectURL = jest.fn((blob) => {
+      downloads.push(blob);
+      return 'blob:export';
+    });
+    window.URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    // Table page: 10 rows; export requests: slice by start/length
+    global.fetch = jest.fn((url) => {
+      const params = new URL(url).searchParams;
+      const start = parseInt(params.get('start'));
+      const length = parseInt(params.get('length'));
+      const rows = length === -1 ? allRows : allRows.slice(start, start + length);
+      return Promise.resolve(jsonResponse({
+        draw: params.get('draw'),
+        recordsTotal: allRows.length,
+        recordsFiltered: allRows.length,
+        data: rows
+      }));
+    });
+  });
+
+  const createTable = (exportConfig, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: '/api/users',
+      serverSide: true,
+      pageLength: 10,
+      buttons: ['csv'],
+      export: exportConfig,
+      columns: [
+        { data: 'id', title: 'ID' },
+        { data: 'name', title: 'Name' }
+      ],
+      ...options
+    });
+  };
+
+  const requestedParams = () => global.fetch.mock.calls.map(([url]) => new URL(url).searchParams);
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('should export all filtered rows with length -1', async () => {
+    const table = createTable({ serverSide: true });
+    await flush();
+    table.plugins.export.formatExcelCSV = jest.fn(table.plugins.export.formatExcelCSV);
+
+    await table.plugins.export.exportCSV();
+
+    const exportRequest = requestedParams().pop();
+    expect(exportRequest.get('length')).toBe('-1');
+    expect(exportRequest.get('start')).toBe('0');
+    expect(table.plugins.export.formatExcelCSV.mock.calls[0][0].rows).toHaveLength(25);
+    expect(downloads).toHaveLength(1);
+  });
+
+  test('should calculate the footer over all exported rows', async () => {
+    const table = createTable({ serverSide: true }, {
+      columns: [
+        { data: 'id', title: 'ID', footer: 'sum' },
+        { data: 'name', title: 'Name' }
+      ]
+    });
+    await flush();
+    expect(table.plugins.footer.getText(0)).toBe('55');
+    table.plugins.export.formatExcelCSV = jest.fn(table.plugins.export.formatExcelCSV);
+
+    await table.plugins.export.exportCSV();
+
+    expect(table.plugins.export.formatExcelCSV.mock.calls[0][0].footer).toEqual(['325', '']);
+  });
+
+  test('should fetch page by page with progress', async () => {
+    const table = createTable({ serverSide: true, mode: 'paged', pageSize: 10 });
+    await flush();
+    const progress = [];
+    table.on('exportProgress', (event) => progress.push(event));
+    global.fetch.mockClear();
+
+    await table.plugins.export.exportJSON();
+
+    expect(requestedParams().map(params => params.get('start'))).toEqual(['0', '10', '20']);
+    expect(progress.map(event => event.loaded)).toEqual([10, 20, 25]);
+    expect(progress[0].total).toBe(25);
+    expect(document.querySelector('.modern-table-export-progress')).toBeNull();
+  });
+
+  test('should download a server-generated file', async () => {
+    const table = createTable({ serverSide: true, mode: 'file', url: '/api/users/export' });
+    await flush();
+    const file = new Blob(['id,name'], { type: 'text/csv' });
+    global.fetch.mockImplementationOnce(() => Promise.resolve({
+      ok: true,
+      headers: { get: () => 'attachment; filename="users.csv"' },
+      blob: () => Promise.resolve(file)
+    }));
+
+    // Column indices (exportColumns: [1]) are sent as data names
+    await table.plugins.export.exportCSV({ columns: [1] });
+
+    const [url] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+    expect(url).toContain('/api/users/export');
+    expect(new URL(url).searchParams.get('export[format]')).toBe('csv');
+    expect(new URL(url).searchParams.get('export[columns][0]')).toBe('name');
+    expect(downloads[0].type).toBe('text/csv');
+  });
+
+  test('should follow next cursors and stop on the last page without a total', async () => {
+    // Laravel cursorPaginate(): no total, next_cursor until the last page
+    global.fetch = jest.fn((url) => {
+      const params = new URL(url).searchParams;
+      const start = parseInt(params.get('cursor') || '0');
+      const size = parseInt(params.get('per_page'));
+      const next = start + size < allRows.length ? String(start + size) : null;
+      return Promise.resolve(jsonResponse({ data: allRows.slice(start, start + size), next_cursor: next }));
+    });
+    const table = createTable({ serverSide: true, pageSize: 10 }, { protocol: 'laravel', pagination: 'cursor' });
+    await flush();
+    table.goToPage(2);
+    await flush();
+    global.fetch.mockClear();
+    table.plugins.export.formatExcelCSV = jest.fn(table.plugins.export.formatExcelCSV);
+
+    // 'all' mode: Laravel has no per_page for all rows, cursor APIs page anyway
+    await table.plugins.export.exportCSV();
+
+    const params = requestedParams();
+    expect(params.map(param => param.get('cursor'))).toEqual([null, '10', '20']);
+    expect(params.every(param => param.get('per_page') === '10')).toBe(true);
+    expect(table.plugins.export.formatExcelCSV.mock.calls[0][0].rows).toHaveLength(25);
+    expect(table.drawCounter).toBe(2);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for XLSX export
+ * Matches: docs/export.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { crc32 } from '../utils/xlsx.js';
+
+// Read entries of a stored (uncompressed) zip
+const unzip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const crc = view.getUint32(offset + 14, true);
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.slice(offset + 30, offset + 30 + nameLength));
+    const data = bytes.slice(offset + 30 + nameLength, offset + 30 + nameLength + size);
+
+    expect(crc32(data)).toBe(crc);
+    files[name] = decoder.decode(data);
+    offset += 30 + nameLength + size;
+  }
+
+  return files;
+};
+
+describe('XLSX Export', () => {
+  const data = [
+    { id: 1, name: 'Alice & Co', salary: 1500.5, joined: '2024-01-15', active: true, phone: '0812' },
+    { id: 2, name: 'Bob', salary: 900, joined: '2023-06-01', active: false, phone: '0813' }
+  ];
+
+  const createTable = () => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data,
+      buttons: ['excel'],
+      columns: [
+        { data: 'id', title: 'ID' },
+        { data: 'name', title: 'Name', render: (value) => `<b>${value}</b>` },
+        { data: 'salary', title: 'Salary', render: 'currency' },
+        { data: 'joined', title: 'Joined', type: 'date' },
+        { data: 'active', title: 'Active' },
+        { data: 'phone', title: 'Phone' }
+      ]
+    });
+  };
+
+  test('should build a valid workbook package', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+
+    expect(exporter.canGenerateXLSX()).toBe(true);
+
+    const files = unzip(exporter.generateXLSX([exporter.getXLSXSheet({ sheetName: 'Users' })]));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+      'xl/styles.xml'
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Users" sheetId="1" r:id="rId1"/>');
+  });
+
+  test('should write typed cells with formats', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+    const files = unzip(exporter.generateXLSX([exporter.getXLSXSheet()]));
+    const sheet = files['xl/worksheets/sheet1.xml'];
+
+    // Bold header row and frozen pane
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t>ID</t></is></c>');
+    expect(sheet).toContain('state="frozen"');
+
+    // Numbers, rendered text, currency, dates, booleans, leading-zero strings
+    expect(sheet).toContain('<c r="A2"><v>1</v></c>');
+    expect(sheet).toContain('<t>Alice &amp; Co</t>');
+    expect(sheet).toMatch(/<c r="C2" s="\d+"><v>1500.5<\/v><\/c>/);
+    expect(sheet).toMatch(/<c r="D2" s="\d+"><v>45306<\/v><\/c>/);
+    expect(sheet).toContain('<c r="E3" t="b"><v>0</v></c>');
+    expect(sheet).toContain('<c r="F2" t="inlineStr"><is><t>0812</t></is></c>');
+
+    // Currency custom format and built-in date format
+    expect(files['xl/styles.xml']).toContain('formatCode="&quot;$&quot;#,##0.00"');
+    expect(files['xl/styles.xml']).toContain('numFmtId="14"');
+    expect(sheet).toContain('<cols>');
+  });
+
+  test('should use the column currency and read date-only values as local days', () => {
+    const timeZone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const table = new ModernTable('#test-table', {
+      data,
+      columns: [
+        { data: 'salary', title: 'Salary', render: 'currency', currency: 'EUR', locale: 'de-DE' },
+        { data: 'joined', title: 'Joined', type: 'date' }
+      ]
+    });
+    const exporter = table.plugins.export;
+    const files = unzip(exporter.generateXLSX([exporter.getXLSXSheet()]));
+    process.env.TZ = timeZone;
+
+    expect(table.tbody.querySelector('td').textContent).toBe('1.500,50\u00a0€');
+    expect(files['xl/styles.xml']).toContain('formatCode="#,##0.00&quot; €&quot;"');
+    expect(files['xl/worksheets/sheet1.xml']).toMatch(/<c r="B2" s="\d+"><v>45306<\/v><\/c>/);
+  });
+
+  test('should export multiple sheets', () => {
+    const table = createTable();
+    const exporter = table.plugins.export;
+    exporter.generateXLSX = jest.fn(exporter.generateXLSX);
+    window.URL.createObjectURL = jest.fn(() => 'blob:xlsx');
+    window.URL.revokeObjectURL = jest.fn();
+
+    exporter.exportExcel({
+      filename: 'report',
+      sheets: [
+        { sheetName: 'Names', columns: ['name'] },
+        { sheetName: 'Active', columns: ['id', 'active'], data: [data[0]] }
+      ]
+    });
+
+    const files = unzip(exporter.generateXLSX.mock.results[0].value);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Names"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Active"');
+    expect(files['xl/worksheets/sheet2.xml']).toContain('<row r="2">');
+    expect(files['xl/worksheets/sheet2.xml']).not.toContain('<row r="3">');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for the filter builder (AND/OR condition groups)
+ * Matches: docs/filters.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { matchesFilterTree, cleanFilterTree } from '../utils/filterTree.js';
+import { PROTOCOLS } from '../core/protocols.js';
+
+describe('Filter Builder', () => {
+  const products = [
+    { id: 1, name: 'Laptop', category: 'electronics', price: 1200, sku: '' },
+    { id: 2, name: 'Lamp', category: 'home', price: 40, sku: 'H-2' },
+    { id: 3, name: 'Phone', category: 'electronics', price: 800, sku: 'E-3' },
+    { id: 4, name: 'Chair', category: 'home', price: 150, sku: null }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: products,
+      filters: [{ type: 'builder', label: 'Advanced' }],
+      columns: [
+        { data: 'name', title: 'Name' },
+        { data: 'category', title: 'Category' },
+        { data: 'price', title: 'Price', type: 'num' }
+      ],
+      ...options
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const change = (element, value) => {
+    element.value = value;
+    element.dispatchEvent(new Event(element.tagName === 'SELECT' ? 'change' : 'input'));
+  };
+  const names = (table) => table.data.map(row => row.name);
+
+  test('should evaluate nested AND/OR groups with every operator', () => {
+    const ids = (tree) => products.filter(row => matchesFilterTree(row, tree)).map(row => row.id);
+
+    expect(ids({ column: 'name', operator: 'equals', value: 'lamp' })).toEqual([2]);
+    expect(ids({ column: 'name', operator: 'contains', value: 'ON' })).toEqual([3]);
+    expect(ids({ column: 'name', operator: 'startsWith', value: 'la' })).toEqual([1, 2]);
+    expect(ids({ column: 'price', operator: 'between', value: ['100', '1000'] })).toEqual([3, 4]);
+    expect(ids({ column: 'price', operator: 'between', value: ['', '150'] })).toEqual([2, 4]);
+    expect(ids({ column: 'category', operator: 'in', value: ['home', 'garden'] })).toEqual([2, 4]);
+    expect(ids({ column: 'sku', operator: 'isEmpty' })).toEqual([1, 4]);
+    expect(ids({ column: 'price', operator: 'gt', value: '150' })).toEqual([1, 3]);
+    expect(ids({ column: 'price', operator: 'lt', value: '150' })).toEqual([2]);
+
+    // electronics AND (price < 1000 OR name starts with "lap")
+    expect(ids({
+      logic: 'and',
+      conditions: [
+        { column: 'category', operator: 'equals', value: 'electronics' },
+        {
+          logic: 'or',
+          conditions: [
+            { column: 'price', operator: 'lt', value: 1000 },
+            { column: 'name', operator: 'startsWith', value: 'lap' }
+          ]
+        }
+      ]
+    })).toEqual([1, 3]);
+  });
+
+  test('should drop incomplete conditions and empty groups', () => {
+    expect(cleanFilterTree({
+      logic: 'or',
+      conditions: [
+        { column: 'name', operator: 'contains', value: '' },
+        { column: 'category', operator: 'in', value: 'home, , garden' },
+        { logic: 'and', conditions: [{ column: 'price', operator: 'between', value: ['', ''] }] },
+        { column: 'sku', operator: 'isEmpty', value: 'x' }
+      ]
+    })).toEqual({
+      logic: 'or',
+      conditions: [
+        { column: 'category', operator: 'in', value: ['home', 'garden'] },
+        { column: 'sku', operator: 'isEmpty' }
+      ]
+    });
+    expect(cleanFilterTree({ logic: 'and', conditions: [] })).toBeNull();
+  });
+
+  test('should build and apply a tree from the panel in client-side mode', async () => {
+    const table = createTable();
+    await flush();
+    const builder = table.wrapper.querySelector('.modern-table-filter-builder');
+
+    // price > 100
+    change(builder.querySelector('.modern-table-filter-column'), 'price');
+    change(builder.querySelector('.modern-table-filter-operator'), 'gt');
+    expect(builder.querySelector('.modern-table-filter-value').type).toBe('number');
+    change(builder.querySelector('.modern-table-filter-value'), '100');
+
+    // OR group: category equals home
+    change(builder.querySelector('.modern-table-filter-logic'), 'or');
+    builder.querySelector('.modern-table-filter-add').click();
+    const second = builder.querySelectorAll('.modern-table-filter-condition')[1];
+    change(second.querySelector('.modern-table-filter-column'), 'category');
+    change(builder.querySelectorAll('.modern-table-filter-operator')[1], 'equals');
+    change(builder.querySelectorAll('.modern-table-filter-value')[1], 'home');
+
+    builder.querySelector('.modern-table-filter-apply').click();
+
+    expect(table.components.filterPanel.getAdvancedFilter()).toEqual({
+      logic: 'or',
+      conditions: [
+        { column: 'price', operator: 'gt', value: '100' },
+        { column: 'category', operator: 'equals', value: 'home' }
+      ]
+    });
+    expect(names(table)).toEqual(['Laptop', 'Lamp', 'Phone', 'Chair']);
+
+    change(builder.querySelector('.modern-table-filter-logic'), 'and');
+    builder.querySelector('.modern-table-filter-apply').click();
+    expect(names(table)).toEqual(['Chair']);
+
+    builder.querySelector('.modern-table-filter-reset').click();
+    expect(table.components.filterPanel.getAdvancedFilter()).toBeNull();
+    expect(names(table)).toHaveLength(4);
+    table.destroy();
+  });
+
+  test('should send the tree as JSON next to the DataTables params', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ recordsTotal: 0, recordsFiltered: 0, data: [] })
+    }));
+    const table = createTable({ data: null, api: '/api/products', serverSide: true });
+    await flush();
+
+    const tree = { logic: 'and', conditions: [{ column: 'price', operator: 'between', value: ['10', '99'] }] };
+    table.components.filterPanel.applyAdvancedFilter(tree);
+    await flush();
+
+    const url = new URL(global.fetch.mock.calls[1][0]);
+    expect(JSON.parse(url.searchParams.get('advancedFilter'))).toEqual(tree);
+    expect(url.searchParams.get('start')).toBe('0');
+    table.destroy();
+  });
+
+  test('should translate the tree into an OData $filter', () => {
+    const params = PROTOCOLS.odata.buildRequest({
+      start: 0,
+      length: 10,
+      search: '',
+      columns: [],
+      order: [],
+      filters: {},
+      advancedFilter: {
+        logic: 'or',
+        conditions: [
+          { column: 'address.city', operator: 'in', value: ['Oslo', 'Bergen'] },
+          {
+            logic: 'and',
+            conditions: [
+              { column: 'price', operator: 'between', value: ['10', ''] },
+              { column: 'sku', operator: 'isEmpty' }
+            ]
+          }
+        ]
+      }
+    });
+
+    expect(params.$filter).toBe("(address/city in ('Oslo','Bergen') or ((price ge 10) and (sku eq null or sku eq '')))");
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for footer aggregates
+ * Matches: docs/footer-aggregates.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { aggregate } from '../utils/aggregates.js';
+
+describe('Footer Aggregates', () => {
+  const data = [
+    { id: 1, name: 'Apple', qty: 10, price: '1,000.50' },
+    { id: 2, name: 'Banana', qty: 5, price: '20' },
+    { id: 3, name: 'Cherry', qty: 1, price: '' }
+  ];
+
+  const createTable = (columns, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', { data, columns, ...options });
+  };
+
+  const footerCells = () => document.querySelectorAll('tfoot tr.modern-table-footer-row th');
+
+  test('should create a tfoot with built-in aggregates', () => {
+    createTable([
+      { data: 'id', footer: 'count' },
+      { data: 'name' },
+      { data: 'qty', footer: 'sum' },
+      { data: 'price', footer: 'max' }
+    ]);
+
+    const cells = footerCells();
+    expect(cells).toHaveLength(4);
+    expect(cells[0].textContent).toBe('3');
+    expect(cells[1].textContent).toBe('');
+    expect(cells[2].textContent).toBe('16');
+    expect(cells[3].textContent).toBe('1,000.5');
+  });
+
+  test('should aggregate page or all filtered rows', () => {
+    const table = createTable(
+      [
+        { data: 'name' },
+        { data: 'qty', footer: 'sum' },
+        { data: 'id', footer: { type: 'sum', scope: 'filtered' } }
+      ],
+      { pageLength: 2 }
+    );
+
+    expect(table.plugins.footer.getValue(1)).toBe(15);
+    expect(table.plugins.footer.getValue(2)).toBe(6);
+  });
+
+  test('should format values with the formatters registry and label', () => {
+    createTable([
+      {
+        data: 'qty',
+        footer: {
+          type: 'avg',
+          format: 'number',
+          formatOptions: { decimals: 1 },
+          label: 'Avg:'
+        }
+      }
+    ]);
+
+    expect(footerCells()[0].textContent).toBe('Avg: 5.3');
+  });
+
+  test('should find min and max of large columns', () => {
+    // Too many values to spread into Math.min / Math.max arguments
+    const values = Array.from({ length: 500000 }, (_, index) => index % 1000);
+    values[1234] = -5;
+
+    expect(aggregate(values, 'min')).toBe(-5);
+    expect(aggregate(values, 'max')).toBe(999);
+  });
+
+  test('should remove the generated tfoot on destroy', () => {
+    const table = createTable([{ data: 'qty', footer: 'sum' }]);
+    const update = jest.spyOn(table.plugins.footer, 'update');
+
+    table.destroy();
+    expect(table.element.querySelector('tfoot')).toBeNull();
+
+    table.emit('dataLoaded');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('should use server-supplied aggregates', () => {
+    const table = createTable([
+      { data: 'qty', footer: { type: 'sum', scope: 'filtered' } },
+      { data: 'id', footer: 'count' }
+    ]);
+    table.isClientSide = false;
+
+    table.processResponse({
+      recordsTotal: 100,
+      recordsFiltered: 50,
+      data: data.slice(0, 2),
+      aggregates: { qty: { sum: 999 } }
+    });
+    table.plugins.footer.update();
+
+    expect(footerCells()[0].textContent).toBe('999');
+    expect(footerCells()[1].textContent).toBe('2');
+  });
+
+  test('should include the footer row in export data', () => {
+    const table = createTable(
+      [{ data: 'name', title: 'Name', footer: { label: 'Total' } }, { data: 'qty', title: 'Qty', footer: 'sum' }],
+      { buttons: ['csv'] }
+    );
+
+    expect(table.plugins.export.getFilteredExportData().footer).toEqual(['Total', '16']);
+  });
+});
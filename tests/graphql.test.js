@@ -0,0 +1,73 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for the GraphQL data source
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('GraphQL', () => {
+  const query = 'query Users($page: Int, $perPage: Int) { users(page: $page, perPage: $perPage) { totalCount nodes { name } } }';
+
+  const createTable = (body, graphql = {}) => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(body) }));
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: { url: '/graphql', graphql: { query, path: 'data.users', ...graphql } },
+      serverSide: true,
+      pageLength: 10,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('should POST the query with variables built from the table state', async () => {
+    createTable({ data: { users: { totalCount: 0, nodes: [] } } });
+    await flush();
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('/graphql');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual({
+      query,
+      variables: { page: 1, perPage: 10, offset: 0, search: '', sort: [], filters: {} }
+    });
+  });
+
+  test('should read rows and totals from a connection', async () => {
+    const table = createTable({ data: { users: { totalCount: 42, nodes: [{ name: 'Ann' }, { name: 'Bo' }] } } });
+    await flush();
+
+    expect(table.data).toEqual([{ name: 'Ann' }, { name: 'Bo' }]);
+    expect(table.totalRecords).toBe(42);
+    expect(table.totalPages).toBe(5);
+  });
+
+  test('should use custom variables and paths', async () => {
+    const table = createTable(
+      { data: { search: { count: 3, items: [{ name: 'Cy' }] } } },
+      {
+        variables: (state) => ({ first: state.length, after: state.start }),
+        path: 'data.search.items',
+        totalPath: 'data.search.count'
+      }
+    );
+    await flush();
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).variables).toEqual({ first: 10, after: 0 });
+    expect(table.data).toEqual([{ name: 'Cy' }]);
+    expect(table.filteredRecords).toBe(3);
+  });
+
+  test('should surface GraphQL errors through showError and the error event', async () => {
+    const errors = [];
+    const table = createTable({ errors: [{ message: 'Cannot query field "nme"' }, { message: 'Unauthorized' }] });
+    table.on('error', (error) => errors.push(error.message));
+    await flush();
+
+    expect(errors).toEqual(['Cannot query field "nme"; Unauthorized']);
+    expect(table.tbody.textContent).toContain('Error: Cannot query field "nme"; Unauthorized');
+  });
+});
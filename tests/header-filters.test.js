@@ -0,0 +1,209 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for Excel-style header filters (distinct values)
+ * Matches: docs/header-filters.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Header Filters', () => {
+  const employees = [
+    { id: 1, name: 'Anna', office: 'Oslo', skills: ['js', 'sql'] },
+    { id: 2, name: 'Ben', office: 'Bergen', skills: ['js'] },
+    { id: 3, name: 'Carl', office: 'Oslo', skills: [] },
+    { id: 4, name: 'Dina', office: null, skills: ['go'] }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: employees,
+      columns: [
+        { data: 'name', title: 'Name' },
+        { data: 'office', title: 'Office', headerFilter: true },
+        { data: 'skills', title: 'Skills', headerFilter: true }
+      ],
+      ...options
+    });
+  };
+
+  const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+  const ids = (table) => table.data.map(row => row.id);
+  const popover = () => document.querySelector('.modern-table-header-filter-popover');
+  const open = async (table, index) => {
+    table.thead.querySelector(`.modern-table-header-filter[data-column="${index}"]`).click();
+    await flush();
+    return popover();
+  };
+  const options = (element) => [...element.querySelectorAll('.modern-table-header-filter-list label')]
+    .map(label => {
+      const count = label.querySelector('.modern-table-header-filter-count');
+      return [label.childNodes[1].textContent.trim(), count?.textContent].filter(Boolean).join(' ');
+    });
+  const toggle = (element, text) => {
+    const label = [...element.querySelectorAll('.modern-table-header-filter-list label')]
+      .find(item => item.textContent.trim().startsWith(text));
+    const checkbox = label.querySelector('input');
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change'));
+  };
+
+  afterEach(() => localStorage.clear());
+
+  test('should list distinct values with counts and filter by the checked ones', async () => {
+    const table = createTable();
+    const element = await open(table, 1);
+
+    expect(options(element)).toEqual(['(Select All)', 'Bergen (1)', 'Oslo (2)', '(Blanks) (1)']);
+    expect(element.querySelectorAll('input:checked')).toHaveLength(4);
+
+    toggle(element, 'Bergen');
+    toggle(element, '(Blanks)');
+    expect(element.querySelector('.modern-table-header-filter-all input').indeterminate).toBe(true);
+    element.querySelector('.modern-table-header-filter-apply').click();
+
+    expect(popover()).toBeNull();
+    expect(ids(table)).toEqual([1, 3]);
+    expect(table.thead.querySelector('.modern-table-header-filter[data-column="1"]').classList.contains('active')).toBe(true);
+
+    // Array cells match any of their items
+    const skills = await open(table, 2);
+    expect(options(skills)).toEqual(['(Select All)', 'go (1)', 'js (2)', 'sql (1)', '(Blanks) (1)']);
+    toggle(skills, '(Select All)');
+    toggle(skills, 'sql');
+    skills.querySelector('.modern-table-header-filter-apply').click();
+    expect(ids(table)).toEqual([1]);
+
+    (await open(table, 1)).querySelector('.modern-table-header-filter-clear').click();
+    expect(table.plugins.headerFilter.getValues()).toEqual({ skills: ['sql'] });
+    expect(ids(table)).toEqual([1]);
+    table.destroy();
+  });
+
+  test('should search values, not sort on click and close on Escape', async () => {
+    const table = createTable();
+    const sortSpy = jest.spyOn(table.plugins.sorting, 'toggleSort');
+    const element = await open(table, 1);
+    expect(sortSpy).not.toHaveBeenCalled();
+
+    const search = element.querySelector('.modern-table-header-filter-search');
+    search.value = 'os';
+    search.dispatchEvent(new Event('input'));
+    expect(options(element)).toEqual(['(Select All)', 'Oslo (2)']);
+
+    // "(Select All)" only changes the values that match the search
+    toggle(element, '(Select All)');
+    element.querySelector('.modern-table-header-filter-apply').click();
+    expect(ids(table)).toEqual([2, 4]);
+
+    await open(table, 1);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(popover()).toBeNull();
+    table.destroy();
+  });
+
+  test('should load server-side values from the distinct endpoint and send the selection', async () => {
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(url.includes('/distinct')
+        ? { data: [{ value: 'Oslo', count: 120 }, { value: 'Bergen', count: 45 }] }
+        : { recordsTotal: 0, recordsFiltered: 0, data: [] })
+    }));
+    const table = createTable({
+      data: null,
+      api: '/api/employees',
+      serverSide: true,
+      headerFilter: { distinct: '/api/employees/distinct' }
+    });
+    await flush();
+
+    const element = await open(table, 1);
+    const distinctUrl = new URL(global.fetch.mock.calls.at(-1)[0]);
+    expect(distinctUrl.pathname).toBe('/api/employees/distinct');
+    expect(distinctUrl.searchParams.get('column')).toBe('office');
+    expect(options(element)).toEqual(['(Select All)', 'Bergen (45)', 'Oslo (120)']);
+
+    toggle(element, 'Bergen');
+    element.querySelector('.modern-table-header-filter-apply').click();
+    await flush();
+
+    const url = new URL(global.fetch.mock.calls.at(-1)[0]);
+    expect(url.pathname).toBe('/api/employees');
+    expect(url.searchParams.get('headerFilters[office][0]')).toBe('Oslo');
+    table.destroy();
+  });
+
+  test('should send distinct filters in the format of the table request', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ data: [] }) }));
+    const table = createTable({
+      data: null,
+      api: '/api/employees',
+      serverSide: true,
+      protocol: 'laravel',
+      filters: [{ column: 'office', type: 'multiselect', options: ['Oslo', 'Bergen'] }],
+      headerFilter: { distinct: '/api/employees/distinct' }
+    });
+    await flush();
+    table.components.filterPanel.applyFilter('office', ['Oslo', 'Bergen']);
+    table.plugins.headerFilter.apply('skills', ['js', 'go']);
+    await flush();
+
+    const tableUrl = new URL(global.fetch.mock.calls.at(-1)[0]);
+    await open(table, 1);
+    const distinctUrl = new URL(global.fetch.mock.calls.at(-1)[0]);
+
+    expect(distinctUrl.pathname).toBe('/api/employees/distinct');
+    expect(distinctUrl.searchParams.get('column')).toBe('office');
+    ['filter[office][]', 'header_filter[skills][]'].forEach(key => {
+      expect(distinctUrl.searchParams.getAll(key)).toEqual(tableUrl.searchParams.getAll(key));
+    });
+    expect(distinctUrl.searchParams.getAll('filter[office][]')).toEqual(['Oslo', 'Bergen']);
+    expect(distinctUrl.searchParams.getAll('header_filter[skills][]')).toEqual(['js', 'go']);
+    table.destroy();
+  });
+
+  test('should combine a header filter with a panel filter on the same column', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ recordsTotal: 0, recordsFiltered: 0, data: [] })
+    }));
+    const filters = [{ column: 'office', type: 'text' }];
+
+    // Client-side: rows match both
+    const table = createTable({ filters });
+    table.components.filterPanel.applyFilter('office', 'o');
+    expect(ids(table)).toEqual([1, 3]);
+    table.plugins.headerFilter.apply('office', ['Oslo', 'Bergen']);
+    expect(ids(table)).toEqual([1, 3]);
+    table.plugins.headerFilter.apply('office', ['Bergen']);
+    expect(ids(table)).toEqual([]);
+    table.destroy();
+
+    // Server-side: both are sent
+    const remote = createTable({ filters, data: null, api: '/api/employees', serverSide: true });
+    await flush();
+    remote.components.filterPanel.applyFilter('office', 'o');
+    remote.plugins.headerFilter.apply('office', ['Bergen']);
+    await flush();
+
+    const url = new URL(global.fetch.mock.calls.at(-1)[0]);
+    expect(url.searchParams.get('filters[office]')).toBe('o');
+    expect(url.searchParams.get('headerFilters[office][0]')).toBe('Bergen');
+    remote.destroy();
+  });
+
+  test('should save and restore header filters', async () => {
+    const table = createTable({ stateSave: true });
+    const element = await open(table, 1);
+    toggle(element, 'Oslo');
+    element.querySelector('.modern-table-header-filter-apply').click();
+    expect(JSON.parse(localStorage.getItem('modernTable_test-table')).headerFilters).toEqual({ office: ['Bergen', ''] });
+    table.destroy();
+
+    const restored = createTable({ stateSave: true });
+    expect(ids(restored)).toEqual([2, 4]);
+    expect(restored.thead.querySelector('.modern-table-header-filter.active')).not.toBeNull();
+    restored.destroy();
+  });
+});
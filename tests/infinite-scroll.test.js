@@ -0,0 +1,113 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for infinite scroll and load more paging
+ * Matches: docs/infinite-scroll.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Infinite Scroll', () => {
+  const users = Array.from({ length: 25 }, (_, i) => ({ id: i + 1, name: `User ${i + 1}` }));
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: users,
+      paging: 'loadMore',
+      pageLength: 10,
+      searchDelay: 0,
+      columns: [{ data: 'id', title: 'ID' }, { data: 'name', title: 'Name' }],
+      ...options
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const rowCount = (table) => table.tbody.querySelectorAll('tr[data-index]').length;
+  const loadMoreButton = (table) => table.paginationElement.querySelector('.modern-table-load-more');
+
+  test('should append pages with the load more button', async () => {
+    const table = createTable();
+    await flush();
+
+    expect(rowCount(table)).toBe(10);
+    const firstRow = table.tbody.querySelector('tr[data-index="0"]');
+
+    loadMoreButton(table).click();
+    expect(rowCount(table)).toBe(20);
+    expect(table.tbody.querySelector('tr[data-index="0"]')).toBe(firstRow);
+    expect(table.infoElement.textContent).toBe('Showing 1 to 20 of 25 entries');
+
+    loadMoreButton(table).click();
+    expect(rowCount(table)).toBe(25);
+    expect(table.data).toHaveLength(25);
+    expect(loadMoreButton(table)).toBeNull();
+    table.destroy();
+  });
+
+  test('should keep selected rows when a page is appended', async () => {
+    const table = createTable({ select: true });
+    await flush();
+
+    const checkbox = table.tbody.querySelector('tr[data-index="2"] .row-checkbox');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+    loadMoreButton(table).click();
+
+    expect(table.tbody.querySelector('tr[data-index="2"] .row-checkbox').checked).toBe(true);
+    expect(table.getSelectedRows()).toEqual([users[2]]);
+    expect(table.thead.querySelector('.select-all-checkbox').indeterminate).toBe(true);
+    table.destroy();
+  });
+
+  test('should start over from the first page on search', async () => {
+    const table = createTable();
+    await flush();
+    loadMoreButton(table).click();
+    expect(rowCount(table)).toBe(20);
+
+    table.search('User 1');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    // User 1, User 10-19
+    expect(table.currentPage).toBe(1);
+    expect(rowCount(table)).toBe(10);
+    expect(table.data[0]).toEqual(users[0]);
+    expect(loadMoreButton(table)).not.toBeNull();
+    table.destroy();
+  });
+
+  test('should load the next server-side page when the sentinel is visible', async () => {
+    let observerCallback;
+    global.IntersectionObserver = jest.fn((callback) => {
+      observerCallback = callback;
+      return { observe: jest.fn(), disconnect: jest.fn() };
+    });
+    global.fetch = jest.fn((url) => {
+      const start = parseInt(new URL(url).searchParams.get('start'));
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          draw: new URL(url).searchParams.get('draw'),
+          recordsTotal: 25,
+          recordsFiltered: 25,
+          data: users.slice(start, start + 10)
+        })
+      });
+    });
+
+    const table = createTable({ data: null, api: '/api/users', serverSide: true, paging: 'infinite' });
+    await flush();
+    expect(table.paginationElement.querySelector('.modern-table-sentinel')).not.toBeNull();
+
+    observerCallback([{ isIntersecting: true }]);
+    await flush();
+
+    expect(new URL(global.fetch.mock.calls[1][0]).searchParams.get('start')).toBe('10');
+    expect(rowCount(table)).toBe(20);
+    expect(table.data[10]).toEqual(users[10]);
+    table.destroy();
+    delete global.IntersectionObserver;
+  });
+});
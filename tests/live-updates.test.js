@@ -0,0 +1,157 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for live updates over WebSocket / Server-Sent Events
+ * Matches: docs/live-updates.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Live Updates', () => {
+  const users = () => [
+    { id: 1, name: 'Carol' },
+    { id: 2, name: 'Alice' },
+    { id: 3, name: 'Dave' },
+    { id: 4, name: 'Bob' }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: users(),
+      pageLength: 3,
+      searchDelay: 0,
+      order: [[1, 'asc']],
+      columns: [{ data: 'id', title: 'ID' }, { data: 'name', title: 'Name' }],
+      ...options
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const send = (source, message, type = 'message') => {
+    source.dispatchEvent(new MessageEvent(type, { data: JSON.stringify(message) }));
+  };
+  const names = (table) => [...table.tbody.querySelectorAll('tr[data-index]')].map(tr => tr.cells[1].textContent);
+
+  test('should patch an updated row in place and highlight it', async () => {
+    const source = new EventTarget();
+    const table = createTable({ live: { source } });
+    await flush();
+    const rows = [...table.tbody.querySelectorAll('tr[data-index]')];
+
+    send(source, { type: 'update', data: { id: 4, name: 'Bobby' } });
+
+    expect(names(table)).toEqual(['Alice', 'Bobby', 'Carol']);
+    const current = [...table.tbody.querySelectorAll('tr[data-index]')];
+    expect(current).toEqual(rows);
+    expect(current[1].classList.contains('modern-table-live-highlight')).toBe(true);
+    expect(current[0].classList.contains('modern-table-live-highlight')).toBe(false);
+    expect(table.originalData.find(row => row.id === 4).name).toBe('Bobby');
+    table.destroy();
+  });
+
+  test('should place inserted and moved rows by the current sort and search', async () => {
+    const source = new EventTarget();
+    const table = createTable({ live: { source } });
+    await flush();
+    const carol = table.tbody.querySelector('tr[data-index="2"]');
+
+    send(source, { type: 'insert', data: [{ id: 5, name: 'Aaron' }, { id: 6, name: 'Zed' }] });
+    expect(names(table)).toEqual(['Aaron', 'Alice', 'Bob']);
+    expect(table.infoElement.textContent).toBe('Showing 1 to 3 of 6 entries');
+
+    table.search('a');
+    await flush();
+    expect(names(table)).toEqual(['Aaron', 'Alice', 'Carol']);
+
+    // Renamed rows move and rows that no longer match disappear
+    send(source, { type: 'update', data: { id: 2, name: 'Yara' } });
+    send(source, { type: 'update', data: { id: 1, name: 'Ben' } });
+    expect(names(table)).toEqual(['Aaron', 'Dave', 'Yara']);
+    expect(carol.isConnected).toBe(false);
+    table.destroy();
+  });
+
+  test('should delete rows by key and keep the page in range', async () => {
+    const source = new EventTarget();
+    const table = createTable({ live: { source, key: (row) => `user-${row.id}` } });
+    await flush();
+    table.goToPage(2);
+    expect(names(table)).toEqual(['Dave']);
+
+    send(source, 'user-3', 'delete');
+
+    expect(table.currentPage).toBe(1);
+    expect(names(table)).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(table.totalPages).toBe(1);
+    table.destroy();
+  });
+
+  test('should leave rows with missing or duplicate keys alone', async () => {
+    const source = new EventTarget();
+    const table = createTable({
+      live: { source },
+      pageLength: 10,
+      data: [
+        { id: 1, name: 'Carol' },
+        { id: 1, name: 'Alice' },
+        { name: 'Dave' },
+        { name: 'Bob' },
+        { id: 2, name: 'Erin' }
+      ]
+    });
+    await flush();
+    const data = table.originalData;
+
+    send(source, { type: 'update', data: { id: 2, name: 'Eve' } });
+    send(source, { type: 'update', data: { id: 1, name: 'Zed' } });
+    send(source, { type: 'delete', data: 1 });
+    send(source, { type: 'update', data: { name: 'Nobody' } });
+    send(source, { type: 'insert', data: { name: 'Finn' } });
+
+    expect(table.originalData).toBe(data);
+    expect(table.originalData.map(row => row.name)).toEqual(['Carol', 'Alice', 'Dave', 'Bob', 'Eve', 'Finn']);
+    expect(names(table)).toEqual(['Alice', 'Bob', 'Carol', 'Dave', 'Eve', 'Finn']);
+
+    send(source, { type: 'delete', data: 2 });
+    expect(names(table)).toEqual(['Alice', 'Bob', 'Carol', 'Dave', 'Finn']);
+    table.destroy();
+  });
+
+  test('should show a refresh banner for new rows in server-side mode', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ recordsTotal: 4, recordsFiltered: 4, data: users().slice(0, 3) })
+    }));
+    const sockets = [];
+    global.WebSocket = jest.fn(function () {
+      const socket = new EventTarget();
+      socket.close = jest.fn();
+      sockets.push(socket);
+      return socket;
+    });
+
+    const table = createTable({ data: null, api: '/api/users', serverSide: true, live: 'wss://example.test/users' });
+    await flush();
+    expect(global.WebSocket).toHaveBeenCalledWith('wss://example.test/users');
+
+    const [socket] = sockets;
+    send(socket, { type: 'insert', data: { id: 7, name: 'Eve' } });
+    send(socket, { type: 'insert', data: { id: 8, name: 'Finn' } });
+    send(socket, { type: 'update', data: { id: 2, name: 'Alicia' } });
+
+    const banner = table.wrapper.querySelector('.modern-table-live');
+    expect(banner.textContent).toBe('2 new rows — refresh');
+    expect(names(table)).toEqual(['Carol', 'Alicia', 'Dave']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    banner.querySelector('button').click();
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(table.wrapper.querySelector('.modern-table-live')).toBeNull();
+
+    table.destroy();
+    expect(socket.close).toHaveBeenCalled();
+    delete global.WebSocket;
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for multi-select, checkbox-list and tag filters
+ * Matches: docs/filters.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Multi-value Filters', () => {
+  const tickets = [
+    { id: 1, status: 'active', tags: ['bug', 'ui'] },
+    { id: 2, status: 'pending', tags: ['feature'] },
+    { id: 3, status: 'closed', tags: ['bug'] },
+    { id: 4, status: 'active', tags: [] }
+  ];
+  const statuses = [
+    { value: '', text: 'All' },
+    { value: 'active', text: 'Active' },
+    { value: 'pending', text: 'Pending' },
+    { value: 'closed', text: 'Closed' }
+  ];
+
+  const createTable = (filter, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: tickets,
+      filters: [filter],
+      columns: [{ data: 'id', title: 'ID' }, { data: 'status', title: 'Status' }],
+      ...options
+    });
+  };
+
+  const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+  const ids = (table) => table.data.map(row => row.id);
+  const check = (widget, text) => {
+    const label = [...widget.querySelectorAll('label.form-check')].find(item => item.textContent.trim() === text);
+    const checkbox = label.querySelector('input');
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  afterEach(() => localStorage.clear());
+
+  test('should filter by several checked values with all/none', async () => {
+    const table = createTable({ column: 'status', type: 'checkboxes', options: statuses, search: true });
+    await flush();
+    const widget = table.wrapper.querySelector('.modern-table-filter-checkboxes');
+    expect(widget.querySelectorAll('label.form-check')).toHaveLength(3);
+
+    check(widget, 'Active');
+    check(widget, 'Pending');
+    expect(table.components.filterPanel.getFilters()).toEqual({ status: ['active', 'pending'] });
+    expect(ids(table)).toEqual([1, 2, 4]);
+
+    widget.querySelector('.modern-table-filter-none').click();
+    expect(table.components.filterPanel.getFilters()).toEqual({});
+    expect(ids(table)).toEqual([1, 2, 3, 4]);
+
+    // "All" selects the options that match the search
+    const search = widget.querySelector('.modern-table-filter-search');
+    search.value = 'c';
+    search.dispatchEvent(new Event('input'));
+    expect(widget.querySelectorAll('label.form-check')).toHaveLength(2);
+    widget.querySelector('.modern-table-filter-all').click();
+    expect(table.components.filterPanel.getFilters()).toEqual({ status: ['active', 'closed'] });
+    table.destroy();
+  });
+
+  test('should send multiselect values to the server as an array', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ recordsTotal: 0, recordsFiltered: 0, data: [] })
+    }));
+    const table = createTable(
+      { column: 'status', type: 'multiselect', options: statuses },
+      { data: null, api: '/api/tickets', serverSide: true }
+    );
+    await flush();
+    const widget = table.wrapper.querySelector('.modern-table-filter-multiselect');
+    const toggle = widget.querySelector('.modern-table-filter-toggle');
+    expect(toggle.textContent).toBe('All');
+
+    toggle.click();
+    expect(widget.querySelector('.modern-table-filter-dropdown').hidden).toBe(false);
+    check(widget, 'Active');
+    check(widget, 'Closed');
+    await flush();
+
+    expect(toggle.textContent).toBe('2 selected');
+    const url = new URL(global.fetch.mock.calls.at(-1)[0]);
+    expect(url.searchParams.getAll('filters[status][0]')).toEqual(['active']);
+    expect(url.searchParams.getAll('filters[status][1]')).toEqual(['closed']);
+
+    document.body.click();
+    expect(widget.querySelector('.modern-table-filter-dropdown').hidden).toBe(true);
+    table.destroy();
+  });
+
+  test('should match tags against array cells', async () => {
+    const table = createTable({ column: 'tags', type: 'tags', options: ['bug', 'feature', 'ui'] });
+    await flush();
+    const widget = table.wrapper.querySelector('.modern-table-filter-tags');
+    const input = widget.querySelector('input');
+    const type = (text, key = 'Enter') => {
+      input.value = text;
+      input.dispatchEvent(new Event('input'));
+      input.dispatchEvent(new KeyboardEvent('keydown', { key }));
+    };
+
+    type('fea');
+    expect(ids(table)).toEqual([2]);
+
+    type('ui');
+    expect([...widget.querySelectorAll('.modern-table-filter-chip')].map(chip => chip.textContent)).toEqual(['feature', 'ui']);
+    expect(ids(table)).toEqual([1, 2]);
+
+    // Unknown tags are not added when options are given
+    type('urgent');
+    expect(table.components.filterPanel.getFilters()).toEqual({ tags: ['feature', 'ui'] });
+
+    type('', 'Backspace');
+    expect(ids(table)).toEqual([2]);
+    table.destroy();
+  });
+
+  test('should save and restore selections as arrays', async () => {
+    const filter = { column: 'status', type: 'checkboxes', options: statuses };
+    const table = createTable(filter, { stateSave: true });
+    await flush();
+    check(table.wrapper.querySelector('.modern-table-filter-checkboxes'), 'Closed');
+    check(table.wrapper.querySelector('.modern-table-filter-checkboxes'), 'Pending');
+    expect(JSON.parse(localStorage.getItem('modernTable_test-table')).filters).toEqual({ status: ['pending', 'closed'] });
+    table.destroy();
+
+    const restored = createTable(filter, { stateSave: true });
+    await flush(200);
+    const checked = [...restored.wrapper.querySelectorAll('.modern-table-filter-options input:checked')];
+    expect(checked.map(checkbox => checkbox.value)).toEqual(['pending', 'closed']);
+    expect(ids(restored)).toEqual([2, 3]);
+    restored.destroy();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for multi-column sorting (sort stack, shift+click, order[] requests)
+ * Matches: docs/sorting.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Multi-Column Sorting', () => {
+  const people = [
+    { id: 1, team: 'b', name: 'Cara', age: 30 },
+    { id: 2, team: 'a', name: 'Ben', age: 25 },
+    { id: 3, team: 'b', name: 'Anna', age: 41 },
+    { id: 4, team: 'a', name: 'Dave', age: 25 }
+  ];
+
+  const columns = [
+    { data: 'team', title: 'Team' },
+    { data: 'name', title: 'Name' },
+    { data: 'age', title: 'Age' }
+  ];
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', { data: people, columns, ...options });
+  };
+
+  const header = (index) => document.querySelector(`thead th[data-column="${index}"]`);
+  const click = (index, shiftKey = false) =>
+    header(index).dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey }));
+  const badges = () =>
+    Array.from(document.querySelectorAll('thead th[data-column]')).map(th => th.querySelector('.sort-priority')?.textContent ?? null);
+  const ids = (table) => table.data.map(row => row.id);
+
+  afterEach(() => localStorage.clear());
+
+  test('should build the sort stack with shift+click', () => {
+    const table = createTable();
+
+    click(0);
+    click(2, true);
+    expect(table.plugins.sorting.getSortStack()).toEqual([
+      { column: 0, dir: 'asc' },
+      { column: 2, dir: 'asc' }
+    ]);
+    expect(ids(table)).toEqual([2, 4, 1, 3]);
+    expect(badges()).toEqual(['1', null, '2']);
+
+    // Shift+click on a sorted column reverses it and keeps its priority
+    click(2, true);
+    expect(table.plugins.sorting.getSortStack()).toEqual([
+      { column: 0, dir: 'asc' },
+      { column: 2, dir: 'desc' }
+    ]);
+    expect(ids(table)).toEqual([2, 4, 3, 1]);
+    expect(header(2).querySelector('.sort-icon').className).toContain('fa-sort-down');
+  });
+
+  test('should replace the stack on a plain click', () => {
+    const table = createTable({ order: [[0, 'asc'], [1, 'desc']] });
+    expect(ids(table)).toEqual([4, 2, 1, 3]);
+
+    click(1);
+    expect(table.plugins.sorting.getSortStack()).toEqual([{ column: 1, dir: 'asc' }]);
+    expect(ids(table)).toEqual([3, 2, 1, 4]);
+    expect(badges()).toEqual([null, null, null]);
+  });
+
+  test('should accept a single order pair and skip columns that are not orderable', () => {
+    const single = createTable({ order: [2, 'desc'] });
+    expect(single.plugins.sorting.getSortStack()).toEqual([{ column: 2, dir: 'desc' }]);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const locked = createTable({
+      columns: [columns[0], { ...columns[1], orderable: false }, columns[2]],
+      order: [[1, 'asc'], [2, 'asc']]
+    });
+    expect(locked.plugins.sorting.getSortStack()).toEqual([{ column: 2, dir: 'asc' }]);
+    warn.mockRestore();
+  });
+
+  test('should send the whole stack as order[] to the server', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ draw: 1, recordsTotal: 0, recordsFiltered: 0, data: [] })
+    }));
+    createTable({ data: null, api: '/api/people', serverSide: true, order: [[2, 'desc']] });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    click(0, true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const params = new URL(global.fetch.mock.calls.at(-1)[0]).searchParams;
+    expect(params.get('order[0][column]')).toBe('2');
+    expect(params.get('order[0][dir]')).toBe('desc');
+    expect(params.get('order[1][column]')).toBe('0');
+    expect(params.get('order[1][dir]')).toBe('asc');
+  });
+
+  test('should save and restore the sort stack', async () => {
+    const table = createTable({ stateSave: true });
+    click(0);
+    click(1, true);
+    expect(JSON.parse(localStorage.getItem('modernTable_test-table')).order).toEqual([
+      { column: 0, dir: 'asc' },
+      { column: 1, dir: 'asc' }
+    ]);
+    table.destroy();
+
+    // Saved order is applied once the components are ready
+    const restored = createTable({ stateSave: true });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(restored.plugins.sorting.getSortStack()).toEqual([
+      { column: 0, dir: 'asc' },
+      { column: 1, dir: 'asc' }
+    ]);
+    expect(badges()).toEqual(['1', '2', null]);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for prefetching adjacent server-side pages
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Prefetch', () => {
+  let requests;
+
+  // fetch that answers immediately unless `hold` is set, and rejects when aborted
+  const mockFetch = (hold = false) => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    const params = new URL(url).searchParams;
+    const start = parseInt(params.get('start'));
+    const respond = () => resolve({
+      ok: true,
+      json: () => Promise.resolve({
+        draw: params.get('draw'),
+        recordsTotal: 50,
+        recordsFiltered: 50,
+        data: [{ name: `Row ${start}` }]
+      })
+    });
+
+    requests.push({ start, search: params.get('search[value]'), signal, respond });
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    if (!hold) respond();
+  }));
+
+  const createTable = (prefetch = { pages: 1 }) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: '/api/users',
+      serverSide: true,
+      pageLength: 10,
+      searchDelay: 0,
+      prefetch,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    requests = [];
+    global.fetch = mockFetch();
+  });
+
+  test('should prefetch adjacent pages and draw them without a request', async () => {
+    const table = createTable();
+    await flush();
+    await flush();
+
+    expect(requests.map(r => r.start)).toEqual([0, 10]);
+
+    table.goToPage(2);
+    await flush();
+    await flush();
+
+    expect(table.data).toEqual([{ name: 'Row 10' }]);
+    // Page 2 was prefetched; pages 3 and 1 are prefetched around it
+    expect(requests.map(r => r.start)).toEqual([0, 10, 20, 0]);
+    // Prefetching does not turn on the response cache
+    expect(table.apiClient.cache).toBeNull();
+    table.destroy();
+  });
+
+  test('should prefetch several pages on each side', async () => {
+    const table = createTable({ pages: 2 });
+    await flush();
+
+    table.goToPage(3);
+    await flush();
+    await flush();
+
+    // Page 1 was drawn, not prefetched: it is prefetched again around page 3
+    expect(requests.map(r => r.start).sort((a, b) => a - b)).toEqual([0, 0, 10, 20, 30, 40]);
+    table.destroy();
+  });
+
+  test('should cancel prefetches when the search changes', async () => {
+    const table = createTable();
+    await flush();
+    await flush();
+
+    global.fetch = mockFetch(true);
+    table.goToPage(2);
+    await flush();
+    await flush();
+    const prefetch = requests.find(r => r.start === 20);
+    expect(prefetch.signal.aborted).toBe(false);
+
+    // search() is debounced
+    table.search('alice');
+    await new Promise(resolve => setTimeout(resolve, table.options.searchDelay + 10));
+
+    expect(prefetch.signal.aborted).toBe(true);
+    expect(requests[requests.length - 1]).toMatchObject({ start: 0, search: 'alice' });
+    table.destroy();
+  });
+
+  test('should skip the api callbacks for prefetch requests', async () => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const beforeSend = jest.fn();
+    const success = jest.fn();
+    const table = new ModernTable('#test-table', {
+      api: { url: '/api/users', beforeSend, success },
+      serverSide: true,
+      pageLength: 10,
+      prefetch: true,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+    await flush();
+    await flush();
+
+    expect(requests.map(r => r.start)).toEqual([0, 10]);
+    expect(beforeSend).toHaveBeenCalledTimes(1);
+    expect(success).toHaveBeenCalledTimes(1);
+    table.destroy();
+  });
+
+  test('should keep prefetching cursor pages when only the cursor changes', async () => {
+    global.fetch = jest.fn((url, { signal }) => {
+      const params = new URL(url).searchParams;
+      const start = parseInt(params.get('cursor') || '0');
+      requests.push({ start, signal });
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ data: [{ name: `Row ${start}` }], next_cursor: String(start + 10) })
+      });
+    });
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const table = new ModernTable('#test-table', {
+      api: '/api/users',
+      serverSide: true,
+      protocol: 'laravel',
+      pagination: 'cursor',
+      pageLength: 10,
+      prefetch: true,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+    await flush();
+    await flush();
+    expect(requests.map(r => r.start)).toEqual([0, 10]);
+
+    const cancel = jest.spyOn(table.plugins.prefetch, 'cancel');
+    table.goToPage(2);
+    await flush();
+    await flush();
+
+    expect(cancel).not.toHaveBeenCalled();
+    expect(table.data).toEqual([{ name: 'Row 10' }]);
+    expect(requests.map(r => r.start)).toEqual([0, 10, 20, 0]);
+    table.destroy();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for server-side protocol adapters
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { PROTOCOLS, resolveProtocol } from '../core/protocols.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+describe('Protocol Adapters', () => {
+  const state = {
+    draw: 4,
+    start: 20,
+    length: 10,
+    search: "O'Brien",
+    columns: [
+      { data: 'name', name: 'name', searchable: true, orderable: true, search: '' },
+      { data: 'address.city', name: 'address.city', searchable: true, orderable: true, search: 'Jak' },
+      { data: null, name: null, searchable: true, orderable: false, search: '' }
+    ],
+    order: [{ column: 0, name: 'name', dir: 'desc' }, { column: 1, name: 'address.city', dir: 'asc' }],
+    filters: { status: 'active', created_at_from: '2024-01-01', role: ['admin', 'editor'] },
+    headerFilters: { status: ['active', ''] }
+  };
+
+  const createTable = (protocol, body) => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(body) }));
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: { url: '/api/users', method: 'GET' },
+      serverSide: true,
+      pageLength: 10,
+      protocol,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('should build Laravel and JSON:API requests', () => {
+    expect(PROTOCOLS.laravel.buildRequest(state)).toEqual({
+      page: 3,
+      per_page: 10,
+      search: "O'Brien",
+      sort: '-name,address.city',
+      'filter[address.city]': 'Jak',
+      'filter[status]': 'active',
+      'filter[created_at_from]': '2024-01-01',
+      'filter[role][]': ['admin', 'editor'],
+      'header_filter[status][]': ['active', '']
+    });
+
+    expect(PROTOCOLS.jsonapi.buildRequest(state)).toMatchObject({
+      'page[number]': 3,
+      'page[size]': 10,
+      sort: '-name,address.city',
+      'filter[search]': "O'Brien"
+    });
+  });
+
+  test('should send array filters as repeated params', () => {
+    const params = PROTOCOLS.laravel.buildRequest({ ...state, filters: { tag: ['a,b', 'c'] } });
+    const url = new URL(new ApiClient('/api/users').buildUrl(params));
+
+    expect(url.searchParams.getAll('filter[tag][]')).toEqual(['a,b', 'c']);
+    expect(url.searchParams.getAll('header_filter[status][]')).toEqual(['active', '']);
+  });
+
+  test('should build OData queries', () => {
+    expect(PROTOCOLS.odata.buildRequest(state)).toEqual({
+      $count: true,
+      $top: 10,
+      $skip: 20,
+      $orderby: 'name desc,address/city asc',
+      $filter: "(contains(tolower(name),'o''brien') or contains(tolower(address/city),'o''brien'))" +
+        " and contains(tolower(address/city),'jak')" +
+        " and status eq 'active'" +
+        ' and created_at ge 2024-01-01' +
+        " and role in ('admin','editor')" +
+        " and (status in ('active','') or status eq null)"
+    });
+  });
+
+  test('should read a Laravel paginator response', async () => {
+    const table = createTable('laravel', {
+      current_page: 2,
+      last_page: 5,
+      per_page: 10,
+      total: 48,
+      data: [{ name: 'Ann' }]
+    });
+    await flush();
+
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.searchParams.get('page')).toBe('1');
+    expect(url.searchParams.get('per_page')).toBe('10');
+    expect(url.searchParams.has('draw')).toBe(false);
+
+    expect(table.data).toEqual([{ name: 'Ann' }]);
+    expect(table.totalRecords).toBe(48);
+    expect(table.currentPage).toBe(2);
+    expect(table.totalPages).toBe(5);
+  });
+
+  test('should flatten JSON:API resources and read OData counts', async () => {
+    const table = createTable('jsonapi', {
+      data: [{ type: 'users', id: '7', attributes: { name: 'Ann' } }],
+      meta: { page: { total: 31 } }
+    });
+    await flush();
+
+    expect(table.data).toEqual([{ id: '7', name: 'Ann' }]);
+    expect(table.filteredRecords).toBe(31);
+    expect(table.totalPages).toBe(4);
+
+    expect(PROTOCOLS.odata.parseResponse({ value: [{ name: 'Bo' }], '@odata.count': 12 }))
+      .toEqual({ data: [{ name: 'Bo' }], recordsTotal: 12, recordsFiltered: 12 });
+  });
+
+  test('should fill missing custom adapter methods with DataTables', () => {
+    const buildRequest = (s) => ({ offset: s.start });
+    const protocol = resolveProtocol({ buildRequest });
+
+    expect(protocol.buildRequest(state)).toEqual({ offset: 20 });
+    expect(protocol.parseResponse({ draw: 1, recordsTotal: 3, recordsFiltered: 2, data: [] }))
+      .toMatchObject({ recordsTotal: 3, recordsFiltered: 2, draw: 1 });
+    expect(PROTOCOLS.datatables.buildRequest(state).columns[1].search).toEqual({ value: 'Jak', regex: false });
+    expect(PROTOCOLS.datatables.buildRequest(state)).toMatchObject({
+      filters: { status: 'active' },
+      headerFilters: { status: ['active', ''] }
+    });
+  });
+});
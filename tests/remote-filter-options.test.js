@@ -0,0 +1,168 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for remote filter options and dependent filters
+ * Matches: docs/filters.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Remote Filter Options', () => {
+  const customers = [
+    { id: 1, country: 'no', city: 'osl' },
+    { id: 2, country: 'no', city: 'brg' },
+    { id: 3, country: 'se', city: 'sto' }
+  ];
+
+  const createTable = (filters) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: customers,
+      filters,
+      searchDelay: 0,
+      columns: [{ data: 'id', title: 'ID' }, { data: 'city', title: 'City' }]
+    });
+  };
+
+  const flush = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+  const ids = (table) => table.data.map(row => row.id);
+  const texts = (select) => [...select.options].map(option => option.textContent);
+  const change = (select, value) => {
+    select.value = value;
+    select.dispatchEvent(new Event('change'));
+  };
+
+  test('should load select options from a URL once and cache them', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ data: [{ id: 'no', name: 'Norway' }, { id: 'se', name: 'Sweden' }] })
+    }));
+    const filter = { column: 'country', type: 'select', options: '/api/countries' };
+    const table = createTable([filter]);
+    await flush();
+
+    const select = table.wrapper.querySelector('select[data-filter="country"]');
+    expect(texts(select)).toEqual(['All', 'Norway', 'Sweden']);
+    expect(new URL(global.fetch.mock.calls[0][0]).pathname).toBe('/api/countries');
+
+    change(select, 'se');
+    expect(ids(table)).toEqual([3]);
+
+    // Reloading (e.g. after restoring state) is served from the cache
+    table.components.filterPanel.loadOptions('country');
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(select.value).toBe('se');
+    table.destroy();
+  });
+
+  test('should request option and distinct URLs with the table API headers, timeout and retry', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve([]) }));
+    const api = { url: '/api/customers', headers: { Authorization: 'Bearer token' }, timeout: 5000, retry: { attempts: 2 } };
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const table = new ModernTable('#test-table', {
+      api,
+      filters: [{ column: 'country', type: 'select', options: '/api/countries' }],
+      columns: [{ data: 'id', title: 'ID' }, { data: 'country', title: 'Country', headerFilter: true }]
+    });
+    await flush();
+
+    const optionsCall = global.fetch.mock.calls.find(([url]) => url.includes('/api/countries'));
+    expect(optionsCall[1].headers).toEqual({ Authorization: 'Bearer token' });
+
+    const clients = [
+      table.components.filterPanel.sources.country.client,
+      table.plugins.headerFilter.getClient('/api/customers/distinct')
+    ];
+    clients.forEach(client => {
+      expect(client.config).toMatchObject({ method: 'GET', headers: api.headers, timeout: 5000, retry: { attempts: 2 } });
+    });
+    table.destroy();
+  });
+
+  test('should search function options as the user types', async () => {
+    const cities = [{ value: 'osl', text: 'Oslo' }, { value: 'brg', text: 'Bergen' }, { value: 'sto', text: 'Stockholm' }];
+    const options = jest.fn(({ search }) =>
+      Promise.resolve(cities.filter(city => city.text.toLowerCase().startsWith(search.toLowerCase())))
+    );
+    const table = createTable([{ column: 'city', type: 'tags', options }]);
+    await flush();
+    expect(options).toHaveBeenCalledWith(expect.objectContaining({ search: '', filters: {} }));
+
+    const widget = table.wrapper.querySelector('.modern-table-filter-tags');
+    const input = widget.querySelector('input');
+    input.value = 'st';
+    input.dispatchEvent(new Event('input'));
+    await flush(10);
+
+    expect(options).toHaveBeenLastCalledWith(expect.objectContaining({ search: 'st' }));
+    expect([...widget.querySelectorAll('.modern-table-filter-suggestions button')].map(item => item.textContent)).toEqual(['Stockholm']);
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(table.components.filterPanel.getFilters()).toEqual({ city: ['sto'] });
+    expect(widget.querySelector('.modern-table-filter-chip').textContent).toBe('Stockholm');
+    expect(ids(table)).toEqual([3]);
+    table.destroy();
+  });
+
+  test('should keep checked values that a later remote search does not return', async () => {
+    const cities = [{ value: 'osl', text: 'Oslo' }, { value: 'brg', text: 'Bergen' }, { value: 'sto', text: 'Stockholm' }];
+    const options = jest.fn(({ search }) =>
+      Promise.resolve(cities.filter(city => city.text.toLowerCase().includes(search.toLowerCase())))
+    );
+    const table = createTable([{ column: 'city', type: 'checkboxes', options }]);
+    await flush();
+
+    const widget = table.wrapper.querySelector('.modern-table-filter-checkboxes');
+    const tick = (value) => {
+      const checkbox = widget.querySelector(`input[type=checkbox][value="${value}"]`);
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    tick('osl');
+    const search = widget.querySelector('.modern-table-filter-search');
+    search.value = 'sto';
+    search.dispatchEvent(new Event('input'));
+    await flush(10);
+    expect([...widget.querySelectorAll('input[type=checkbox]')].map(input => input.value)).toEqual(['sto']);
+
+    tick('sto');
+    expect(table.components.filterPanel.getFilters()).toEqual({ city: ['sto', 'osl'] });
+    expect(ids(table)).toEqual([1, 3]);
+    table.destroy();
+  });
+
+  test('should reload and clear a dependent filter when its parent changes', async () => {
+    const cities = jest.fn(({ parent }) => Promise.resolve(
+      parent === 'no' ? [{ value: 'osl', text: 'Oslo' }, { value: 'brg', text: 'Bergen' }] : [{ value: 'sto', text: 'Stockholm' }]
+    ));
+    const table = createTable([
+      { column: 'country', type: 'select', options: [{ value: '', text: 'All' }, { value: 'no', text: 'Norway' }, { value: 'se', text: 'Sweden' }] },
+      { column: 'city', type: 'select', options: cities, dependsOn: 'country' }
+    ]);
+    await flush();
+
+    const country = table.wrapper.querySelector('select[data-filter="country"]');
+    const city = table.wrapper.querySelector('select[data-filter="city"]');
+    expect(city.disabled).toBe(true);
+    expect(cities).not.toHaveBeenCalled();
+
+    change(country, 'no');
+    await flush();
+    expect(city.disabled).toBe(false);
+    expect(cities).toHaveBeenLastCalledWith(expect.objectContaining({ parent: 'no', search: '' }));
+    expect(texts(city)).toEqual(['All', 'Oslo', 'Bergen']);
+
+    change(city, 'brg');
+    expect(ids(table)).toEqual([2]);
+
+    change(country, 'se');
+    expect(table.components.filterPanel.getFilters()).toEqual({ country: 'se' });
+    await flush();
+    expect(texts(city)).toEqual(['All', 'Stockholm']);
+    expect(city.value).toBe('');
+    expect(ids(table)).toEqual([3]);
+    table.destroy();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for request cancellation and stale response protection
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Request Cancellation', () => {
+  let pending;
+
+  // fetch that resolves manually and rejects when its signal aborts
+  const controllableFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    const draw = new URL(url).searchParams.get('draw');
+    pending.push({
+      draw,
+      signal,
+      resolve: (rows) => resolve({
+        ok: true,
+        json: () => Promise.resolve({ draw, recordsTotal: rows.length, recordsFiltered: rows.length, data: rows })
+      })
+    });
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+
+  const createTable = () => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: '/api/users',
+      serverSide: true,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    pending = [];
+    global.fetch = controllableFetch();
+  });
+
+  test('should abort the previous request when a new draw starts', async () => {
+    const table = createTable();
+    const aborted = jest.fn();
+    table.on('aborted', aborted);
+    await flush();
+
+    table.loadData();
+    await flush();
+
+    expect(pending).toHaveLength(2);
+    expect(pending[0].signal.aborted).toBe(true);
+    expect(pending[1].signal.aborted).toBe(false);
+    expect(aborted).toHaveBeenCalledWith({ draw: 1 });
+    expect(table.loadingOverlay.style.display).toBe('flex');
+
+    pending[1].resolve([{ name: 'Newest' }]);
+    await flush();
+
+    expect(table.data).toEqual([{ name: 'Newest' }]);
+    expect(table.loadingOverlay.style.display).toBe('none');
+  });
+
+  test('should ignore responses of older draws', async () => {
+    const table = createTable();
+    await flush();
+    pending[0].resolve([{ name: 'First' }]);
+    await flush();
+
+    table.drawCounter++; // A newer draw started
+
+    expect(table.processResponse({ draw: 1, recordsTotal: 1, data: [{ name: 'Stale' }] })).toBe(false);
+    expect(table.data).toEqual([{ name: 'First' }]);
+  });
+
+  test('should not show errors for aborted requests', async () => {
+    const table = createTable();
+    const error = jest.fn();
+    table.on('error', error);
+    await flush();
+
+    table.apiClient.abort();
+    await flush();
+
+    expect(error).not.toHaveBeenCalled();
+    expect(table.tbody.textContent).not.toContain('Error');
+  });
+});
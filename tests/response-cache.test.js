@@ -0,0 +1,135 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for the server-side response cache
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { ResponseCache } from '../core/ResponseCache.js';
+
+describe('Response Cache', () => {
+  let version;
+
+  const mockFetch = () => jest.fn((url) => {
+    const params = new URL(url).searchParams;
+    const start = parseInt(params.get('start'));
+    const row = { name: `Row ${start} v${version}` };
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ draw: params.get('draw'), recordsTotal: 30, recordsFiltered: 30, data: [row] })
+    });
+  });
+
+  const createTable = (cache, api = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      api: { url: '/api/users', cache, ...api },
+      serverSide: true,
+      pageLength: 10,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    version = 1;
+    global.fetch = mockFetch();
+  });
+
+  test('should serve a visited page from the cache', async () => {
+    const table = createTable(true);
+    await flush();
+
+    table.goToPage(2);
+    await flush();
+    table.goToPage(1);
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(table.data).toEqual([{ name: 'Row 0 v1' }]);
+    expect(table.currentPage).toBe(1);
+    table.destroy();
+  });
+
+  test('should bypass the cache on reload and clear it on demand', async () => {
+    const table = createTable(true);
+    await flush();
+
+    version = 2;
+    table.reload();
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(table.data).toEqual([{ name: 'Row 0 v2' }]);
+
+    table.cache.clear();
+    expect(table.apiClient.cache.size).toBe(0);
+    table.destroy();
+  });
+
+  test('should render stale data and refresh in the background', async () => {
+    const table = createTable({ ttl: 1000, staleWhileRevalidate: true });
+    await flush();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    const loaded = [];
+    table.on('dataLoaded', (data) => loaded.push(data[0].name));
+
+    version = 2;
+    table.loadData();
+    await flush();
+    await flush();
+
+    expect(loaded).toEqual(['Row 0 v1', 'Row 0 v2']);
+    expect(table.data).toEqual([{ name: 'Row 0 v2' }]);
+    Date.now.mockRestore();
+    table.destroy();
+  });
+
+  test('should revalidate without UI callbacks and survive abort()', async () => {
+    const callbacks = { beforeSend: jest.fn(), success: jest.fn(), error: jest.fn(), complete: jest.fn() };
+    const table = createTable({ ttl: 1000, staleWhileRevalidate: true }, callbacks);
+    await flush();
+    Object.values(callbacks).forEach(callback => callback.mockClear());
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 5000);
+    version = 2;
+    table.loadData();
+    await flush();
+
+    // The background refresh is not the request abort() cancels
+    const [, { signal }] = global.fetch.mock.calls.at(-1);
+    table.apiClient.abort();
+    expect(signal.aborted).toBe(false);
+    await flush();
+
+    expect(table.data).toEqual([{ name: 'Row 0 v2' }]);
+    Object.values(callbacks).forEach(callback => expect(callback).not.toHaveBeenCalled());
+    Date.now.mockRestore();
+    table.destroy();
+  });
+
+  test('should expire entries and evict the least recently used', () => {
+    const cache = new ResponseCache({ ttl: 1000, maxEntries: 2 });
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const a = cache.key({ draw: 1, start: 0 });
+    expect(a).toBe(cache.key({ start: 0, draw: 7 }));
+    cache.set(a, 'a');
+    cache.set(cache.key({ start: 10 }), 'b');
+    cache.get(a);
+    cache.set(cache.key({ start: 20 }), 'c');
+
+    expect(cache.get(cache.key({ start: 10 }))).toBeNull();
+    expect(cache.get(a)).toEqual({ data: 'a', stale: false });
+
+    spy.mockReturnValue(now + 2000);
+    expect(cache.get(a)).toBeNull();
+    expect(cache.size).toBe(1);
+    spy.mockRestore();
+  });
+});
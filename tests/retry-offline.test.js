@@ -0,0 +1,112 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for retry with backoff and offline detection
+ * Matches: docs/server-side.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+import { ApiClient } from '../core/ApiClient.js';
+
+describe('Retry and Offline', () => {
+  const okResponse = (rows) => ({
+    ok: true,
+    json: () => Promise.resolve({ recordsTotal: rows.length, recordsFiltered: rows.length, data: rows })
+  });
+  const errorResponse = (status) => ({
+    ok: false,
+    status,
+    statusText: 'Service Unavailable',
+    headers: { get: () => null }
+  });
+
+  const setOnline = (online) => {
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    setOnline(true);
+    jest.useRealTimers();
+  });
+
+  test('should retry 503 and network errors with exponential backoff', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(okResponse([{ name: 'Alice' }]));
+
+    const client = new ApiClient({ url: '/api/users', retry: { attempts: 3, backoff: 1 } });
+    client.onRetry = jest.fn();
+
+    const result = await client.request({});
+
+    expect(result.data).toEqual([{ name: 'Alice' }]);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(client.onRetry.mock.calls.map(([retry]) => [retry.reason, retry.delay])).toEqual([
+      [503, 1],
+      ['network', 2]
+    ]);
+  });
+
+  test('should stop after the configured attempts and not retry other statuses', async () => {
+    global.fetch = jest.fn().mockResolvedValue(errorResponse(503));
+    const client = new ApiClient({ url: '/api/users', retry: { attempts: 2, backoff: 1 } });
+
+    await expect(client.request({})).rejects.toThrow('HTTP 503');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = jest.fn().mockResolvedValue(errorResponse(500));
+    await expect(client.request({})).rejects.toThrow('HTTP 500');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should emit retry events on the table', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(errorResponse(502))
+      .mockResolvedValue(okResponse([{ name: 'Bob' }]));
+
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const retries = [];
+    const table = new ModernTable('#test-table', {
+      api: { url: '/api/users', retry: { backoff: 1 } },
+      serverSide: true,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+    table.on('retry', (retry) => retries.push(retry));
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(retries).toEqual([expect.objectContaining({ attempt: 1, attempts: 3, reason: 502 })]);
+    expect(table.data).toEqual([{ name: 'Bob' }]);
+    table.destroy();
+  });
+
+  test('should show an offline banner and reload when back online', async () => {
+    global.fetch = jest.fn().mockResolvedValue(okResponse([{ name: 'Alice' }]));
+    document.body.innerHTML = '<table id="test-table"></table>';
+    const table = new ModernTable('#test-table', {
+      api: '/api/users',
+      serverSide: true,
+      columns: [{ data: 'name', title: 'Name' }]
+    });
+    await flush();
+    global.fetch.mockClear();
+
+    setOnline(false);
+    window.dispatchEvent(new Event('offline'));
+
+    const banner = table.wrapper.querySelector('.modern-table-offline');
+    expect(banner).not.toBeNull();
+    expect(banner.getAttribute('role')).toBe('status');
+
+    setOnline(true);
+    window.dispatchEvent(new Event('online'));
+    await flush();
+
+    expect(table.wrapper.querySelector('.modern-table-offline')).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    table.destroy();
+  });
+});
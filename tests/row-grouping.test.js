@@ -0,0 +1,122 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for row grouping
+ * Matches: docs/row-grouping.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Row Grouping', () => {
+  const orders = [
+    { id: 1, customer: { name: 'Beta' }, status: 'paid', total: 10 },
+    { id: 2, customer: { name: 'Acme' }, status: 'open', total: 5 },
+    { id: 3, customer: { name: 'Beta' }, status: 'open', total: 30 },
+    { id: 4, customer: { name: 'Acme' }, status: 'paid', total: 15 }
+  ];
+
+  const columns = [
+    { data: 'id' },
+    { data: 'customer.name' },
+    { data: 'status' },
+    { data: 'total' }
+  ];
+
+  const createTable = (rowGroup, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', { data: orders, columns, rowGroup, ...options });
+  };
+
+  const headers = () =>
+    Array.from(document.querySelectorAll('tbody tr.dtrg-start')).map(row => row.dataset.group);
+
+  test('should insert a header row before each group', () => {
+    createTable({ dataSrc: 'customer.name' });
+
+    expect(headers()).toEqual(['Acme', 'Beta']);
+    expect(document.querySelector('tr.dtrg-start').textContent).toContain('(2)');
+  });
+
+  test('should keep the active sort inside groups', () => {
+    const table = createTable({ dataSrc: 'customer.name' }, { order: [[3, 'desc']] });
+
+    expect(table.data.map(row => row.id)).toEqual([4, 2, 3, 1]);
+  });
+
+  test('should order groups by a sort on the group column', () => {
+    const table = createTable({ dataSrc: 'customer.name' }, { order: [[1, 'desc'], [3, 'asc']] });
+
+    expect(headers()).toEqual(['Beta', 'Acme']);
+    expect(table.data.map(row => row.id)).toEqual([1, 3, 2, 4]);
+  });
+
+  test('should nest groups on several levels', () => {
+    createTable({ dataSrc: ['customer.name', 'status'] });
+
+    expect(document.querySelectorAll('tr.dtrg-level-0')).toHaveLength(2);
+    expect(document.querySelectorAll('tr.dtrg-level-1')).toHaveLength(4);
+  });
+
+  test('should collapse and expand a group', () => {
+    const table = createTable({ dataSrc: 'customer.name' });
+    const acmeRows = () =>
+      Array.from(document.querySelectorAll('tbody tr[data-index]')).filter(
+        row => table.data[row.dataset.index].customer.name === 'Acme'
+      );
+
+    document.querySelector('tr.dtrg-start').click();
+    expect(acmeRows().every(row => row.hidden)).toBe(true);
+
+    table.plugins.rowGroup.expandAll();
+    expect(acmeRows().some(row => row.hidden)).toBe(false);
+  });
+
+  test('should toggle a group with the header button and clean up on destroy', () => {
+    const table = createTable({ dataSrc: 'customer.name' });
+    const header = document.querySelector('tr.dtrg-start');
+    const button = header.querySelector('button.dtrg-toggle');
+
+    expect(header.hasAttribute('role')).toBe(false);
+    expect(button.getAttribute('aria-label')).toBe('Toggle group Acme');
+    expect(button.getAttribute('aria-expanded')).toBe('true');
+
+    button.click();
+    expect(document.querySelector('tr.dtrg-start .dtrg-toggle').getAttribute('aria-expanded')).toBe('false');
+
+    table.destroy();
+    expect(document.querySelector('tr.dtrg-group')).toBeNull();
+  });
+
+  test('should edit the focused row with Enter when a group is collapsed', () => {
+    const table = createTable({ dataSrc: 'customer.name' }, {
+      columns: [columns[0], columns[1], { data: 'status', editable: true }, columns[3]]
+    });
+    const press = (key) => table.wrapper.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    // jsdom does not implement scrollIntoView (used by keyboard focus)
+    Element.prototype.scrollIntoView = jest.fn();
+
+    // Collapse Acme: the first visible row is the first Beta row
+    document.querySelector('tr.dtrg-start').click();
+    press('Home');
+    press('Enter');
+
+    const editing = document.querySelector('td.cell-editing').closest('tr');
+    expect(table.data[editing.dataset.index].customer.name).toBe('Beta');
+    expect(editing.hidden).toBe(false);
+  });
+
+  test('should render aggregate footers aligned with columns', () => {
+    createTable({ dataSrc: 'customer.name', aggregates: { id: 'count', total: 'sum' } });
+
+    const footer = document.querySelector('tr.dtrg-aggregates');
+    expect(footer.cells).toHaveLength(columns.length);
+    expect(footer.cells[0].textContent).toBe('2');
+    expect(footer.cells[3].textContent).toBe('20');
+  });
+
+  test('should send the group field to the server', () => {
+    const table = createTable({ dataSrc: 'customer.name' });
+
+    expect(table.buildRequestParams().rowGroup).toEqual({ dataSrc: ['customer.name'] });
+  });
+});
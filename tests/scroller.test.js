@@ -0,0 +1,125 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for virtual scrolling (scroller)
+ * Matches: docs/virtual-scrolling.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Scroller', () => {
+  const rows = Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, name: `User ${index + 1}` }));
+
+  const createTable = (options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', {
+      data: rows,
+      pageLength: -1,
+      lengthMenu: [],
+      scroller: { height: 200, rowHeight: 20, buffer: 5 },
+      columns: [
+        { data: 'id', title: 'ID' },
+        { data: 'name', title: 'Name' }
+      ],
+      ...options
+    });
+  };
+
+  const bodyRows = (table) => [...table.tbody.querySelectorAll('tr:not(.scroller-spacer)')];
+  const indices = (table) => bodyRows(table).map(row => parseInt(row.dataset.index));
+  const spacers = (table) => [...table.tbody.querySelectorAll('.scroller-spacer td')].map(cell => cell.style.height);
+  const scrollTo = (table, top) => {
+    table.plugins.scroller.scrollBody.scrollTop = top;
+    table.plugins.scroller.draw();
+  };
+  const press = (table, key) => table.wrapper.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should render only the rows in range and size the spacers', () => {
+    const table = createTable();
+
+    // 10 rows in view + 5 buffer rows below
+    expect(indices(table)).toEqual(Array.from({ length: 15 }, (_, index) => index));
+    expect(spacers(table)).toEqual(['0px', `${985 * 20}px`]);
+
+    scrollTo(table, 10000);
+    expect(indices(table)[0]).toBe(495);
+    expect(indices(table)).toHaveLength(20);
+    expect(bodyRows(table)[0].textContent).toContain('User 496');
+    expect(spacers(table)).toEqual([`${495 * 20}px`, `${485 * 20}px`]);
+    table.destroy();
+  });
+
+  test('should keep rows that stay in range and fill only the new ones', () => {
+    const table = createTable();
+    const scroller = table.plugins.scroller;
+    const row = scroller.getRowElement(10);
+    row.classList.add('marked');
+    const fillRow = jest.spyOn(scroller, 'fillRow');
+
+    scrollTo(table, 100);
+
+    expect(indices(table)).toEqual(Array.from({ length: 20 }, (_, index) => index));
+    expect(scroller.getRowElement(10)).toBe(row);
+    expect(row.classList.contains('marked')).toBe(true);
+    expect(fillRow.mock.calls.map(([, , index]) => index)).toEqual([15, 16, 17, 18, 19]);
+    table.destroy();
+  });
+
+  test('should keep the selection of rows scrolled out of view', () => {
+    const table = createTable({ select: true });
+    const row = table.plugins.scroller.getRowElement(2);
+    const checkbox = row.querySelector('.row-checkbox');
+    checkbox.checked = true;
+    table.plugins.selection.toggleRowSelection(row);
+
+    scrollTo(table, 10000);
+    expect(table.plugins.scroller.getRowElement(2)).toBeNull();
+
+    scrollTo(table, 0);
+    const restored = table.plugins.scroller.getRowElement(2);
+    expect(restored.classList.contains('table-active')).toBe(true);
+    expect(restored.querySelector('.row-checkbox').checked).toBe(true);
+    expect(table.tbody.querySelectorAll('.table-active')).toHaveLength(1);
+    table.destroy();
+  });
+
+  test('should move the keyboard focus through the whole dataset', () => {
+    const table = createTable();
+
+    press(table, 'End');
+    expect(table.plugins.keyboard.focusedRow).toBe(999);
+    expect(table.plugins.scroller.getRowElement(999).classList.contains('keyboard-focused')).toBe(true);
+
+    press(table, 'Home');
+    press(table, 'PageDown');
+    expect(table.plugins.keyboard.focusedRow).toBe(10);
+    expect(table.tbody.querySelectorAll('.keyboard-focused')).toHaveLength(1);
+    table.destroy();
+  });
+
+  test('should apply fixed column classes to rendered rows', () => {
+    const table = createTable({ fixedColumns: { left: 1 } });
+    table.plugins.fixedColumns.applyFixedColumns();
+
+    scrollTo(table, 5000);
+    const cell = table.plugins.scroller.getRowElement(260).querySelector('td');
+    expect(cell.classList.contains('fixed-left')).toBe(true);
+    table.destroy();
+  });
+
+  test('should unwrap the table on destroy and not start with server-side data', () => {
+    const table = createTable();
+    table.destroy();
+    expect(document.querySelector('.modern-table-scroller')).toBeNull();
+    expect(table.element.isConnected).toBe(true);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn(() => new Promise(() => {}));
+    const remote = createTable({ data: null, api: '/api/users', serverSide: true });
+    expect(remote.plugins.scroller).toBeUndefined();
+    expect(warn).toHaveBeenCalledWith('ScrollerPlugin is only supported with client-side data');
+    remote.destroy();
+  });
+});
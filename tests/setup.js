@@ -15,6 +15,13 @@ Object.defineProperty(window, 'matchMedia', {
   })),
 });
 
+// TextEncoder/TextDecoder (XLSX export) are not available in jsdom
+if (!global.TextEncoder) {
+  const { TextEncoder, TextDecoder } = require('util');
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
 // Mock fetch if not available
 if (!global.fetch) {
   global.fetch = jest.fn();
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Tests for client-side sorting
+ * Matches: docs/sorting.md
+ */
+
+import { ModernTable } from '../core/ModernTable.js';
+
+describe('Sorting', () => {
+  const createTable = (data, columns, options = {}) => {
+    document.body.innerHTML = '<table id="test-table"></table>';
+    return new ModernTable('#test-table', { data, columns, ...options });
+  };
+
+  describe('Multi-Column Sorting', () => {
+    test('should accept multiple [column, dir] pairs in options.order', () => {
+      const table = createTable(
+        [
+          { group: 'b', name: 'x' },
+          { group: 'a', name: 'y' },
+          { group: 'b', name: 'a' }
+        ],
+        [{ data: 'group' }, { data: 'name' }],
+        { order: [[0, 'asc'], [1, 'desc']] }
+      );
+
+      expect(table.data.map(row => row.name)).toEqual(['y', 'x', 'a']);
+    });
+
+    test('should add columns to the sort stack on shift+click', () => {
+      const table = createTable(
+        [{ a: 1, b: 2 }, { a: 1, b: 1 }],
+        [{ data: 'a' }, { data: 'b' }],
+        { order: [[0, 'asc']] }
+      );
+
+      table.plugins.sorting.toggleSort(1, true);
+
+      expect(table.plugins.sorting.getSortStack()).toEqual([
+        { column: 0, dir: 'asc' },
+        { column: 1, dir: 'asc' }
+      ]);
+      expect(table.data.map(row => row.b)).toEqual([1, 2]);
+      expect(document.querySelectorAll('.sort-priority')).toHaveLength(2);
+    });
+
+    test('should send the full order array to the server', () => {
+      const table = createTable([], [{ data: 'a' }, { data: 'b' }], {
+        order: [[1, 'desc'], [0, 'asc']]
+      });
+
+      expect(table.buildRequestParams().order).toEqual([
+        { column: 1, dir: 'desc' },
+        { column: 0, dir: 'asc' }
+      ]);
+    });
+
+    test('should keep original order for equal keys (stable)', () => {
+      const data = [
+        { key: 1, id: 'first' },
+        { key: 0, id: 'zero' },
+        { key: 1, id: 'second' },
+        { key: 1, id: 'third' }
+      ];
+      const table = createTable(data, [{ data: 'key' }, { data: 'id' }], {
+        order: [[0, 'desc']]
+      });
+
+      expect(table.data.map(row => row.id)).toEqual(['first', 'second', 'third', 'zero']);
+    });
+  });
+
+  describe('Type-Aware Sorting', () => {
+    test('should sort numeric strings as numbers', () => {
+      const table = createTable(
+        [{ qty: '10' }, { qty: '9' }, { qty: '100' }],
+        [{ data: 'qty' }],
+        { order: [[0, 'asc']] }
+      );
+
+      expect(table.data.map(row => row.qty)).toEqual(['9', '10', '100']);
+    });
+
+    test('should detect column types from data', () => {
+      const table = createTable([], [{ data: 'value' }]);
+      const sorting = table.plugins.sorting;
+      const column = { data: 'value' };
+      const rows = values => values.map(value => ({ value }));
+
+      expect(sorting.detectType(column, rows(['10', '9', '1,234']))).toBe('num');
+      expect(sorting.detectType(column, rows(['$1,234.50', '$9']))).toBe('currency');
+      expect(sorting.detectType(column, rows(['1.234,50 €', '3 €']))).toBe('currency');
+      expect(sorting.detectType(column, rows(['Rp 2.000', 'IDR 500', 'R$ 10']))).toBe('currency');
+      // Short words are not currency symbols
+      expect(sorting.detectType(column, rows(['Apt 12', 'No 5']))).toBe('string');
+      expect(sorting.detectType(column, rows(['2024-01-05', '2023-12-31']))).toBe('date');
+      expect(sorting.detectType(column, rows(['<b>Bob</b>', 'Alice']))).toBe('html');
+      expect(sorting.detectType(column, rows(['Émile', 'Zoe']))).toBe('string');
+    });
+
+    test('should sort currency values with different separators', () => {
+      const table = createTable(
+        [{ price: 'Rp 1.500.000' }, { price: 'Rp 250.000' }, { price: 'Rp 12.000' }],
+        [{ data: 'price', type: 'currency' }],
+        { order: [[0, 'asc']] }
+      );
+
+      expect(table.data.map(row => row.price)).toEqual([
+        'Rp 12.000',
+        'Rp 250.000',
+        'Rp 1.500.000'
+      ]);
+    });
+
+    test('should read a single dot group as thousands in currency columns', () => {
+      const table = createTable(
+        [{ price: 'Rp 2.000' }, { price: 'Rp 500' }],
+        [{ data: 'price' }],
+        { order: [[0, 'desc']] }
+      );
+
+      expect(table.data.map(row => row.price)).toEqual(['Rp 2.000', 'Rp 500']);
+
+      // column.decimal overrides the guess
+      const decimals = createTable(
+        [{ price: '€ 1.500' }, { price: '€ 1.25' }],
+        [{ data: 'price', type: 'currency', decimal: '.' }],
+        { order: [[0, 'asc']] }
+      );
+
+      expect(decimals.data.map(row => row.price)).toEqual(['€ 1.25', '€ 1.500']);
+    });
+
+    test('should use locale collation for strings', () => {
+      const table = createTable(
+        [{ name: 'Zoe' }, { name: 'Émile' }, { name: 'Adam' }],
+        [{ data: 'name', type: 'string' }],
+        { order: [[0, 'asc']], sortLocale: 'fr' }
+      );
+
+      expect(table.data.map(row => row.name)).toEqual(['Adam', 'Émile', 'Zoe']);
+    });
+
+    test('should place empty values according to column.nulls', () => {
+      const data = [{ v: 2 }, { v: null }, { v: 1 }, { v: '' }];
+
+      const last = createTable(data, [{ data: 'v', type: 'num' }], { order: [[0, 'desc']] });
+      expect(last.data.map(row => row.v)).toEqual([2, 1, null, '']);
+
+      const first = createTable(data, [{ data: 'v', type: 'num', nulls: 'first' }], {
+        order: [[0, 'asc']]
+      });
+      expect(first.data.map(row => row.v)).toEqual([null, '', 1, 2]);
+    });
+
+    test('should use sortValue and comparator hooks', () => {
+      const priority = { low: 0, medium: 1, high: 2 };
+      const table = createTable(
+        [{ p: 'medium' }, { p: 'high' }, { p: 'low' }],
+        [
+          {
+            data: 'p',
+            sortValue: row => priority[row.p],
+            comparator: (a, b) => a - b
+          }
+        ],
+        { order: [[0, 'desc']] }
+      );
+
+      expect(table.data.map(row => row.p)).toEqual(['high', 'medium', 'low']);
+    });
+  });
+});
@@ -10,6 +10,84 @@ export interface ModernTableColumn {
   render?: (data: any, type: string, row: any, meta: any) => string;
   headerClassName?: string;
   headerStyle?: string;
+  type?: 'num' | 'date' | 'string' | 'html' | 'currency';
+  sortValue?: (row: any) => any;
+  comparator?: (a: any, b: any, rowA?: any, rowB?: any) => number;
+  nulls?: 'first' | 'last';
+  // Decimal separator of a currency column (guessed from the data by default)
+  decimal?: ',' | '.';
+  // Built-in currency renderer and XLSX currency format (default 'USD' / 'en-US')
+  currency?: string;
+  locale?: string;
+  editable?: boolean | ModernTableEditorType | ModernTableEditorConfig | ModernTableEditorFactory;
+  validate?: (value: any, row: any) => boolean | string;
+  footer?: ModernTableAggregate | ModernTableFooterConfig;
+  minWidth?: number | string;
+  maxWidth?: number | string;
+  resizable?: boolean;
+  excelFormat?: number | string;
+  // Excel-style distinct-value filter in the header
+  headerFilter?: boolean | { distinct?: ModernTableDistinctSource };
+}
+
+// Server-side distinct values: GET url?column=&filters[...]&headerFilters[...] or a function
+export type ModernTableDistinctSource = string | ((params: {
+  column: string;
+  filters: Record<string, any>;
+  headerFilters: Record<string, string[]>;
+  signal: AbortSignal;
+}) => ModernTableDistinctValues | Promise<ModernTableDistinctValues>);
+
+export type ModernTableDistinctValues = Array<{ value: any; count?: number } | string | number> | { data: Array<{ value: any; count?: number } | string | number> };
+
+export interface ModernTableFooterConfig {
+  type?: ModernTableAggregate;
+  scope?: 'page' | 'filtered' | 'total' | 'server';
+  format?: string | ((value: any) => string);
+  formatOptions?: Record<string, any>;
+  label?: string;
+}
+
+export type ModernTableEditorType = 'text' | 'number' | 'select' | 'date' | 'checkbox';
+
+export interface ModernTableEditorConfig {
+  type?: ModernTableEditorType;
+  options?: Array<string | number | { value: any; text?: string }> | (() => Array<any>);
+  create?: ModernTableEditorFactory;
+}
+
+export type ModernTableEditorFactory = (value: any, row: any, column: ModernTableColumn) =>
+  HTMLElement | { element: HTMLElement; getValue?: () => any; focus?: () => void };
+
+export interface ModernTableApiConfig {
+  url: string;
+  method?: string;
+  headers?: Record<string, string>;
+  timeout?: number;
+  retry?: boolean | number | {
+    attempts?: number;
+    backoff?: number | ((retry: number) => number);
+    maxDelay?: number;
+    retryOn?: Array<number | 'network' | 'timeout'>;
+  };
+  graphql?: {
+    query: string;
+    variables?: (state: ModernTableRequestState) => Record<string, any>;
+    path?: string;
+    totalPath?: string;
+    filteredPath?: string;
+  };
+  cache?: boolean | {
+    ttl?: number;
+    maxEntries?: number;
+    staleWhileRevalidate?: boolean;
+  };
+  update?: string | {
+    url: string;
+    method?: string;
+    data?: (change: { id: any; column: string; value: any; row: any }) => any;
+  };
+  [key: string]: any;
 }
 
 export interface ModernTableButton {
@@ -23,25 +101,110 @@ export interface ModernTableButton {
 }
 
 export interface ModernTableFilter {
-  column: string;
-  type: 'select' | 'text' | 'date' | 'daterange' | 'numberrange' | 'clear';
+  column?: string;
+  type: 'select' | 'text' | 'date' | 'daterange' | 'numberrange' | 'multiselect' | 'checkboxes' | 'tags' | 'builder' | 'clear';
   label?: string;
   placeholder?: string;
-  options?: Array<{ value: string; text: string }>;
+  // Array, URL (GET through ApiClient) or async function
+  options?: Array<{ value: string; text: string } | string> | string | ((params: {
+    search: string;
+    parent?: any;
+    filters: Record<string, any>;
+    signal: AbortSignal;
+  }) => any[] | { data: any[] } | Promise<any[] | { data: any[] }>);
+  optionsMap?: (item: any) => { value: string; text: string };
+  cache?: boolean | { ttl?: number; maxEntries?: number };
+  // Clear and reload options when the parent filter changes
+  dependsOn?: string;
+  searchDelay?: number;
+  // Multi-value filters: searchable list, free tags
+  search?: boolean;
+  allowCustom?: boolean;
   className?: string;
   icon?: string;
   action?: () => void;
+  // Client-side test (range filters receive { from, to } or { min, max })
+  match?: (row: any, value: any) => boolean;
+  // Filter builder
+  columns?: Array<string | { data: string; title?: string; type?: string }>;
+  operators?: ModernTableFilterOperator[];
+}
+
+export type ModernTableFilterOperator = 'equals' | 'contains' | 'startsWith' | 'between' | 'in' | 'isEmpty' | 'gt' | 'lt';
+
+export interface ModernTableFilterCondition {
+  column: string;
+  operator: ModernTableFilterOperator;
+  value?: any;
+}
+
+export interface ModernTableFilterGroup {
+  logic: 'and' | 'or';
+  conditions: Array<ModernTableFilterCondition | ModernTableFilterGroup>;
+}
+
+export type ModernTableAggregate = 'sum' | 'avg' | 'min' | 'max' | 'count' | ((values: any[], rows: any[]) => any);
+
+export interface ModernTableRowGroup {
+  dataSrc: string | string[];
+  startRender?: (rows: any[], group: any, level: number) => string | HTMLElement | null;
+  endRender?: (rows: any[], group: any, level: number) => string | HTMLElement | null;
+  aggregates?: Record<string, ModernTableAggregate | {
+    type: ModernTableAggregate;
+    render?: (value: any, rows: any[], group: any) => string;
+  }>;
+  collapsible?: boolean;
+  collapsed?: boolean;
+  emptyDataGroup?: string;
+  className?: string;
+}
+
+export interface ModernTableRequestState {
+  draw: number;
+  start: number;
+  length: number;
+  search: string;
+  columns: Array<{ data: string; name: string; searchable: boolean; orderable: boolean; search: string }>;
+  order: Array<{ column: number; name: string; dir: 'asc' | 'desc' }>;
+  filters: Record<string, any>;
+  // Header filter selections ("" = blanks), combined with filters (AND)
+  headerFilters: Record<string, string[]>;
+  advancedFilter: ModernTableFilterGroup | null;
+  rowGroup?: string | string[];
+  cursor?: string | null;
+}
+
+export interface ModernTableProtocol {
+  buildRequest?(state: ModernTableRequestState): Record<string, any>;
+  // Panel and header filter params of distinct value requests (header filters)
+  buildFilterParams?(state: Pick<ModernTableRequestState, 'filters' | 'headerFilters'>): Record<string, any>;
+  parseResponse?(body: any): {
+    data: any[];
+    recordsTotal?: number;
+    recordsFiltered?: number;
+    page?: number;
+    lastPage?: number;
+    draw?: number;
+    nextCursor?: string | null;
+  };
+}
+
+export interface ModernTableLiveMessage {
+  type: 'insert' | 'update' | 'delete';
+  data: any | any[];
 }
 
 export interface ModernTableOptions {
   // Data source
-  api?: string;
+  api?: string | ModernTableApiConfig;
+  protocol?: 'datatables' | 'laravel' | 'jsonapi' | 'odata' | ModernTableProtocol;
   
   // Columns
   columns: ModernTableColumn[];
   
   // Pagination
-  paging?: boolean;
+  paging?: boolean | 'infinite' | 'loadMore';
+  pagination?: 'numbers' | 'cursor';
   pageLength?: number;
   lengthMenu?: number[];
   
@@ -51,7 +214,8 @@ export interface ModernTableOptions {
   
   // Sorting
   ordering?: boolean;
-  order?: Array<[number, 'asc' | 'desc']>;
+  order?: Array<[number, 'asc' | 'desc']> | [number, 'asc' | 'desc'];
+  sortLocale?: string | null;
   
   // Selection
   select?: boolean;
@@ -60,6 +224,29 @@ export interface ModernTableOptions {
   // Responsive
   responsive?: boolean;
   
+  // Row grouping
+  rowGroup?: string | string[] | ModernTableRowGroup;
+  
+  // Column reordering
+  colReorder?: boolean | {
+    order?: number[];
+    fixedColumnsLeft?: number;
+    fixedColumnsRight?: number;
+  };
+  
+  // Column resizing
+  colResize?: boolean | {
+    minWidth?: number;
+    maxWidth?: number;
+  };
+  
+  // Virtual scrolling
+  scroller?: boolean | {
+    height?: number;
+    rowHeight?: number;
+    buffer?: number;
+  };
+  
   // Theme
   theme?: 'light' | 'dark' | 'auto';
   
@@ -76,6 +263,43 @@ export interface ModernTableOptions {
   // Buttons
   buttons?: Array<string | ModernTableButton>;
   
+  // Offline banner (API tables)
+  offline?: boolean | {
+    message?: string;
+    reload?: boolean;
+  };
+  
+  // Background loading of adjacent server-side pages
+  prefetch?: boolean | {
+    pages?: number;
+    ttl?: number;
+  };
+  
+  // Live row updates over WebSocket / Server-Sent Events
+  live?: string | EventSource | WebSocket | {
+    source: string | EventSource | WebSocket;
+    key?: string | ((row: any) => any);
+    highlight?: number | false;
+    parse?: (payload: any, event: MessageEvent) => ModernTableLiveMessage | ModernTableLiveMessage[] | null;
+    message?: string;
+  };
+  
+  // Header filters (columns with headerFilter: true)
+  headerFilter?: {
+    distinct?: ModernTableDistinctSource;
+  };
+  
+  // Export
+  export?: {
+    serverSide?: boolean;
+    url?: string;
+    method?: string;
+    mode?: 'all' | 'paged' | 'file';
+    pageSize?: number;
+    params?: (params: any, format: string) => any;
+    timeout?: number;
+  };
+  
   // Filters
   filters?: ModernTableFilter[];
   
@@ -90,6 +314,8 @@ export interface ModernTableOptions {
     info?: string;
     infoEmpty?: string;
     infoFiltered?: string;
+    infoCursor?: string;
+    loadMore?: string;
     paginate?: {
       first?: string;
       last?: string;
@@ -98,6 +324,19 @@ export interface ModernTableOptions {
     };
     processing?: string;
     noData?: string;
+    rowGroup?: {
+      toggle?: string;
+    };
+    headerFilter?: {
+      filter?: string;
+      search?: string;
+      selectAll?: string;
+      blanks?: string;
+      loading?: string;
+      empty?: string;
+      apply?: string;
+      clear?: string;
+    };
   };
   
   // Callbacks
@@ -136,6 +375,29 @@ export declare class ModernTable {
     adjust(): void;
   };
   
+  // Column reordering (when colReorder is enabled)
+  colReorder?: {
+    order(): number[];
+    order(order: number[]): void;
+    move(from: number, to: number): void;
+    reset(): void;
+    transpose(originalIndex: number): number;
+  };
+  
+  // Column resizing (when colResize is enabled)
+  colResize?: {
+    setWidth(columnIndex: number, width: number): void;
+    autoFit(columnIndex: number): void;
+    getWidths(): Record<string, number>;
+    setWidths(widths: Record<string, number>): void;
+    reset(): void;
+  };
+  
+  // Response cache
+  cache: {
+    clear(): void;
+  };
+  
   // State methods
   state: {
     save(): void;
@@ -156,7 +418,9 @@ export declare class ModernTable {
   // Properties
   data: any[];
   filteredData: any[];
+  aggregates: Record<string, any> | null;
   currentPage: number;
+  readonly hasNextPage: boolean;
   totalRecords: number;
   element: HTMLElement;
   wrapper: HTMLElement;
@@ -0,0 +1,55 @@
+/**
+ * aggregates.js - Column aggregate helpers (group footers, table footers)
+ */
+
+/**
+ * Convert cell value to number (null when not numeric)
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Aggregate values: 'sum' | 'avg' | 'min' | 'max' | 'count' | (values, rows) => any
+ */
+export function aggregate(values, type, rows = []) {
+    if (typeof type === 'function') {
+        return type(values, rows);
+    }
+
+    if (type === 'count') {
+        return values.length;
+    }
+
+    const numbers = values.map(toNumber).filter(value => value !== null);
+    if (numbers.length === 0) return null;
+
+    switch (type) {
+        case 'sum':
+            return numbers.reduce((total, value) => total + value, 0);
+        case 'avg':
+            return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        case 'min':
+            return numbers.reduce((min, value) => value < min ? value : min);
+        case 'max':
+            return numbers.reduce((max, value) => value > max ? value : max);
+        default:
+            console.warn(`Unknown aggregate type: ${type}`);
+            return null;
+    }
+}
+
+/**
+ * Default display format for aggregate results
+ */
+export function formatAggregate(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+    return String(value);
+}
@@ -77,6 +77,11 @@ export function formatCSV(data) {
         lines.push(csvRow.join(','));
     });
     
+    // Add footer row
+    if (data.footer) {
+        lines.push(data.footer.map(cell => `"${String(cell || '').replace(/"/g, '""')}"`).join(','));
+    }
+    
     return lines.join('\n');
 }
 
@@ -114,6 +119,15 @@ export function formatExcel(data) {
         xml += '</Row>\n';
     });
     
+    // Add footer row
+    if (data.footer) {
+        xml += '<Row>\n';
+        data.footer.forEach(cell => {
+            xml += `<Cell><Data ss:Type="String">${escapeXml(String(cell || ''))}</Data></Cell>\n`;
+        });
+        xml += '</Row>\n';
+    }
+    
     xml += '</Table>\n</Worksheet>\n</Workbook>';
     return xml;
 }
@@ -165,6 +179,15 @@ export function formatPrint(data, title = 'Table Data') {
     });
     html += '</tbody>';
     
+    // Add footer row
+    if (data.footer) {
+        html += '<tfoot><tr>';
+        data.footer.forEach(cell => {
+            html += `<th>${escapeHtml(String(cell || ''))}</th>`;
+        });
+        html += '</tr></tfoot>';
+    }
+    
     html += `
             </table>
             <p style="margin-top: 20px; font-size: 12px; color: #666;">
@@ -212,6 +235,11 @@ function formatClipboard(data) {
         lines.push(row.map(cell => String(cell || '')).join('\t'));
     });
     
+    // Add footer row
+    if (data.footer) {
+        lines.push(data.footer.map(cell => String(cell || '')).join('\t'));
+    }
+    
     return lines.join('\n');
 }
 
@@ -0,0 +1,108 @@
+/**
+ * filterTree.js - Filter builder trees (nested AND/OR condition groups)
+ *
+ * group:     { logic: 'and' | 'or', conditions: [condition | group] }
+ * condition: { column, operator, value }
+ *   between: value = [from, to] (either bound may be empty), in: value = [a, b, ...],
+ *   isEmpty: no value
+ */
+
+import { toNumber } from './aggregates.js';
+
+export const FILTER_OPERATORS = ['equals', 'contains', 'startsWith', 'between', 'in', 'isEmpty', 'gt', 'lt'];
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Compare two values: numerically when both are numbers, otherwise as text
+ * (ISO dates compare correctly as text)
+ */
+function compare(a, b) {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x !== null && y !== null) return x - y;
+
+    return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base' });
+}
+
+function text(value) {
+    return String(value ?? '').toLowerCase();
+}
+
+/**
+ * Test a cell value against one condition (text comparisons ignore case)
+ */
+export function matchesCondition(value, operator, expected) {
+    switch (operator) {
+        case 'equals':
+            return compare(value, expected) === 0;
+        case 'contains':
+            return text(value).includes(text(expected));
+        case 'startsWith':
+            return text(value).startsWith(text(expected));
+        case 'between': {
+            const [from, to] = expected;
+            if (isBlank(value)) return false;
+            return (isBlank(from) || compare(value, from) >= 0) && (isBlank(to) || compare(value, to) <= 0);
+        }
+        case 'in':
+            return expected.some(item => compare(value, item) === 0);
+        case 'isEmpty':
+            return Array.isArray(value) ? value.length === 0 : isBlank(value);
+        case 'gt':
+            return !isBlank(value) && compare(value, expected) > 0;
+        case 'lt':
+            return !isBlank(value) && compare(value, expected) < 0;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Whether a row matches a tree; getValue(row, column) reads the cell value
+ */
+export function matchesFilterTree(row, tree, getValue = (data, column) => data[column]) {
+    if (!tree) return true;
+
+    if (tree.conditions) {
+        const test = condition => matchesFilterTree(row, condition, getValue);
+        return tree.logic === 'or' ? tree.conditions.some(test) : tree.conditions.every(test);
+    }
+
+    return matchesCondition(getValue(row, tree.column), tree.operator, tree.value);
+}
+
+/**
+ * Remove incomplete conditions and empty groups (null when nothing is left)
+ */
+export function cleanFilterTree(tree) {
+    if (!tree) return null;
+
+    if (tree.conditions) {
+        const conditions = tree.conditions.map(cleanFilterTree).filter(Boolean);
+        if (conditions.length === 0) return null;
+        return { logic: tree.logic === 'or' ? 'or' : 'and', conditions };
+    }
+
+    const { column, operator, value } = tree;
+    if (!column || !FILTER_OPERATORS.includes(operator)) return null;
+
+    switch (operator) {
+        case 'isEmpty':
+            return { column, operator };
+        case 'between': {
+            const [from = '', to = ''] = Array.isArray(value) ? value : [];
+            return isBlank(from) && isBlank(to) ? null : { column, operator, value: [from, to] };
+        }
+        case 'in': {
+            const values = (Array.isArray(value) ? value : String(value ?? '').split(','))
+                .map(item => String(item).trim())
+                .filter(item => item !== '');
+            return values.length === 0 ? null : { column, operator, value: values };
+        }
+        default:
+            return isBlank(value) ? null : { column, operator, value };
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * pdf.js - Minimal table PDF writer for ModernTable.js
+ * Standard Helvetica fonts (no embedding), WinAnsi text, one content stream per page
+ */
+
+// Page sizes in points (portrait)
+export const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    Letter: [612, 792],
+    Legal: [612, 1008]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Approximate Helvetica text width (points)
+ */
+export function textWidth(text, size, bold = false) {
+    let units = 0;
+    for (const char of String(text)) {
+        if ('ijl.,:;\'|!'.includes(char)) units += 0.25;
+        else if ('ftrI -()[]'.includes(char)) units += 0.33;
+        else if ('mwMW@'.includes(char)) units += 0.85;
+        else if (char >= 'A' && char <= 'Z') units += 0.68;
+        else units += 0.55;
+    }
+    return units * size * (bold ? 1.06 : 1);
+}
+
+/**
+ * Escape text for a PDF string literal, mapping to WinAnsi bytes
+ */
+function pdfString(text) {
+    let result = '';
+    for (const char of String(text)) {
+        const code = WIN_ANSI[char] || char.charCodeAt(0);
+        if (char === '(' || char === ')' || char === '\\') {
+            result += `\\${char}`;
+        } else if (code < 32) {
+            result += ' ';
+        } else {
+            result += code <= 255 ? String.fromCharCode(code) : '?';
+        }
+    }
+    return `(${result})`;
+}
+
+/**
+ * Cut text to a width, adding an ellipsis
+ */
+function fitText(text, width, size, bold) {
+    const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (textWidth(value, size, bold) <= width) return value;
+
+    let cut = value;
+    while (cut.length > 0 && textWidth(`${cut}…`, size, bold) > width) {
+        cut = cut.slice(0, -1);
+    }
+    return cut ? `${cut}…` : '';
+}
+
+/**
+ * Column widths: natural content widths, scaled to the usable page width
+ */
+function columnWidths(headers, rows, available, size) {
+    const padding = 8;
+    const count = headers.length || (rows[0] || []).length;
+    const natural = [];
+
+    for (let i = 0; i < count; i++) {
+        let width = textWidth(headers[i] ?? '', size, true);
+        // Sample rows: long exports don't need every row measured
+        rows.slice(0, 200).forEach(row => {
+            width = Math.max(width, textWidth(row[i] ?? '', size));
+        });
+        natural.push(Math.min(width, available / 2) + padding);
+    }
+
+    const total = natural.reduce((sum, width) => sum + width, 0) || 1;
+    return natural.map(width => (width / total) * available);
+}
+
+/**
+ * Portrait page size by name, case-insensitive ('a4', 'LETTER'); unknown names fall back to A4
+ */
+function pageSize(name = 'A4') {
+    const key = Object.keys(PAGE_SIZES).find(size => size.toLowerCase() === String(name).toLowerCase());
+    if (!key) {
+        console.warn(`Unknown PDF page size: ${name}, using A4`);
+    }
+    return PAGE_SIZES[key || 'A4'];
+}
+
+const isNumeric = (value) => typeof value === 'number' || /^-?[\d,.]+%?$/.test(String(value ?? '').trim());
+
+/**
+ * Create PDF document for a table
+ * @param {Object} data - { headers, rows, footer }
+ * @param {Object} options - { title, orientation: 'portrait'|'landscape', pageSize: 'A4'|'Letter'|'Legal', fontSize }
+ * @returns {Uint8Array}
+ */
+export function createPDF(data, options = {}) {
+    const [portraitWidth, portraitHeight] = pageSize(options.pageSize);
+    const landscape = options.orientation === 'landscape';
+    const pageWidth = landscape ? portraitHeight : portraitWidth;
+    const pageHeight = landscape ? portraitWidth : portraitHeight;
+
+    const margin = 36;
+    const size = options.fontSize || 9;
+    const rowHeight = size * 1.8;
+    const headers = data.headers || [];
+    const rows = data.rows || [];
+    const widths = columnWidths(headers, rows, pageWidth - margin * 2, size);
+
+    const pages = [];
+    let ops = [];
+    let y = 0;
+
+    const text = (value, x, baseline, bold = false, fontSize = size) => {
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${fontSize} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+    };
+
+    const drawRow = (cells, { bold = false, fill = false } = {}) => {
+        const top = y;
+        const bottom = y - rowHeight;
+
+        if (fill) {
+            ops.push(`0.93 0.94 0.96 rg ${margin} ${bottom.toFixed(2)} ${(pageWidth - margin * 2).toFixed(2)} ${rowHeight.toFixed(2)} re f 0 0 0 rg`);
+        }
+
+        let x = margin;
+        cells.forEach((cell, index) => {
+            const width = widths[index] || 0;
+            const value = fitText(cell, width - 8, size, bold);
+            const offset = !bold && isNumeric(cell) ? width - 4 - textWidth(value, size) : 4;
+            text(value, x + offset, bottom + (rowHeight - size) / 2 + 2, bold);
+            x += width;
+        });
+
+        ops.push(`0.8 0.8 0.8 RG 0.5 w ${margin} ${bottom.toFixed(2)} m ${(pageWidth - margin).toFixed(2)} ${bottom.toFixed(2)} l S 0 0 0 RG`);
+        y = top - rowHeight;
+    };
+
+    const newPage = () => {
+        if (ops.length) pages.push(ops);
+        ops = [];
+        y = pageHeight - margin;
+
+        if (options.title && pages.length === 0) {
+            text(options.title, margin, y - 14, true, 14);
+            y -= 28;
+        }
+
+        // Repeat header row on every page
+        if (headers.length) {
+            drawRow(headers, { bold: true, fill: true });
+        }
+    };
+
+    const bottomLimit = margin + 18; // Space for the page number
+
+    newPage();
+    rows.forEach(row => {
+        if (y - rowHeight < bottomLimit) newPage();
+        drawRow(row);
+    });
+
+    if (data.footer) {
+        if (y - rowHeight < bottomLimit) newPage();
+        drawRow(data.footer, { bold: true });
+    }
+
+    if (!rows.length) {
+        text('No data available', margin + 4, y - rowHeight + 4);
+    }
+
+    pages.push(ops);
+
+    // Page numbers
+    pages.forEach((pageOps, index) => {
+        const label = `Page ${index + 1} of ${pages.length}`;
+        const x = (pageWidth - textWidth(label, 8)) / 2;
+        pageOps.push(`BT /F1 8 Tf ${x.toFixed(2)} ${(margin / 2).toFixed(2)} Td ${pdfString(label)} Tj ET`);
+    });
+
+    return buildDocument(pages, pageWidth, pageHeight, options.title);
+}
+
+/**
+ * Assemble PDF objects, xref table and trailer
+ */
+function buildDocument(pages, pageWidth, pageHeight, title) {
+    // 1 catalog, 2 pages, 3 regular font, 4 bold font, 5 info, then page + content pairs
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Producer (ModernTable.js)${title ? ` /Title ${pdfString(title)}` : ''} >>`;
+
+    pages.forEach((ops, index) => {
+        const pageId = pageIds[index];
+        const stream = ops.join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // All content is single-byte (WinAnsi), so string length equals byte length
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+        bytes[i] = output.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
@@ -0,0 +1,343 @@
+/**
+ * xlsx.js - Dependency-free XLSX (OOXML) writer for ModernTable.js
+ * Builds the workbook XML parts and packs them into an uncompressed (stored) zip
+ */
+
+/**
+ * CRC-32 lookup table (zip checksum)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create zip archive (stored, no compression)
+ * @param {Array<{name: string, content: string|Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    // MS-DOS date/time of "now"
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);  // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true); // Central directory signature
+        header.setUint16(4, 20, true);         // Version made by
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);    // Local header offset
+
+        chunks.push(new Uint8Array(local.buffer), name, data);
+        central.push(new Uint8Array(header.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);        // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+
+    return result;
+}
+
+/**
+ * Escape text for XML (drops control characters that are invalid in XML 1.0)
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letter(s) from zero-based index (0 => A, 26 => AA)
+ */
+export function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+/**
+ * Excel serial date (days since 1899-12-30, local time)
+ */
+export function toExcelDate(date) {
+    const utc = Date.UTC(
+        date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds()
+    );
+    return utc / 86400000 + 25569;
+}
+
+/**
+ * Excel currency format code matching Intl formatting, e.g. '"$"#,##0.00' or '#,##0.00" €"'
+ * Excel applies the reader's separators: the code always uses ',' and '.'
+ */
+export function currencyFormat(currency = 'USD', locale = 'en-US') {
+    const formatter = new Intl.NumberFormat(locale, { style: 'currency', currency });
+    const digits = formatter.resolvedOptions().maximumFractionDigits;
+    const number = '#,##0' + (digits > 0 ? '.' + '0'.repeat(digits) : '');
+    let code = '';
+    let text = '';
+    let numberDone = false;
+
+    formatter.formatToParts(1234.5).forEach(part => {
+        if (part.type === 'currency' || part.type === 'literal') {
+            text += part.value.replace(/\s/g, ' ');
+        } else if (!numberDone && ['integer', 'group', 'decimal', 'fraction'].includes(part.type)) {
+            code += (text ? `"${text}"` : '') + number;
+            text = '';
+            numberDone = true;
+        }
+    });
+
+    return code + (text ? `"${text}"` : '');
+}
+
+/**
+ * Valid, unique sheet name (max 31 chars, no []:*?/\)
+ */
+function sheetName(name, index, used) {
+    let base = String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+    let result = base;
+    let counter = 2;
+    while (used.has(result.toLowerCase())) {
+        const suffix = ` (${counter++})`;
+        result = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(result.toLowerCase());
+    return result;
+}
+
+// Built-in style indexes (see stylesXml)
+const STYLE_DEFAULT = 0;
+const STYLE_BOLD = 1;
+const FIRST_FORMAT_STYLE = 2;
+
+/**
+ * Cell XML for a typed value
+ */
+function cellXml(ref, value, style) {
+    const s = style ? ` s="${style}"` : '';
+
+    if (value === null || value === undefined || value === '') {
+        return style ? `<c r="${ref}"${s}/>` : '';
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return `<c r="${ref}"${s}><v>${toExcelDate(value)}</v></c>`;
+    }
+
+    const text = String(value);
+    const space = /^\s|\s$|\n/.test(text) ? ' xml:space="preserve"' : '';
+    return `<c r="${ref}"${s} t="inlineStr"><is><t${space}>${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML
+ */
+function sheetXml(sheet, formatStyle) {
+    const columns = sheet.columns || [];
+    const widths = sheet.widths || [];
+    const rows = [];
+    let rowNumber = 1;
+
+    const addRow = (cells, styleFor) => {
+        const xml = cells.map((value, index) => cellXml(`${columnName(index)}${rowNumber}`, value, styleFor(index, value))).join('');
+        rows.push(`<row r="${rowNumber}">${xml}</row>`);
+        rowNumber++;
+    };
+
+    if (sheet.headers && sheet.headers.length) {
+        addRow(sheet.headers, () => STYLE_BOLD);
+    }
+
+    (sheet.rows || []).forEach(row => {
+        addRow(row, (index, value) => {
+            const numFmt = columns[index] && columns[index].numFmt;
+            // Dates without a column format still need a date format
+            return formatStyle(numFmt || (value instanceof Date ? 14 : null));
+        });
+    });
+
+    if (sheet.footer) {
+        addRow(sheet.footer, () => STYLE_BOLD);
+    }
+
+    const frozen = sheet.headers && sheet.headers.length && sheet.freezeHeader !== false;
+    const sheetView = frozen
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+
+    const cols = widths.length
+        ? `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        sheetView + cols +
+        `<sheetData>${rows.join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Styles XML: default, bold, then one style per number format
+ */
+function stylesXml(formats) {
+    const custom = formats.filter(format => typeof format === 'string');
+    const numFmts = custom.length
+        ? `<numFmts count="${custom.length}">${custom.map((code, index) => `<numFmt numFmtId="${164 + index}" formatCode="${escapeXml(code)}"/>`).join('')}</numFmts>`
+        : '';
+
+    const formatXfs = formats.map(format => {
+        const id = typeof format === 'number' ? format : 164 + custom.indexOf(format);
+        return `<xf numFmtId="${id}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        numFmts +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        `<cellXfs count="${2 + formatXfs.length}">` +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        formatXfs.join('') +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+}
+
+/**
+ * Create XLSX workbook
+ * @param {Array<{name, headers, rows, footer, columns: [{numFmt}], widths, freezeHeader}>} sheets
+ *        numFmt: built-in format id (number) or format code (string)
+ * @returns {Uint8Array}
+ */
+export function createXLSX(sheets) {
+    const formats = [];
+    const formatStyle = (numFmt) => {
+        if (numFmt === undefined || numFmt === null || numFmt === 0) return STYLE_DEFAULT;
+        if (!formats.includes(numFmt)) formats.push(numFmt);
+        return FIRST_FORMAT_STYLE + formats.indexOf(numFmt);
+    };
+
+    const used = new Set();
+    const names = sheets.map((sheet, index) => sheetName(sheet.name, index, used));
+    const worksheets = sheets.map(sheet => sheetXml(sheet, formatStyle));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                worksheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                names.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        ...worksheets.map((content, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content })),
+        // Styles last: formats are collected while building the sheets
+        { name: 'xl/styles.xml', content: stylesXml(formats) }
+    ];
+
+    return createZip(files);
+}